@@ -0,0 +1,211 @@
+// engine/audio.js
+/**
+ * Zodika Audio — soundtrack + voice-over driven by the ZdkCore clock
+ * - background music: volume, fade in/out, start offset into the track, loop
+ * - per-scene narration clips (scene.narration) placed at scene.t + at
+ * - music ducks automatically while narration plays
+ * - stateless mapping time → (position, gain): safe for loop, stop and seek
+ * - stream(): the mix as a MediaStream, for in-page recording (canvas.js)
+ *
+ * Manifest (simplified):
+ * {
+ *   audio: {
+ *     music:   { src: "audio/bed.mp3", volume: 0.8, fadeIn: 1.0, fadeOut: 1.5, offset: 0, loop: true },
+ *     ducking: { volume: 0.3, attack: 0.25, release: 0.6 }   // music level under narration
+ *   },
+ *   scenes: [
+ *     { d: 9, narration: { src: "audio/vo-02.mp3", at: 0.4, volume: 1 }, ... }
+ *   ]
+ * }
+ */
+
+/** Re-seek a playing element when it drifts this far (s) from the clock */
+const DRIFT_MAX = 0.2;
+
+export const DUCKING_DEFAULTS = { volume: 0.3, attack: 0.25, release: 0.6 };
+
+export class ZdkAudio {
+  /**
+   * @param {Object} options
+   * @param {Object} options.manifest - normalized manifest (scenes have 't')
+   * @param {boolean} [options.debug=false]
+   */
+  constructor({ manifest, debug = false } = {}) {
+    this.debug = debug;
+    this.rate = 1;
+    this.graph = null; // { ctx, dest } once stream() was called
+    const cfg = manifest.audio || {};
+    this.total = manifest.scenes.reduce((end, s) => Math.max(end, s.t + s.d), 0);
+    this.ducking = { ...DUCKING_DEFAULTS, ...(cfg.ducking || {}) };
+
+    this.music = cfg.music?.src
+      ? { cfg: { volume: 1, fadeIn: 0, fadeOut: 0, offset: 0, loop: true, ...cfg.music }, el: this.#createEl(cfg.music.src) }
+      : null;
+
+    this.voices = [];
+    manifest.scenes.forEach((s, i) => {
+      const n = s.narration;
+      if (!n?.src) return;
+      this.voices.push({
+        index: i,
+        start: s.t + Math.max(0, Number(n.at) || 0),
+        sceneEnd: s.t + s.d,
+        volume: clamp01(n.volume ?? 1),
+        el: this.#createEl(n.src)
+      });
+    });
+  }
+
+  /** True when the manifest declares any sound */
+  get enabled() {
+    return !!this.music || this.voices.length > 0;
+  }
+
+  /**
+   * Bring every track to the state of time 'now' (seconds).
+   * @param {number} now
+   * @param {boolean} playing - false keeps elements paused (seek/virtual clock)
+   */
+  update(now, playing) {
+    if (this.music) {
+      const { el, cfg } = this.music;
+      const inside = now >= 0 && now < this.total;
+      const pos = this.#trackTime(el, cfg.offset + now, cfg.loop);
+      this.#drive(el, inside && pos != null ? pos : null, playing);
+      el.volume = clamp01(cfg.volume * this.#fade(now, cfg) * this.#duckLevel(now));
+    }
+    this.voices.forEach((v) => {
+      const end = v.start + this.#voiceLength(v);
+      const inside = now >= v.start && now < end;
+      this.#drive(v.el, inside ? now - v.start : null, playing);
+      v.el.volume = v.volume;
+    });
+  }
+
+  /** Playback speed for every track (follows ZdkCore.setRate) */
+  setRate(r) {
+    this.rate = r;
+    this.#elements().forEach((el) => { el.playbackRate = r; });
+  }
+
+  /**
+   * The mixed tracks as a MediaStream (e.g. for MediaRecorder); they keep playing through the speakers.
+   * Elements are routed through one AudioContext from the first call on (a media element can only
+   * be connected once). Cross-origin files need CORS, otherwise they record as silence.
+   * @returns {MediaStream}
+   */
+  stream() {
+    if (!this.graph) {
+      const ctx = new AudioContext();
+      const dest = ctx.createMediaStreamDestination();
+      this.#elements().forEach((el) => {
+        const src = ctx.createMediaElementSource(el);
+        src.connect(dest);
+        src.connect(ctx.destination);
+      });
+      this.graph = { ctx, dest };
+    }
+    this.graph.ctx.resume();
+    return this.graph.dest.stream;
+  }
+
+  /** Pause everything (keeps positions) */
+  pause() {
+    this.#elements().forEach(el => el.pause());
+  }
+
+  /** Pause and release all elements */
+  destroy() {
+    this.#elements().forEach((el) => {
+      el.pause();
+      el.removeAttribute("src");
+      el.load();
+    });
+    this.graph?.ctx.close();
+    this.graph = null;
+  }
+
+  /* ------------------------------ internals ------------------------------- */
+
+  #elements() {
+    const list = this.voices.map(v => v.el);
+    if (this.music) list.push(this.music.el);
+    return list;
+  }
+
+  #createEl(src) {
+    const el = new Audio();
+    el.preload = "auto";
+    el.preservesPitch = true;
+    el.src = src;
+    return el;
+  }
+
+  /** Play/pause/seek one element; pos null = silent at this time */
+  #drive(el, pos, playing) {
+    if (pos == null) {
+      if (!el.paused) el.pause();
+      return;
+    }
+    if (Math.abs(el.currentTime - pos) > (el.paused ? 0.001 : DRIFT_MAX) && !el.seeking) {
+      el.currentTime = pos;
+    }
+    if (playing && el.paused) {
+      const p = el.play();
+      if (p && p.catch) {
+        p.catch((err) => {
+          // eslint-disable-next-line no-console
+          if (this.debug) console.warn("[ZdkAudio] play blocked:", err?.message || err);
+        });
+      }
+    } else if (!playing && !el.paused) {
+      el.pause();
+    }
+  }
+
+  /** Position in the file for a track time; null once a non-looping track ran out */
+  #trackTime(el, t, loop) {
+    const dur = el.duration;
+    if (!isFinite(dur) || dur <= 0) return t;
+    if (loop) return t % dur;
+    return t < dur ? t : null;
+  }
+
+  /** Narration length: clip duration once known, else up to its scene end */
+  #voiceLength(v) {
+    const dur = v.el.duration;
+    return isFinite(dur) && dur > 0 ? dur : Math.max(0, v.sceneEnd - v.start);
+  }
+
+  #fade(now, { fadeIn, fadeOut }) {
+    let g = 1;
+    if (fadeIn > 0) g = Math.min(g, now / fadeIn);
+    if (fadeOut > 0) g = Math.min(g, (this.total - now) / fadeOut);
+    return clamp01(g);
+  }
+
+  /** Music multiplier: 1 → ducking.volume while any narration is audible (ramped) */
+  #duckLevel(now) {
+    const { volume, attack, release } = this.ducking;
+    let env = 0;
+    this.voices.forEach((v) => {
+      const a = v.start;
+      const b = v.start + this.#voiceLength(v);
+      let e = 0;
+      if (now >= a && now < b) e = 1;
+      else if (now < a) e = attack > 0 ? 1 - (a - now) / attack : 0;
+      else e = release > 0 ? 1 - (now - b) / release : 0;
+      env = Math.max(env, clamp01(e));
+    });
+    return 1 - (1 - clamp01(volume)) * env;
+  }
+}
+
+function clamp01(n) {
+  return Math.max(0, Math.min(1, Number(n) || 0));
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkAudio) {
+  window.ZdkAudio = ZdkAudio;
+}
@@ -0,0 +1,361 @@
+// engine/bundle.js
+/**
+ * Zodika Bundles — a whole project in one .zdk file (a plain zip)
+ * - layout: manifest.json at the root, assets under their manifest-relative paths
+ *   (images/…, audio/…, strings/…); assets from elsewhere go to assets/<name>
+ * - exportBundle(): fetches the project's manifest + every asset into a zip Blob
+ * - readBundle(): zip (File, Blob, ArrayBuffer or URL) → files by path; the loader turns
+ *   them into blob: URLs (loadProject(file) / loadProject("stories/post1.zdk"))
+ * - written uncompressed (media is compressed already); reads stored and deflated entries
+ *   (deflate needs DecompressionStream), no zip64
+ *
+ * Usage:
+ *   import { exportBundle, saveBundle } from "./engine/bundle.js";
+ *   saveBundle(await exportBundle("post1"), "post1.zdk");
+ */
+
+import { listLocales, stringsURL } from "./i18n.js";
+
+export const BUNDLE_MANIFEST = "manifest.json";
+
+/** Extensions the loader treats as bundles when given a URL */
+export const BUNDLE_EXT = /\.(zdk|zip)([?#]|$)/i;
+
+const MIME = {
+  jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", webp: "image/webp", avif: "image/avif",
+  gif: "image/gif", jxl: "image/jxl", svg: "image/svg+xml", mp4: "video/mp4", webm: "video/webm", mov: "video/quicktime",
+  mp3: "audio/mpeg", m4a: "audio/mp4", aac: "audio/aac", ogg: "audio/ogg", oga: "audio/ogg",
+  wav: "audio/wav", json: "application/json", vtt: "text/vtt", srt: "text/plain"
+};
+
+/**
+ * MIME type from a path's extension (query/hash ignored).
+ * @param {string} path
+ * @returns {string} "application/octet-stream" when unknown
+ */
+export function mimeOf(path) {
+  const ext = String(path).split(/[?#]/)[0].split(".").pop().toLowerCase();
+  return MIME[ext] || "application/octet-stream";
+}
+
+/**
+ * True for what loadProject reads as a bundle: a File/Blob, an ArrayBuffer or a .zdk/.zip URL.
+ * @param {*} source
+ */
+export function isBundleSource(source) {
+  if (typeof Blob !== "undefined" && source instanceof Blob) return true;
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) return true;
+  return typeof source === "string" && BUNDLE_EXT.test(source.trim());
+}
+
+/**
+ * Read a bundle into Blobs by path (typed from the file extension).
+ * @param {Blob|ArrayBuffer|Uint8Array|string} source - string = URL to fetch
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs=30000] - URL sources only
+ * @returns {Promise<{ manifest: Object, files: Map<string, Blob>, name: string }>}
+ */
+export async function readBundle(source, { timeoutMs = 30000 } = {}) {
+  let name = "bundle";
+  let buf;
+  if (typeof source === "string") {
+    const ctrl = new AbortController();
+    const id = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const res = await fetch(source, { signal: ctrl.signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status} for ${source}`);
+      buf = await res.arrayBuffer();
+    } finally {
+      clearTimeout(id);
+    }
+    name = baseName(new URL(source, globalThis.location?.href).pathname);
+  } else if (typeof Blob !== "undefined" && source instanceof Blob) {
+    buf = await source.arrayBuffer();
+    if (source.name) name = baseName(source.name);
+  } else {
+    buf = source instanceof ArrayBuffer ? source : source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength);
+  }
+
+  const files = new Map();
+  for (const entry of unzip(new Uint8Array(buf))) {
+    if (entry.path.endsWith("/")) continue; // directory record
+    const bytes = entry.method === 0 ? entry.data : await inflate(entry.data, entry.path);
+    files.set(entry.path, new Blob([bytes], { type: mimeOf(entry.path) }));
+  }
+
+  const manifestBlob = files.get(BUNDLE_MANIFEST);
+  if (!manifestBlob) throw new Error(`Bundle "${name}": missing ${BUNDLE_MANIFEST} at the zip root`);
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestBlob.text());
+  } catch (err) {
+    throw new Error(`Bundle "${name}": ${BUNDLE_MANIFEST} is not valid JSON (${err.message})`);
+  }
+  return { manifest, files, name };
+}
+
+/**
+ * Zip a project: its raw manifest (asset paths rewritten to bundle paths), every asset it
+ * references and the strings files of its locales. data: URIs stay inline; assets that can't
+ * be fetched (e.g. cross-origin without CORS) keep their URL and are listed in 'skipped'.
+ *
+ * @param {string|{manifest: Object, manifestUrl: string}} project - project name, or a raw
+ *        manifest with the URL its relative paths resolve against
+ * @param {Object} [opts]
+ * @param {string} [opts.baseHref] - for project names (default: document base)
+ * @param {number} [opts.timeoutMs=30000] - per file
+ * @param {(info:{ done:number, total:number, path:string }) => void} [opts.onProgress]
+ * @returns {Promise<Blob & { skipped?: string[] }>} application/zip
+ */
+export async function exportBundle(project, { baseHref, timeoutMs = 30000, onProgress } = {}) {
+  let raw;
+  let manifestUrl;
+  if (typeof project === "string") {
+    const base = baseHref || document.baseURI || window.location.href;
+    manifestUrl = new URL(`projects/${encodeURIComponent(project)}/${BUNDLE_MANIFEST}`, base).href;
+    raw = await (await fetchOk(manifestUrl, timeoutMs)).json();
+  } else {
+    raw = project.manifest;
+    manifestUrl = project.manifestUrl;
+  }
+  const manifest = JSON.parse(JSON.stringify(raw));
+  const dir = new URL(".", manifestUrl).href;
+
+  // every asset reference: { obj, key, url } into the manifest copy
+  const refs = [];
+  const ref = (obj, key) => {
+    if (obj && typeof obj[key] === "string" && obj[key].trim() && !/^(data|blob):/i.test(obj[key].trim())) {
+      refs.push({ obj, key, url: new URL(obj[key].trim(), manifestUrl).href });
+    }
+  };
+  // media.fallback / media.sources: a path, or a list of paths / { src } entries
+  const refList = (obj, key) => {
+    const v = obj?.[key];
+    if (typeof v === "string") ref(obj, key);
+    else if (Array.isArray(v)) v.forEach((item, i) => (typeof item === "string" ? ref(v, i) : ref(item, "src")));
+  };
+  (manifest.scenes || []).forEach((s) => {
+    ref(s?.media, "src");
+    ref(s?.media, "poster");
+    refList(s?.media, "fallback");
+    refList(s?.media, "sources");
+    ref(s?.narration, "src");
+  });
+  ref(manifest.audio?.music, "src");
+
+  const entries = [];
+  const byUrl = new Map(); // url -> bundle path (assets shared by scenes are stored once)
+  const taken = new Set([BUNDLE_MANIFEST]);
+  const skipped = [];
+  const total = new Set(refs.map(r => r.url)).size;
+
+  for (const r of refs) {
+    if (!byUrl.has(r.url)) {
+      const path = bundlePath(r.url, dir, taken);
+      try {
+        const blob = await (await fetchOk(r.url, timeoutMs)).blob();
+        entries.push({ path, data: blob });
+        taken.add(path);
+        byUrl.set(r.url, path);
+      } catch {
+        byUrl.set(r.url, null);
+        skipped.push(r.url);
+      }
+      onProgress?.({ done: byUrl.size, total, path });
+    }
+    const path = byUrl.get(r.url);
+    r.obj[r.key] = path || r.url; // unreachable assets stay absolute
+  }
+
+  // strings files of the locales the manifest mentions (missing ones are fine)
+  for (const lang of listLocales(manifest)) {
+    const url = stringsURL(manifest, lang, manifestUrl);
+    if (!url || !url.startsWith(dir)) continue;
+    try {
+      entries.push({ path: decodeURIComponent(url.slice(dir.length)), data: await (await fetchOk(url, timeoutMs)).blob() });
+    } catch {
+      /* no strings file for this locale */
+    }
+  }
+
+  entries.unshift({ path: BUNDLE_MANIFEST, data: JSON.stringify(manifest, null, 2) });
+  const zip = await zipFiles(entries);
+  if (skipped.length) zip.skipped = skipped;
+  return zip;
+}
+
+/**
+ * Zip files (stored, no compression).
+ * @param {{ path: string, data: Blob|string|Uint8Array|ArrayBuffer }[]} files
+ * @returns {Promise<Blob>}
+ */
+export async function zipFiles(files) {
+  const enc = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  const stamp = dosTime(new Date());
+
+  for (const f of files) {
+    const name = enc.encode(f.path);
+    const data = await toBytes(f.data);
+    const crc = crc32(data);
+    const local = header(30, [
+      [0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [8, 0, 2], [10, stamp.time, 2], [12, stamp.date, 2],
+      [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, name.length, 2], [28, 0, 2]
+    ]);
+    central.push(concat([header(46, [
+      [0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [10, 0, 2], [12, stamp.time, 2],
+      [14, stamp.date, 2], [16, crc, 4], [20, data.length, 4], [24, data.length, 4], [28, name.length, 2],
+      [30, 0, 2], [32, 0, 2], [34, 0, 2], [36, 0, 2], [38, 0, 4], [42, offset, 4]
+    ]), name]));
+    chunks.push(local, name, data);
+    offset += local.length + name.length + data.length;
+  }
+
+  const dirSize = central.reduce((n, c) => n + c.length, 0);
+  const end = header(22, [
+    [0, 0x06054b50, 4], [4, 0, 2], [6, 0, 2], [8, files.length, 2], [10, files.length, 2],
+    [12, dirSize, 4], [16, offset, 4], [20, 0, 2]
+  ]);
+  return new Blob([...chunks, ...central, end], { type: "application/zip" });
+}
+
+/**
+ * Offer a Blob as a download.
+ * @param {Blob} blob
+ * @param {string} [filename="project.zdk"]
+ */
+export function saveBundle(blob, filename = "project.zdk") {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+/** Central directory → [{ path, method, data }] (data still compressed for method 8) */
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Bundle: not a zip file");
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || p === 0xffffffff) throw new Error("Bundle: zip64 archives are not supported");
+
+  const dec = new TextDecoder();
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("Bundle: corrupt zip directory");
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const local = view.getUint32(p + 42, true);
+    const path = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen)).replace(/^\.?\//, "");
+    if (method !== 0 && method !== 8) throw new Error(`Bundle: "${path}" uses unsupported compression (${method})`);
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    out.push({ path, method, data: bytes.subarray(start, start + size) });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return out;
+}
+
+async function inflate(data, path) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error(`Bundle: "${path}" is deflated and this browser can't inflate; re-zip without compression`);
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** Manifest-relative path for assets inside the project folder, else assets/<name> (deduped) */
+function bundlePath(url, dir, taken) {
+  const clean = url.split(/[?#]/)[0];
+  if (clean.startsWith(dir) && clean.length > dir.length) return decodeURIComponent(clean.slice(dir.length));
+  const name = baseName(new URL(clean).pathname) || "asset";
+  const dot = name.lastIndexOf(".");
+  const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+  let path = `assets/${name}`;
+  for (let n = 2; taken.has(path); n++) path = `assets/${stem}-${n}${ext}`;
+  return path;
+}
+
+async function fetchOk(url, timeoutMs) {
+  const ctrl = new AbortController();
+  const id = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { signal: ctrl.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    return res;
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+async function toBytes(data) {
+  if (typeof data === "string") return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+/** Little-endian fixed-size record from [offset, value, bytes] fields */
+function header(size, fields) {
+  const buf = new Uint8Array(size);
+  const view = new DataView(buf.buffer);
+  fields.forEach(([at, value, bytes]) => {
+    if (bytes === 4) view.setUint32(at, value >>> 0, true);
+    else view.setUint16(at, value, true);
+  });
+  return buf;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  parts.forEach((p) => { out.set(p, at); at += p.length; });
+  return out;
+}
+
+let CRC_TABLE = null;
+
+function crc32(bytes) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS date/time fields of a zip entry */
+function dosTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+function baseName(path) {
+  return decodeURIComponent(String(path).split("/").pop() || "");
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkBundle) {
+  window.ZdkBundle = { BUNDLE_MANIFEST, mimeOf, isBundleSource, readBundle, exportBundle, zipFiles, saveBundle };
+}
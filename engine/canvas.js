@@ -0,0 +1,1407 @@
+// engine/canvas.js
+/**
+ * Zodika Canvas Renderer — the story drawn on a <canvas> at the format's render size (1080×1920 for 9:16)
+ * - same manifest and playback API as ZdkCore (start/pause/resume/seek/renderAt/on/updateManifest),
+ *   so the preview controls drive either one
+ * - layers: media card with Ken Burns (kenburns.js), text roles in the brand fonts (reveals,
+ *   typewriter, panels + leaders, highlight/underline/shadow spans), callouts, scene transitions,
+ *   film grain and vignette; media.type "chart" wheels are painted by chart.js on the same clock
+ * - record(): canvas.captureStream() + MediaRecorder → WebM of the whole story, soundtrack included;
+ *   no screen recording, no body.recording-mode
+ * - the layout re-draws styles/brand.css at the preview size (short side 540 CSS px) scaled to
+ *   render pixels; it is not a DOM capture, so project-specific CSS doesn't reach it
+ *
+ * Usage (scripts/app.js, ?renderer=canvas):
+ *   import { ZdkCanvas, saveRecording } from "./engine/canvas.js";
+ *   const player = new ZdkCanvas({ mount, manifest, debug: false });
+ *   await player.start();
+ *   saveRecording(await player.record({ fps: 30 }), "post1.webm");
+ */
+
+import { ZdkCore } from "./core.js";
+import { ZdkAudio } from "./audio.js";
+import { applyAutoTiming, readingWarnings } from "./timing.js";
+import { resolveFormat, applyFormat } from "./formats.js";
+import { isCustomKenBurns, planKenBurns } from "./kenburns.js";
+import { SANITIZE_MODES, sanitizeManifest, formatRemoved } from "./sanitize.js";
+import { saveBundle } from "./bundle.js";
+import { CHART_EASING, planChart, chartPoint, paintChart } from "./chart.js";
+
+/** brand.css sizes are CSS px of a preview frame with this short side */
+const PREVIEW_SHORT_SIDE = 540;
+
+/** MediaRecorder types tried in order (first supported wins) */
+export const RECORD_TYPES = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"];
+
+/** Live playback tolerates this much video drift (s) before re-seeking (as ZdkCore) */
+const VIDEO_DRIFT_MAX = 0.25;
+
+const FONTS = {
+  serif: "\"Playfair Display\", \"Lora\", Georgia, serif",
+  sans: "Inter, system-ui, -apple-system, \"Segoe UI\", Roboto, Arial, sans-serif",
+  mono: "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace"
+};
+
+/** Text roles (brand.css typography + the 9:16 overrides); sizes in preview CSS px, margins in em */
+const ROLES = {
+  title:    { font: "serif", weight: 700, size: 36, lh: 1.16, color: "ink",   before: 0,   after: 0.35, reveal: "fx-fade-up" },
+  subtitle: { font: "serif", weight: 700, size: 22, lh: 1.45, color: "plum",  before: 0.2, after: 0.5,  reveal: "fx-fade-up" },
+  lead:     { font: "sans",  weight: 400, size: 24, lh: 1.34, color: "muted", before: 0.5, after: 0.5,  reveal: "fx-fade-up" },
+  body:     { font: "sans",  weight: 400, size: 22, lh: 1.45, color: "ink",   before: 0.6, after: 0.6,  reveal: "fx-fade" },
+  caption:  { font: "sans",  weight: 400, size: 16, lh: 1.4,  color: "ink",   before: 0,   after: 0,    reveal: "fx-fade" }
+};
+
+const PALETTES = {
+  light: {
+    frame: "#fffdf8", ink: "#29281e", plum: "#48252f", muted: "#857861", sand: "#e7d4bb", ivory: "#fffbf4", accent: "#caa27a",
+    caption: ["rgba(255,255,255,0)", "rgba(255,255,255,.65)"], captionInk: "rgba(41,40,30,.8)",
+    bubble: "rgba(255,251,244,.88)", bubbleLine: "#e7d4bb", bubbleInk: "#29281e"
+  },
+  dark: {
+    frame: "#181615", ink: "#29281e", plum: "#48252f", muted: "#857861", sand: "#e7d4bb", ivory: "#fffbf4", accent: "#caa27a",
+    caption: ["rgba(0,0,0,0)", "rgba(0,0,0,.55)"], captionInk: "rgba(255,255,255,.92)",
+    bubble: "rgba(72,37,47,.25)", bubbleLine: "rgba(72,37,47,.3)", bubbleInk: "#f7f1e8"
+  }
+};
+
+/** Text reveal classes (effects.css / brand.css): seconds, and the hidden state they ease out of */
+const REVEALS = {
+  "fx-fade":      { dur: 0.5 },
+  "fx-fade-up":   { dur: 0.5, dy: 10 },
+  "fx-rise":      { dur: 0.48, dy: 10 },
+  "fx-fade-left": { dur: 0.6, dx: 12 },
+  "fx-scale-in":  { dur: 0.6, scale: 0.98 },
+  "fx-focus-in":  { dur: 0.9, blur: 6 }
+};
+const DURS = { "dur-1": 0.35, "dur-2": 0.6, "dur-3": 0.9, "dur-4": 1.2 };
+const DELAYS = { "delay-0": 0, "delay-1": 0.12, "delay-2": 0.24, "delay-300": 0.3, "delay-600": 0.6, "delay-900": 0.9 };
+
+/**
+ * Scene transition classes (the 'enter'/'exit' of ZdkCore.registerTransition) → canvas painters.
+ * p is the eased progress; dx is a fraction of the frame width, dy preview px.
+ * Classes without a painter cut (like a class with no CSS).
+ */
+const SCENE_FX = {
+  "fx-crossfade-enter": { dur: 0.9, paint: p => ({ alpha: p }) },
+  "fx-crossfade-exit":  { dur: 0.9, paint: p => ({ alpha: 1 - p }) },
+  "fx-swipe-enter":     { dur: 0.9, paint: (p, dir) => ({ alpha: p, dx: (1 - p) * dir }) },
+  "fx-swipe-exit":      { dur: 0.9, paint: (p, dir) => ({ alpha: 1 - p, dx: -p * dir }) },
+  "fx-zoom-in":         { dur: 0.9, paint: p => ({ alpha: p, scale: 1.06 - 0.06 * p }) },
+  "fx-zoom-out":        { dur: 0.9, paint: p => ({ alpha: 1 - p, scale: 1 - 0.04 * p }) },
+  "fx-light-wipe":      { dur: 1.2, ease: "ease", paint: p => ({ wipe: p }) },
+  "scene-enter":        { dur: 0.46, paint: p => ({ alpha: p, clip: 1 - p }) },
+  "scene-exit":         { dur: 0.42, ease: "ease", paint: p => ({ alpha: 1 - p, dy: 6 * p }) }
+};
+
+/** Used when a typed block sets neither typing.dur nor --type-dur (typewriter.js default) */
+const TYPE_DUR = 2.2;
+
+export class ZdkCanvas extends EventTarget {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.mount - frame element (.frame-916); the canvas is appended to it
+   * @param {Object} options.manifest - timeline manifest (see core.js)
+   * @param {string} [options.format] - overrides manifest.format
+   * @param {boolean} [options.debug=false]
+   * @param {"permissive"|"strict"} [options.sanitize="permissive"] - html allowlist mode (sanitize.js)
+   * @param {boolean} [options.grain=true] - film grain overlay
+   * @param {boolean} [options.vignette=true] - vignette overlay
+   */
+  constructor({ mount, manifest, format, debug = false, sanitize = "permissive", grain = true, vignette = true } = {}) {
+    super();
+    if (!mount) throw new Error("ZdkCanvas: 'mount' is required");
+    if (!manifest || !Array.isArray(manifest.scenes)) {
+      throw new Error("ZdkCanvas: 'manifest.scenes' is required");
+    }
+    this.mount = mount;
+    this.debug = debug;
+    this.sanitize = SANITIZE_MODES.includes(sanitize) ? sanitize : "permissive";
+    this.overlays = { grain, vignette };
+    this._formatOverride = format || null;
+    this.format = resolveFormat(format || manifest.format);
+    this.manifest = this.#normalizeManifest(manifest, this.format.name);
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.className = "zdk-canvas";
+    this.canvas.setAttribute("role", "img");
+    this.canvas.setAttribute("aria-label", "story");
+    this.ctx = this.canvas.getContext("2d");
+    mount.appendChild(this.canvas);
+    this.#applyFormat();
+
+    const audio = new ZdkAudio({ manifest: this.manifest, debug });
+    this.audio = audio.enabled ? audio : null;
+
+    // playback state (same clock model as ZdkCore)
+    this._raf = null;
+    this._clock = { wall: 0, t: 0 };
+    this._rate = 1;
+    this._now = 0;
+    this._last = 0;                 // previous live frame time (reveal events)
+    this._running = false;
+    this._virtual = false;
+    this._recording = null;
+    this._renderQueue = Promise.resolve();
+    this._activeIndex = -1;
+
+    this._media = new Map();   // scene index -> { el, ok, ready }
+    this._layouts = new Map(); // scene index -> text/callout layout
+    this._grain = null;
+
+    // brand fonts must be in before anything is measured
+    this.ready = loadFonts().then(() => this._layouts.clear());
+
+    document.documentElement.classList.toggle("theme--dark", this.manifest.theme === "dark");
+    if (this.debug) {
+      mount.classList.add("debug-safe");
+      // eslint-disable-next-line no-console
+      console.info("[ZdkCanvas] Manifest:", this.manifest);
+    }
+    this.#draw(0);
+  }
+
+  /** Public: start playback (from 0) */
+  async start() {
+    await this.ready;
+    await Promise.all([0, 1].map(i => this.#loadMedia(i)));
+    this.#halt();
+    this._virtual = false;
+    this._activeIndex = -1;
+    this.#runFrom(0);
+  }
+
+  /**
+   * Public: stop playback; optionally show the final frame.
+   * @returns {Promise<void>}
+   */
+  async stop(toEnd = false) {
+    this.#halt();
+    if (toEnd) await this.#queueRender(this.getDuration());
+  }
+
+  /** Public: freeze playback at the current time */
+  async pause() {
+    if (!this._running) return;
+    const now = this.getTime();
+    this.#halt();
+    await this.#queueRender(now);
+  }
+
+  /** Public: continue live playback from the current time */
+  async resume() {
+    if (this._running) return;
+    const now = this._now;
+    await this.#queueRender(now);
+    if (this._running) return;
+    this._virtual = false;
+    this.#runFrom(now);
+  }
+
+  /**
+   * Public: jump to t (seconds); keeps playing if it was running.
+   * @param {number} t
+   */
+  async seek(t) {
+    const wasRunning = this._running;
+    const now = this.#clampTime(t);
+    this.#halt();
+    await this.#queueRender(now);
+    if (wasRunning) await this.resume();
+  }
+
+  /**
+   * Public: playback speed (1 = real time); recording always runs at 1.
+   * @param {number} r - 0.0625..16
+   */
+  setRate(r) {
+    const rate = Math.max(0.0625, Math.min(16, Number(r) || 1));
+    if (this._running) this._clock = { wall: performance.now(), t: this.getTime() };
+    this._rate = rate;
+    this.audio?.setRate(rate);
+    this._media.forEach(({ el }, i) => {
+      if (el?.tagName === "VIDEO") el.playbackRate = this.#videoRate(this.manifest.scenes[i]);
+    });
+  }
+
+  /** Public: current playback speed */
+  getRate() {
+    return this._rate;
+  }
+
+  /** Public: current story time in seconds */
+  getTime() {
+    if (!this._running) return this._now;
+    const elapsed = Math.max(0, performance.now() - this._clock.wall) / 1000;
+    return this._clock.t + elapsed * this._rate;
+  }
+
+  /** Public: playback state */
+  isPlaying() {
+    return this._running;
+  }
+
+  /** Public: true while record() runs */
+  isRecording() {
+    return !!this._recording;
+  }
+
+  /**
+   * Public: subscribe to playback events (same names and details as ZdkCore.on);
+   * returns an unsubscribe function.
+   * @param {string} type
+   * @param {(detail:Object, event:CustomEvent) => void} handler
+   */
+  on(type, handler) {
+    const listener = (e) => handler(e.detail, e);
+    this.addEventListener(type, listener);
+    return () => this.removeEventListener(type, listener);
+  }
+
+  /**
+   * Public: deterministic frame at time t (media loaded, video clips seeked).
+   * @param {number} t
+   */
+  renderAt(t) {
+    this.#halt();
+    this._virtual = true;
+    return this.#queueRender(this.#clampTime(t));
+  }
+
+  /** Public: total story length in seconds */
+  getDuration() {
+    return this.manifest.scenes.reduce((end, s) => Math.max(end, s.t + s.d), 0);
+  }
+
+  /** Public: active frame format { name, ratio, w, h, safe } */
+  getFormat() {
+    return this.format;
+  }
+
+  /**
+   * Public: swap in an edited manifest (live-reload, dropped bundle); every scene is re-drawn.
+   * Emits "manifestchange" { changed, time }.
+   * @param {Object} manifest
+   * @returns {Promise<number[]>} indices of the scenes (all of them)
+   */
+  async updateManifest(manifest) {
+    if (!manifest || !Array.isArray(manifest.scenes)) {
+      throw new Error("ZdkCanvas: 'manifest.scenes' is required");
+    }
+    const format = resolveFormat(this._formatOverride || manifest.format);
+    const next = this.#normalizeManifest(manifest, format.name);
+    const wasRunning = this._running;
+    const now = this.getTime();
+    this.#halt();
+
+    this.format = format;
+    this.#applyFormat();
+    this.#releaseMedia();
+    this._layouts.clear();
+    this.manifest = next;
+    this.audio?.destroy();
+    const audio = new ZdkAudio({ manifest: next, debug: this.debug });
+    this.audio = audio.enabled ? audio : null;
+    this.audio?.setRate(this._rate);
+    document.documentElement.classList.toggle("theme--dark", next.theme === "dark");
+
+    await this.#queueRender(this.#clampTime(now));
+    if (wasRunning) await this.resume();
+    const changed = next.scenes.map((_, i) => i);
+    this.#emit("manifestchange", { changed, time: this._now });
+    return changed;
+  }
+
+  /**
+   * Public: play the whole story once in real time and record the canvas (and soundtrack) as WebM.
+   * @param {Object} [opts]
+   * @param {number} [opts.fps=30]
+   * @param {string} [opts.mimeType] - default: first supported of RECORD_TYPES
+   * @param {number} [opts.videoBitsPerSecond=8000000]
+   * @param {boolean} [opts.audio=true] - include manifest.audio / narration
+   * @param {(progress:number) => void} [opts.onProgress] - 0..1 while recording
+   * @returns {Promise<Blob>}
+   */
+  async record({ fps = 30, mimeType, videoBitsPerSecond = 8_000_000, audio = true, onProgress } = {}) {
+    if (this._recording) throw new Error("ZdkCanvas.record: already recording");
+    if (typeof MediaRecorder === "undefined" || typeof this.canvas.captureStream !== "function") {
+      throw new Error("ZdkCanvas.record: this browser can't record a canvas (MediaRecorder / captureStream)");
+    }
+    const type = mimeType || RECORD_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+    if (!type) throw new Error("ZdkCanvas.record: WebM recording is not supported here");
+
+    await this.ready;
+    await Promise.all(this.manifest.scenes.map((_, i) => this.#loadMedia(i)));
+    const stream = this.canvas.captureStream(fps);
+    if (audio && this.audio) this.audio.stream().getAudioTracks().forEach(t => stream.addTrack(t));
+
+    const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond });
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data?.size) chunks.push(e.data); };
+    const done = new Promise((resolve, reject) => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: type.split(";")[0] }));
+      recorder.onerror = (e) => reject(e.error || new Error("ZdkCanvas.record: recording failed"));
+    });
+
+    const rate = this._rate;
+    const total = this.getDuration();
+    this._recording = recorder;
+    this.setRate(1);
+    const offTick = this.on("tick", ({ time }) => onProgress?.(Math.min(1, time / total)));
+    try {
+      this.#halt();
+      this._virtual = false;
+      await this.#queueRender(0);
+      recorder.start(1000);
+      const ended = new Promise(res => { const off = this.on("ended", () => { off(); res(); }); });
+      this.#runFrom(0);
+      await ended;
+      await sleep(250); // last frame reaches the encoder
+      recorder.stop();
+      return await done;
+    } finally {
+      offTick();
+      stream.getVideoTracks().forEach(t => t.stop());
+      this._recording = null;
+      this.setRate(rate);
+      if (this.debug) {
+        // eslint-disable-next-line no-console
+        console.info(`[ZdkCanvas] Recorded ${total.toFixed(1)}s as ${type}, ${chunks.length} chunks`);
+      }
+    }
+  }
+
+  /* -------------------------------- internals -------------------------------- */
+
+  /** Same normalization as ZdkCore: auto timing, format overrides, sanitized html, chained 't' */
+  #normalizeManifest(manifest, formatName) {
+    const { manifest: safe, issues } = sanitizeManifest(applyFormat(applyAutoTiming(manifest), formatName), { mode: this.sanitize });
+    if (this.debug) {
+      // eslint-disable-next-line no-console
+      issues.forEach(issue => console.warn(`[ZdkCanvas] html stripped ${formatRemoved(issue)}`));
+    }
+    const m = structuredClone(safe);
+    let cursor = 0;
+    m.scenes.forEach((s, i) => {
+      if (typeof s.d !== "number" || s.d <= 0) {
+        throw new Error(`Manifest: scene[${i}] missing positive duration 'd'`);
+      }
+      if (typeof s.t !== "number") s.t = cursor;
+      cursor = s.t + s.d;
+    });
+    if (this.debug) {
+      // eslint-disable-next-line no-console
+      readingWarnings(m).forEach(w => console.warn(`[ZdkCanvas] ${w.path} ${w.message}`));
+    }
+    return m;
+  }
+
+  /** Render size on the canvas, frame ratio on the mount (brand.css) */
+  #applyFormat() {
+    const { name, ratio, w, h, safe } = this.format;
+    this.canvas.width = w;
+    this.canvas.height = h;
+    this.unit = Math.min(w, h) / PREVIEW_SHORT_SIDE;
+    this.mount.dataset.format = name;
+    this.mount.dataset.renderer = "canvas";
+    this.mount.style.setProperty("--ar-w", String(ratio[0]));
+    this.mount.style.setProperty("--ar-h", String(ratio[1]));
+    this.mount.style.setProperty("--frame-w", `${w}px`);
+    this.mount.style.setProperty("--frame-h", `${h}px`);
+    this.mount.style.setProperty("--safe-top", `${safe.top}px`);
+    this.mount.style.setProperty("--safe-bottom", `${safe.bottom}px`);
+  }
+
+  #runFrom(t) {
+    this._running = true;
+    this._clock = { wall: performance.now(), t };
+    this._now = t;
+    this._last = t - 1e-6;
+
+    const loop = () => {
+      if (!this._running) return;
+      const now = this.getTime();
+      this._now = now;
+      this.audio?.update(now, true);
+      this.#syncVideos(now, true);
+      const idx = this.#draw(now);
+      this.#emitReveals(idx, this._last, now);
+      this._last = now;
+      this.#emit("tick", { time: now, scene: idx });
+
+      if (now > this.getDuration() + 0.25) {
+        // "ended" after the final frame's render (and its tick), so listeners see the end last
+        this.stop(true).catch(() => null).then(() => this.#emit("ended", { time: now }));
+        return;
+      }
+      if (idx + 1 < this.manifest.scenes.length) this.#loadMedia(idx + 1);
+      this._raf = requestAnimationFrame(loop);
+    };
+    this._raf = requestAnimationFrame(loop);
+  }
+
+  #halt() {
+    if (this._running) this._now = this.getTime();
+    if (this._raf) cancelAnimationFrame(this._raf);
+    this._raf = null;
+    this._running = false;
+    this._media.forEach(({ el }) => { if (el?.tagName === "VIDEO") el.pause(); });
+    this.audio?.pause();
+  }
+
+  #queueRender(now) {
+    this._renderQueue = this._renderQueue
+      .catch(() => null)
+      .then(() => this.#renderState(now));
+    return this._renderQueue;
+  }
+
+  /** Frame at 'now' with every visible scene's media loaded and clips on the exact frame */
+  async #renderState(now) {
+    await this.ready;
+    const visible = this.#visibleScenes(now);
+    await Promise.all(visible.map(({ index }) => this.#loadMedia(index)));
+    await this.#syncVideos(now, false);
+    this.audio?.update(now, false);
+    this._now = now;
+    const idx = this.#draw(now);
+    const prev = this._activeIndex;
+    this._activeIndex = idx;
+    if (prev !== idx) this.#emit("scenechange", { from: prev, to: idx, time: now });
+    this.#emit("tick", { time: now, scene: idx });
+  }
+
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  #clampTime(t) {
+    const n = Number(t);
+    return Math.max(0, Math.min(this.getDuration(), isFinite(n) ? n : 0));
+  }
+
+  /** Active scene index at 'now' (the last one holds once the story ended) */
+  #sceneIndexAt(now) {
+    const scenes = this.manifest.scenes;
+    const i = scenes.findIndex(s => now >= s.t && now < s.t + s.d);
+    return i < 0 && now >= this.getDuration() ? scenes.length - 1 : i;
+  }
+
+  /** Scenes on screen at 'now', bottom to top: the active one plus any still exiting */
+  #visibleScenes(now) {
+    const idx = this.#sceneIndexAt(now);
+    const list = [];
+    this.manifest.scenes.forEach((s, i) => {
+      const end = s.t + s.d;
+      if (i === idx) list.push({ index: i, phase: "enter", sec: now - s.t });
+      else if (now >= end && now < end + this.#exitSeconds(s)) list.push({ index: i, phase: "exit", sec: now - end });
+    });
+    return list;
+  }
+
+  #exitSeconds(scene) {
+    return (ZdkCore.getTransition(scene.transitionOut || scene.transitionIn) || ZdkCore.getTransition("crossfade")).durationMs / 1000;
+  }
+
+  /** textin / calloutin / scenechange between two live frames */
+  #emitReveals(idx, prev, now) {
+    if (idx !== this._activeIndex) {
+      this.#emit("scenechange", { from: this._activeIndex, to: idx, time: now });
+      this._activeIndex = idx;
+    }
+    const s = this.manifest.scenes[idx];
+    if (!s) return;
+    (s.text || []).forEach((b, i) => {
+      const due = s.t + (b.at ?? 0);
+      if (prev < due && due <= now) this.#emit("textin", { scene: idx, index: i, role: b.role || "body", time: now });
+    });
+    (s.callouts || []).forEach((c, i) => {
+      const due = s.t + (c.at ?? 0);
+      if (prev < due && due <= now) this.#emit("calloutin", { scene: idx, index: i, time: now });
+    });
+  }
+
+  /* ------------------------------- media ---------------------------------- */
+
+  /** Load a scene's image/clip once (src, then media.fallback); resolves to the cache entry */
+  #loadMedia(index) {
+    const m = this.manifest.scenes[index]?.media;
+    if (!m) return Promise.resolve(null);
+    if (this._media.has(index)) return this._media.get(index).ready;
+    if (m.type === "chart") {
+      // drawn, nothing to load
+      const entry = { el: null, ok: true, ready: null };
+      entry.ready = Promise.resolve(entry);
+      this._media.set(index, entry);
+      return entry.ready;
+    }
+    const entry = { el: null, ok: false, ready: null };
+    const candidates = m.missing ? [] : [m.src, ...(m.fallback || []).map(f => f.src)].filter(Boolean);
+    entry.ready = (async () => {
+      for (const src of candidates) {
+        const el = m.type === "video" ? createVideo(m, src) : createImage(src);
+        if (await waitMedia(el)) {
+          Object.assign(entry, { el, ok: true });
+          return entry;
+        }
+        if (this.debug) {
+          // eslint-disable-next-line no-console
+          console.warn(`[ZdkCanvas] media failed: ${src}`);
+        }
+      }
+      return entry;
+    })();
+    this._media.set(index, entry);
+    return entry.ready;
+  }
+
+  /** Clips follow the clock: played and drift-corrected live, paused and seeked otherwise */
+  async #syncVideos(now, playing) {
+    const on = new Set(this.#visibleScenes(now).map(v => v.index));
+    const seeks = [];
+    this._media.forEach(({ el }, i) => {
+      if (el?.tagName !== "VIDEO") return;
+      const s = this.manifest.scenes[i];
+      if (!on.has(i)) {
+        if (!el.paused) el.pause();
+        return;
+      }
+      const want = videoTimeAt(el, s, Math.min(now - s.t, s.d));
+      el.playbackRate = this.#videoRate(s);
+      if (playing) {
+        if (!el.seeking && Math.abs(el.currentTime - want) > VIDEO_DRIFT_MAX) el.currentTime = want;
+        if (el.paused && now < s.t + s.d) el.play().catch(() => null);
+      } else {
+        el.pause();
+        seeks.push(seekVideo(el, want));
+      }
+    });
+    await Promise.all(seeks);
+  }
+
+  #videoRate(scene) {
+    return (scene?.media?.playbackRate || 1) * this._rate;
+  }
+
+  #releaseMedia() {
+    this._media.forEach(({ el }) => {
+      if (el?.tagName !== "VIDEO") return;
+      el.pause();
+      el.removeAttribute("src");
+      el.load();
+    });
+    this._media.clear();
+  }
+
+  /* ------------------------------- drawing -------------------------------- */
+
+  /** Paint the frame at 'now'; returns the active scene index */
+  #draw(now) {
+    const { ctx } = this;
+    const { w: W, h: H } = this.format;
+    const pal = PALETTES[this.manifest.theme === "dark" ? "dark" : "light"];
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.filter = "none";
+    ctx.fillStyle = pal.frame;
+    ctx.fillRect(0, 0, W, H);
+
+    this.#visibleScenes(now).forEach(({ index, phase, sec }) => {
+      const s = this.manifest.scenes[index];
+      const fx = this.#sceneFx(s, phase, sec);
+      ctx.save();
+      ctx.globalAlpha = clamp01(fx.alpha ?? 1);
+      if (fx.clip > 0) {
+        ctx.beginPath();
+        ctx.rect(0, 0, W, H * (1 - fx.clip));
+        ctx.clip();
+      }
+      ctx.translate(W / 2 + (fx.dx || 0) * W, H / 2 + (fx.dy || 0) * this.unit);
+      ctx.scale(fx.scale || 1, fx.scale || 1);
+      ctx.translate(-W / 2, -H / 2);
+      this.#drawScene(index, Math.min(phase === "exit" ? s.d + sec : sec, s.d), pal);
+      if (fx.wipe != null) this.#drawLightWipe(fx.wipe);
+      ctx.restore();
+    });
+
+    if (this.overlays.vignette) this.#drawVignette();
+    if (this.overlays.grain) this.#drawGrain(now);
+    return this.#sceneIndexAt(now);
+  }
+
+  /** Transition state of a scene container 'sec' seconds into its enter/exit */
+  #sceneFx(scene, phase, sec) {
+    const name = phase === "enter" ? scene.transitionIn : scene.transitionOut || scene.transitionIn;
+    const def = ZdkCore.getTransition(name) || ZdkCore.getTransition("crossfade");
+    const cls = (phase === "enter" ? def.enter : def.exit).find(c => SCENE_FX[c]);
+    if (!cls) return {};
+    const { dur, ease = "fx", paint } = SCENE_FX[cls];
+    const p = easing(ease)(clamp01(sec / dur));
+    return paint(p, Number(def.vars?.["--dir"] ?? 1) || 1);
+  }
+
+  #drawScene(index, tLocal, pal) {
+    const s = this.manifest.scenes[index];
+    const layout = this.#layout(index);
+    this.#drawMedia(index, s, layout.photo, tLocal, pal);
+    layout.blocks.forEach(b => this.#drawBlock(b, tLocal, pal));
+    layout.callouts.forEach(c => this.#drawCallout(c, tLocal, pal));
+  }
+
+  /** Photo card (brand.css .photo): contained media with Ken Burns (or a chart), top scrim, credit pill */
+  #drawMedia(index, s, r, tLocal, pal) {
+    const { ctx, unit: u } = this;
+    const m = s.media || {};
+    const entry = this._media.get(index);
+    const { chart } = this.#layout(index);
+    ctx.save();
+    ctx.shadowColor = "rgba(16,18,17,.12)";
+    ctx.shadowBlur = 30 * u;
+    ctx.shadowOffsetY = 10 * u;
+    roundRect(ctx, r.x, r.y, r.w, r.h, 20 * u);
+    const bg = ctx.createLinearGradient(0, r.y, 0, r.y + r.h);
+    bg.addColorStop(0, "#fffaf2");
+    bg.addColorStop(1, "#fff6ea");
+    ctx.fillStyle = bg;
+    ctx.fill();
+    ctx.shadowColor = "transparent";
+    ctx.clip();
+
+    const el = entry?.ok ? entry.el : null;
+    if (chart) {
+      paintChart(ctx, chart, r, tLocal, pal, easing(CHART_EASING));
+    } else if (el) {
+      const iw = el.videoWidth || el.naturalWidth || r.w;
+      const ih = el.videoHeight || el.naturalHeight || r.h;
+      const plan = planKenBurns({
+        box: { w: r.w, h: r.h },
+        image: { w: iw, h: ih },
+        fit: "contain",
+        focus: m.focus,
+        kenburns: m.kenburns
+      });
+      const custom = isCustomKenBurns(m);
+      const dur = custom ? Math.max(3, s.d) : /slow/.test(m.kenburns || "") ? 8 : 6;
+      const kb = m.kenburns || m.focus ? sampleFrames(plan.frames, easing(custom ? plan.easing : "linear")(clamp01(tLocal / dur))) : { x: 0, y: 0, k: 1 };
+      const k = Math.min(r.w / iw, r.h / ih);
+      ctx.save();
+      ctx.translate(r.x + kb.x * r.w, r.y + kb.y * r.h);
+      ctx.scale(kb.k, kb.k);
+      ctx.filter = "saturate(1) contrast(1.02)";
+      ctx.drawImage(el, (r.w - iw * k) / 2, (r.h - ih * k) / 2, iw * k, ih * k);
+      ctx.restore();
+    } else if (entry && !entry.ok) {
+      this.#drawPlaceholder(m, r, pal);
+    }
+
+    // scrim for text laid over the top of the photo (not over a chart's top signs)
+    if (!chart) {
+      const scrim = ctx.createLinearGradient(0, r.y, 0, r.y + r.h * 0.32);
+      scrim.addColorStop(0, "rgba(255,251,244,.92)");
+      scrim.addColorStop(1, "rgba(255,251,244,0)");
+      ctx.fillStyle = scrim;
+      ctx.fillRect(r.x, r.y, r.w, r.h * 0.32);
+    }
+    ctx.restore();
+
+    ctx.save();
+    roundRect(ctx, r.x, r.y, r.w, r.h, 20 * u);
+    ctx.strokeStyle = "rgba(231,212,187,.78)";
+    ctx.lineWidth = u;
+    ctx.stroke();
+    ctx.restore();
+
+    if (m.credit) {
+      ctx.save();
+      ctx.font = `400 ${12 * u}px ${FONTS.sans}`;
+      const tw = ctx.measureText(m.credit).width;
+      const ph = 24 * u;
+      const pw = tw + 20 * u;
+      const px = r.x + r.w - 10 * u - pw;
+      const py = r.y + r.h - 10 * u - ph;
+      ctx.globalAlpha *= 0.82;
+      roundRect(ctx, px, py, pw, ph, ph / 2);
+      ctx.fillStyle = "rgba(255,255,255,.72)";
+      ctx.fill();
+      ctx.strokeStyle = "rgba(231,212,187,.7)";
+      ctx.lineWidth = u;
+      ctx.stroke();
+      ctx.fillStyle = "rgba(41,40,30,.72)";
+      ctx.textBaseline = "middle";
+      ctx.fillText(m.credit, px + 10 * u, py + ph / 2);
+      ctx.restore();
+    }
+  }
+
+  /** Branded stand-in for media that never loaded (brand.css .zdk-missing) */
+  #drawPlaceholder(m, r, pal) {
+    const { ctx, unit: u } = this;
+    const g = ctx.createLinearGradient(0, r.y, 0, r.y + r.h);
+    g.addColorStop(0, pal.ivory);
+    g.addColorStop(1, pal.sand);
+    ctx.fillStyle = g;
+    ctx.fillRect(r.x, r.y, r.w, r.h);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = pal.plum;
+    ctx.font = `700 ${22 * u}px ${FONTS.serif}`;
+    ctx.fillText("zodika", r.x + r.w / 2, r.y + r.h / 2 - 12 * u);
+    ctx.fillStyle = pal.muted;
+    ctx.font = `400 ${16 * u}px ${FONTS.sans}`;
+    ctx.fillText(m.type === "video" ? "vídeo indisponível" : "imagem indisponível", r.x + r.w / 2, r.y + r.h / 2 + 16 * u);
+    ctx.textAlign = "start";
+  }
+
+  /** One text block: reveal (opacity/offset/blur), optional panel + leader, typed prefix */
+  #drawBlock(b, tLocal, pal) {
+    const sec = tLocal - b.at;
+    if (sec < 0) return;
+    const { ctx, unit: u } = this;
+    const r = reveal(b.classes, sec);
+    ctx.save();
+    if (b.panel) {
+      ctx.save();
+      ctx.globalAlpha *= easing("fx")(clamp01(sec / REVEALS["fx-fade"].dur));
+      if (b.pointer) this.#drawLeader(b.panel, b.pointer, pal);
+      ctx.shadowColor = "rgba(16,18,17,.10)";
+      ctx.shadowBlur = 24 * u;
+      ctx.shadowOffsetY = 8 * u;
+      roundRect(ctx, b.panel.x, b.panel.y, b.panel.w, b.panel.h, 16 * u);
+      ctx.fillStyle = "rgba(255,251,244,.78)";
+      ctx.fill();
+      ctx.shadowColor = "transparent";
+      ctx.strokeStyle = "rgba(231,212,187,.7)";
+      ctx.lineWidth = u;
+      ctx.stroke();
+      ctx.restore();
+    }
+    if (b.role === "caption") {
+      const g = ctx.createLinearGradient(0, b.box.y, 0, b.box.y + b.box.h);
+      g.addColorStop(0, pal.caption[0]);
+      g.addColorStop(1, pal.caption[1]);
+      ctx.save();
+      ctx.globalAlpha *= r.alpha;
+      roundRect(ctx, b.box.x, b.box.y, b.box.w, b.box.h, 12 * u);
+      ctx.fillStyle = g;
+      ctx.fill();
+      ctx.restore();
+    }
+    ctx.globalAlpha *= r.alpha;
+    if (r.blur > 0) ctx.filter = `blur(${r.blur * u}px)`;
+    const cx = b.x + b.w / 2;
+    const cy = b.y + b.h / 2;
+    ctx.translate(cx + r.dx * u, cy + r.dy * u);
+    ctx.scale(r.scale, r.scale);
+    ctx.translate(-cx, -cy);
+    const shown = b.typing ? typedCount(b.text, sec / b.typing.dur) : Infinity;
+    drawText(ctx, b.text, b.x, b.y, shown, pal, u);
+    if (b.typing?.caret && shown < b.text.count && sec % 1 < 0.5) { // caretBlink: 1s, hidden from 50%
+      drawCaret(ctx, b.text, b.x, b.y, shown, pal, u);
+    }
+    ctx.restore();
+  }
+
+  /** Leader from the panel edge facing the pointer to the pointer (as ZdkCore #drawLeader) */
+  #drawLeader(p, pointer, pal) {
+    const { ctx, unit: u } = this;
+    const { w: W, h: H } = this.format;
+    const tx = clamp01(pointer.x ?? 0.5) * W;
+    const ty = clamp01(pointer.y ?? 0.5) * H;
+    const inset = 16 * u;
+    let sx, sy;
+    if (ty > p.y + p.h || ty < p.y) {
+      sx = Math.max(p.x + inset, Math.min(p.x + p.w - inset, tx));
+      sy = ty > p.y + p.h ? p.y + p.h : p.y;
+    } else {
+      sx = tx < p.x ? p.x : p.x + p.w;
+      sy = Math.max(p.y + inset, Math.min(p.y + p.h - inset, ty));
+    }
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(sx, sy);
+    ctx.quadraticCurveTo(sx, ty, tx, ty);
+    ctx.strokeStyle = "#24131a";
+    ctx.globalAlpha *= 0.65;
+    ctx.lineWidth = 2 * u;
+    ctx.stroke();
+    ctx.restore();
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(tx, ty, 4 * u, 0, Math.PI * 2);
+    ctx.fillStyle = pal.plum;
+    ctx.globalAlpha *= 0.85;
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /** Callout: the line draws, then the bubble pops (effects.css section 6); flipped ones point left */
+  #drawCallout(c, tLocal, pal) {
+    const sec = tLocal - c.at;
+    if (sec < 0) return;
+    const { ctx, unit: u } = this;
+    const lineAlpha = clamp01(sec / 0.35);
+    const lineScale = easing("fx")(clamp01(sec / 0.6));
+    const bub = easing("fx")(clamp01((sec - 0.12) / 0.6));
+    const midY = c.y + c.h / 2;
+
+    ctx.save();
+    ctx.globalAlpha *= lineAlpha;
+    const dir = c.flip ? -1 : 1;
+    const g = ctx.createLinearGradient(c.x, 0, c.x + dir * 72 * u, 0);
+    g.addColorStop(0, "rgba(72,37,47,.32)");
+    g.addColorStop(1, "rgba(72,37,47,0)");
+    ctx.fillStyle = g;
+    const len = 72 * u * lineScale;
+    roundRect(ctx, c.flip ? c.x - len : c.x, midY - u, len, 2 * u, u);
+    ctx.fill();
+    ctx.restore();
+
+    if (bub <= 0) return;
+    ctx.save();
+    ctx.globalAlpha *= bub;
+    ctx.translate(0, (1 - bub) * 4 * u);
+    ctx.shadowColor = "rgba(16,18,17,.06)";
+    ctx.shadowBlur = 16 * u;
+    ctx.shadowOffsetY = 6 * u;
+    roundRect(ctx, c.bubble.x, c.bubble.y, c.bubble.w, c.bubble.h, 12 * u);
+    ctx.fillStyle = pal.bubble;
+    ctx.fill();
+    ctx.shadowColor = "transparent";
+    ctx.strokeStyle = pal.bubbleLine;
+    ctx.lineWidth = u;
+    ctx.stroke();
+    drawText(ctx, c.text, c.bubble.x + c.padX, c.bubble.y + c.padY, Infinity, pal, u);
+    ctx.restore();
+  }
+
+  #drawLightWipe(p) {
+    const { ctx } = this;
+    const { w: W, h: H } = this.format;
+    const x = (-1.2 + 2.4 * p) * W;
+    ctx.save();
+    ctx.globalCompositeOperation = "screen";
+    ctx.setTransform(ctx.getTransform().translate(x, 0));
+    const g = ctx.createLinearGradient(0, H * 0.3, W, H * 0.7); // ~120deg streak
+    g.addColorStop(0, "rgba(255,255,255,0)");
+    g.addColorStop(0.5, "rgba(255,255,255,.8)");
+    g.addColorStop(1, "rgba(255,255,255,0)");
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, W, H);
+    ctx.restore();
+  }
+
+  /** brand.css .fx-vignette: 70% ellipse over a box 8% larger than the frame, opacity .18 */
+  #drawVignette() {
+    const { ctx } = this;
+    const { w: W, h: H } = this.format;
+    const bw = W * 1.16;
+    const bh = H * 1.16;
+    ctx.save();
+    ctx.globalAlpha = 0.18;
+    ctx.translate(W / 2, H / 2);
+    ctx.scale(1, bh / bw);
+    const rx = bw * 0.7;
+    const g = ctx.createRadialGradient(0, 0, 0, 0, 0, rx);
+    g.addColorStop(0.6, "rgba(0,0,0,0)");
+    g.addColorStop(1, "rgba(0,0,0,.18)");
+    ctx.fillStyle = g;
+    ctx.fillRect(-bw / 2, -bw / 2, bw, bw);
+    ctx.restore();
+  }
+
+  /** brand.css .fx-grain: multiplied noise pulsing between .10 and .16 on a 9s cycle */
+  #drawGrain(now) {
+    const { ctx } = this;
+    const { w: W, h: H } = this.format;
+    if (!this._grain) this._grain = ctx.createPattern(noiseTile(Math.round(300 * this.unit)), "repeat");
+    ctx.save();
+    ctx.globalCompositeOperation = "multiply";
+    ctx.globalAlpha = 0.13 - 0.03 * Math.cos((now / 9) * Math.PI * 2);
+    ctx.fillStyle = this._grain;
+    ctx.fillRect(0, 0, W, H);
+    ctx.restore();
+  }
+
+  /* ------------------------------- layout --------------------------------- */
+
+  /** Photo card, text blocks and callouts of a scene in canvas px (cached per scene) */
+  #layout(index) {
+    if (this._layouts.has(index)) return this._layouts.get(index);
+    const s = this.manifest.scenes[index];
+    const { ctx, unit: u } = this;
+    const { w: W, h: H, safe, name } = this.format;
+    const pad = 24 * u;
+    const area = { x: pad, y: safe.top * u, w: W - 2 * pad, h: H - (safe.top + safe.bottom) * u };
+
+    const pw = Math.min(W * 0.88, 880 * u);
+    const photo = { x: (W - pw) / 2, y: 6 * u, w: pw, h: Math.min(H * 0.44, 520 * u) };
+
+    const panelW = area.w * (name === "16:9" ? 0.52 : name === "1:1" ? 0.78 : 0.88);
+    const panelX = name === "16:9" ? area.x + area.w * 0.06 : area.x + (area.w - panelW) / 2;
+
+    let y = area.y;
+    let margin = 0;
+    const blocks = (s.text || []).map((block) => {
+      const role = ROLES[block.role] ? block.role : "body";
+      const spec = ROLES[role];
+      const size = spec.size * u;
+      const classes = [spec.reveal, ...(Array.isArray(block.effects) ? block.effects : [])];
+      const style = { family: FONTS[spec.font], weight: spec.weight, size, lh: spec.lh, color: role === "caption" ? "captionInk" : spec.color };
+      const typed = classes.includes("fx-type");
+      const typing = typed ? {
+        dur: Number(block.typing?.dur) > 0 ? Number(block.typing.dur) : cssSeconds(block.style, "--type-dur") ?? TYPE_DUR,
+        by: block.typing?.by === "word" ? "word" : "char",
+        caret: block.typing?.caret ?? classes.includes("caret")
+      } : null;
+
+      if (role === "caption") {
+        const padX = 0.8 * size;
+        const padY = 0.6 * size;
+        const text = layoutText(ctx, block.html, style, area.w - 2 * pad - 2 * padX, typing?.by);
+        const h = text.height + 2 * padY;
+        const box = { x: area.x + pad, y: area.y + area.h - pad - h, w: area.w - 2 * pad, h };
+        return { role, classes, typing, text, box, x: box.x + padX, y: box.y + padY, w: text.width, h: text.height, at: block.at ?? 0 };
+      }
+
+      y += Math.max(margin, block.panel ? 8 * u : spec.before * size); // margins collapse
+      let b;
+      if (block.panel) {
+        const padX = 14 * u;
+        const padY = 12 * u;
+        const text = layoutText(ctx, block.html, style, panelW - 2 * padX, typing?.by);
+        const panel = { x: panelX, y, w: panelW, h: text.height + 2 * padY };
+        b = { role, classes, typing, text, panel, pointer: block.pointer, x: panelX + padX, y: y + padY, w: text.width, h: text.height, at: block.at ?? 0 };
+        y += panel.h;
+        margin = Math.max(8 * u, spec.after * size);
+      } else {
+        const text = layoutText(ctx, block.html, style, area.w, typing?.by);
+        b = { role, classes, typing, text, x: area.x, y, w: text.width, h: text.height, at: block.at ?? 0 };
+        y += text.height;
+        margin = spec.after * size;
+      }
+      return b;
+    });
+
+    const chart = s.media?.type === "chart" ? planChart(s.media.chart, s.d) : null;
+    const callouts = (s.callouts || []).map((c) => {
+      const size = 16 * u;
+      const padX = 0.7 * size;
+      const padY = 0.55 * size;
+      const maxW = Math.min(W * 0.78, 720 * u) - 82 * u;
+      const text = layoutText(ctx, c.html, { family: FONTS.sans, weight: 400, size, lh: 1.35, color: "bubbleInk" }, maxW - 2 * padX);
+      const h = text.height + 2 * padY;
+      const w = text.width + 2 * padX;
+      // planet callouts start at the glyph, vertically centered, bubble toward the frame center
+      const anchor = c.planet && chart ? chartPoint(chart, c.planet, photo) : null;
+      if (c.planet && !anchor && this.debug) {
+        // eslint-disable-next-line no-console
+        console.warn(`[ZdkCanvas] callout planet "${c.planet}" is not in the scene's chart`);
+      }
+      const flip = !!anchor && anchor.x > W / 2;
+      const x = anchor ? anchor.x : clamp01(Number(c.x ?? 0.1)) * W;
+      const top = anchor ? anchor.y - h / 2 : clamp01(Number(c.y ?? 0.85)) * H;
+      const bubble = { x: flip ? x - 82 * u - w : x + 82 * u, y: top, w, h };
+      return { x, y: top, h, bubble, flip, padX, padY, text, at: c.at ?? 0 };
+    });
+
+    const out = { photo, blocks, callouts, chart };
+    this._layouts.set(index, out);
+    return out;
+  }
+}
+
+/**
+ * Download a recording (or any blob) under 'filename'.
+ * @param {Blob} blob
+ * @param {string} [filename="story.webm"]
+ */
+export function saveRecording(blob, filename = "story.webm") {
+  saveBundle(blob, filename);
+}
+
+/* ------------------------------ text helpers ------------------------------- */
+
+/**
+ * Sanitized inline html → styled runs → wrapped lines.
+ * Every visible grapheme gets a typing start (0..1) like typewriter.js: even pace per grapheme,
+ * whole words at once for by "word".
+ * @returns {{ lines: Object[], width: number, height: number, count: number, starts: number[] }}
+ */
+function layoutText(ctx, html, style, maxWidth, by = "char") {
+  const runs = parseRuns(html);
+  const lineH = style.size * style.lh;
+
+  // words: pieces of consecutive runs without whitespace between them
+  const words = [];
+  let word = null;
+  let breakAfter = false;
+  runs.forEach((run) => {
+    if (run.br) {
+      word = null;
+      words.push({ br: true });
+      return;
+    }
+    const text = run.upper ? run.text.toUpperCase() : run.text;
+    text.split(/(\s+)/).forEach((part) => {
+      if (!part) return;
+      if (/^\s+$/.test(part)) {
+        word = null;
+        breakAfter = true;
+        return;
+      }
+      if (!word || breakAfter) {
+        word = { id: words.length, pieces: [], space: 0 };
+        words.push(word);
+        breakAfter = false;
+      }
+      const font = runFont(run, style);
+      ctx.font = font;
+      ctx.letterSpacing = run.upper ? `${0.08 * style.size}px` : "0px";
+      word.pieces.push({ text: part, graphemes: graphemes(part), run, font, word: word.id, w: ctx.measureText(part).width });
+      word.space = ctx.measureText(" ").width;
+    });
+  });
+  ctx.letterSpacing = "0px";
+
+  const lines = [];
+  let line = { pieces: [], width: 0 };
+  const push = () => { lines.push(line); line = { pieces: [], width: 0 }; };
+  words.forEach((w) => {
+    if (w.br) return push();
+    const ww = w.pieces.reduce((sum, p) => sum + p.w, 0);
+    const gap = line.pieces.length ? w.space : 0;
+    if (line.pieces.length && line.width + gap + ww > maxWidth) push();
+    let x = line.pieces.length ? line.width + w.space : 0;
+    w.pieces.forEach((p) => {
+      line.pieces.push({ ...p, x });
+      x += p.w;
+    });
+    line.width = x;
+  });
+  if (line.pieces.length || !lines.length) push();
+
+  // typing order: grapheme i starts at i/count; by "word" every grapheme waits for its word's start
+  let count = 0;
+  const wordStart = new Map();
+  lines.forEach((l, li) => {
+    l.y = li * lineH;
+    l.h = lineH;
+    l.pieces.forEach((p) => {
+      p.g0 = count;
+      if (!wordStart.has(p.word)) wordStart.set(p.word, count);
+      count += p.graphemes.length;
+    });
+  });
+  const starts = [];
+  lines.forEach(l => l.pieces.forEach((p) => {
+    p.graphemes.forEach((_, i) => {
+      starts.push((by === "word" ? wordStart.get(p.word) : p.g0 + i) / (count || 1));
+    });
+  }));
+
+  return {
+    lines,
+    width: Math.min(maxWidth, Math.max(0, ...lines.map(l => l.width))),
+    height: lines.length * lineH,
+    count,
+    starts,
+    style
+  };
+}
+
+/** Graphemes typed at progress p (typewriter.js seek): units whose start ≤ p */
+function typedCount(text, p) {
+  if (p < 0) return 0;
+  if (p >= 1) return text.count;
+  let n = 0;
+  while (n < text.count && text.starts[n] <= p) n++;
+  return n;
+}
+
+/** Draw the first 'shown' graphemes of a laid out text with its span decorations */
+function drawText(ctx, text, x0, y0, shown, pal, u) {
+  const { style } = text;
+  ctx.save();
+  ctx.textBaseline = "middle";
+  text.lines.forEach((l) => {
+    const mid = y0 + l.y + l.h / 2;
+    l.pieces.forEach((p) => {
+      const visible = Math.max(0, Math.min(p.graphemes.length, shown - p.g0));
+      if (!visible) return;
+      const str = visible === p.graphemes.length ? p.text : p.graphemes.slice(0, visible).join("");
+      ctx.font = p.font;
+      ctx.letterSpacing = p.run.upper ? `${0.08 * style.size}px` : "0px";
+      const w = visible === p.graphemes.length ? p.w : ctx.measureText(str).width;
+      const x = x0 + p.x;
+      const em = style.size;
+      if (p.run.highlight) {
+        ctx.fillStyle = "rgba(231,212,187,.6)";
+        ctx.fillRect(x - 0.06 * em, mid - 0.6 * em + 0.58 * 1.2 * em, w + 0.12 * em, 0.42 * 1.2 * em);
+      }
+      ctx.save();
+      if (p.run.shadow) {
+        ctx.shadowColor = "rgba(72,37,47,.25)";
+        ctx.shadowBlur = 12 * u;
+        ctx.shadowOffsetY = 2 * u;
+      }
+      ctx.fillStyle = pal[p.run.color || style.color] || style.color;
+      ctx.fillText(str, x, mid);
+      ctx.restore();
+      if (p.run.underline) {
+        ctx.fillStyle = "rgba(72,37,47,.88)";
+        ctx.fillRect(x, mid + 0.46 * em, w, 0.08 * em);
+      }
+    });
+  });
+  ctx.restore();
+}
+
+/** Caret after the last typed grapheme (effects.css .tw-caret) */
+function drawCaret(ctx, text, x0, y0, shown, pal, u) {
+  const { style } = text;
+  let at = { x: x0, y: y0 + text.lines[0].h / 2 };
+  text.lines.forEach((l) => l.pieces.forEach((p) => {
+    const visible = Math.max(0, Math.min(p.graphemes.length, shown - p.g0));
+    if (!visible) return;
+    ctx.font = p.font;
+    at = { x: x0 + p.x + ctx.measureText(p.graphemes.slice(0, visible).join("")).width, y: y0 + l.y + l.h / 2 };
+  }));
+  ctx.fillStyle = pal[style.color] || style.color;
+  ctx.fillRect(at.x + 0.08 * style.size, at.y - 0.55 * style.size, Math.max(u, 0.08 * style.size), 1.05 * style.size);
+}
+
+/** Inline html (already sanitized) → [{ text, bold, italic, code, upper, highlight, underline, shadow, color } | { br }] */
+function parseRuns(html) {
+  const tpl = document.createElement("template");
+  tpl.innerHTML = String(html || "");
+  const runs = [];
+  const walk = (node, state) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        if (child.data) runs.push({ ...state, text: child.data.replace(/\s+/g, " ") });
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) return;
+      const tag = child.tagName.toLowerCase();
+      if (tag === "br") {
+        runs.push({ br: true });
+        return;
+      }
+      const cls = child.classList;
+      walk(child, {
+        ...state,
+        bold: state.bold || tag === "strong" || tag === "b",
+        italic: state.italic || tag === "em" || tag === "i" || tag === "cite",
+        code: state.code || tag === "code",
+        upper: state.upper || cls.contains("upper"),
+        highlight: state.highlight || cls.contains("highlight") || cls.contains("fx-highlight") || tag === "mark",
+        underline: state.underline || cls.contains("fx-underline") || tag === "u",
+        shadow: state.shadow || cls.contains("fx-shadow"),
+        color: cls.contains("accent") ? "plum" : cls.contains("muted") ? "muted" : state.color
+      });
+    });
+  };
+  walk(tpl.content, {});
+  return runs;
+}
+
+function runFont(run, style) {
+  const family = run.code ? FONTS.mono : style.family;
+  const weight = run.bold ? Math.max(600, style.weight) : style.weight;
+  const size = run.code ? style.size * 0.92 : style.size;
+  return `${run.italic ? "italic " : ""}${weight} ${size}px ${family}`;
+}
+
+/** Reveal state 'sec' after a block's reveal from its classes (plus dur-/delay- utilities) */
+function reveal(classes, sec) {
+  const fx = classes.map(c => REVEALS[c]).filter(Boolean);
+  const delay = classes.reduce((d, c) => (c in DELAYS ? DELAYS[c] : d), 0);
+  const forced = classes.reduce((d, c) => (c in DURS ? DURS[c] : d), null);
+  const dur = forced ?? Math.max(0.001, ...fx.map(f => f.dur));
+  const p = easing("fx")(clamp01((sec - delay) / dur));
+  const pick = key => fx.reduce((v, f) => (f[key] != null ? f[key] : v), null);
+  const scale = pick("scale");
+  return {
+    alpha: fx.length ? p : 1,
+    dx: (pick("dx") || 0) * (1 - p),
+    dy: (pick("dy") || 0) * (1 - p),
+    scale: scale != null ? scale + (1 - scale) * p : 1,
+    blur: (pick("blur") || 0) * (1 - p)
+  };
+}
+
+/** "--type-dur:4.2s;" → 4.2 (ms accepted); null when not set */
+function cssSeconds(css, prop) {
+  if (typeof css !== "string") return null;
+  const m = new RegExp(`${prop}\\s*:\\s*([\\d.]+)(ms|s)?`).exec(css);
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  if (!(n > 0)) return null;
+  return m[2] === "ms" ? n / 1000 : n;
+}
+
+const SEGMENTER = typeof Intl !== "undefined" && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+  : null;
+
+function graphemes(str) {
+  if (SEGMENTER) return Array.from(SEGMENTER.segment(str), s => s.segment);
+  return Array.from(str);
+}
+
+/* ----------------------------- drawing helpers ----------------------------- */
+
+function roundRect(ctx, x, y, w, h, r) {
+  const rr = Math.max(0, Math.min(r, w / 2, h / 2));
+  ctx.beginPath();
+  ctx.moveTo(x + rr, y);
+  ctx.arcTo(x + w, y, x + w, y + h, rr);
+  ctx.arcTo(x + w, y + h, x, y + h, rr);
+  ctx.arcTo(x, y + h, x, y, rr);
+  ctx.arcTo(x, y, x + w, y, rr);
+  ctx.closePath();
+}
+
+/** Gray noise tile for the grain (fixed seed: every frame and every render look the same) */
+function noiseTile(size) {
+  const c = document.createElement("canvas");
+  c.width = c.height = Math.max(16, size);
+  const g = c.getContext("2d");
+  const img = g.createImageData(c.width, c.height);
+  let seed = 0x2f6b1d;
+  for (let i = 0; i < img.data.length; i += 4) {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    const v = 160 + (seed >>> 24) % 96;
+    img.data[i] = img.data[i + 1] = img.data[i + 2] = v;
+    img.data[i + 3] = 255;
+  }
+  g.putImageData(img, 0, 0);
+  return c;
+}
+
+/** Ken Burns state between evenly spaced frames at progress p */
+function sampleFrames(frames, p) {
+  if (frames.length === 1) return frames[0];
+  const pos = p * (frames.length - 1);
+  const i = Math.min(frames.length - 2, Math.floor(pos));
+  const f = pos - i;
+  const a = frames[i];
+  const b = frames[i + 1];
+  return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f, k: a.k + (b.k - a.k) * f };
+}
+
+/** CSS easing by name: "fx" (--fx-ease / --easing), linear, ease, ease-in/out, cubic-bezier(…) */
+function easing(name) {
+  const named = {
+    fx: [0.22, 0.61, 0.36, 1],
+    ease: [0.25, 0.1, 0.25, 1],
+    "ease-in": [0.42, 0, 1, 1],
+    "ease-out": [0, 0, 0.58, 1],
+    "ease-in-out": [0.42, 0, 0.58, 1]
+  };
+  if (!name || name === "linear") return x => x;
+  const m = /^cubic-bezier\(([^)]+)\)$/.exec(name);
+  const pts = m ? m[1].split(",").map(Number) : named[name];
+  return pts && pts.length === 4 && pts.every(isFinite) ? bezier(...pts) : x => x;
+}
+
+/** cubic-bezier(x1, y1, x2, y2) as a function of x (Newton + bisection) */
+function bezier(x1, y1, x2, y2) {
+  const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+  const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+  const sx = t => ((ax * t + bx) * t + cx) * t;
+  const sy = t => ((ay * t + by) * t + cy) * t;
+  const dx = t => (3 * ax * t + 2 * bx) * t + cx;
+  return (x) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    let t = x;
+    for (let i = 0; i < 6; i++) {
+      const e = sx(t) - x;
+      const d = dx(t);
+      if (Math.abs(e) < 1e-5) return sy(t);
+      if (Math.abs(d) < 1e-6) break;
+      t -= e / d;
+    }
+    let lo = 0, hi = 1;
+    t = x;
+    while (hi - lo > 1e-5) {
+      if (sx(t) < x) lo = t; else hi = t;
+      t = (lo + hi) / 2;
+    }
+    return sy(t);
+  };
+}
+
+/* ------------------------------ media helpers ------------------------------ */
+
+async function loadFonts() {
+  if (typeof document === "undefined" || !document.fonts?.load) return;
+  const faces = [`700 36px ${FONTS.serif}`, `400 22px ${FONTS.sans}`, `600 22px ${FONTS.sans}`];
+  await Promise.all(faces.map(f => document.fonts.load(f).catch(() => null)));
+}
+
+function createImage(src) {
+  const img = new Image();
+  img.crossOrigin = "anonymous"; // a tainted canvas can't be recorded
+  img.decoding = "async";
+  img.src = src;
+  return img;
+}
+
+function createVideo(m, src) {
+  const v = document.createElement("video");
+  v.crossOrigin = "anonymous";
+  v.muted = true; // the clip's own sound isn't part of the mix
+  v.loop = !!m.loop;
+  v.playsInline = true;
+  v.preload = "auto";
+  v.src = src;
+  return v;
+}
+
+function waitMedia(el) {
+  if (el.tagName === "VIDEO") {
+    if (el.readyState >= 2) return Promise.resolve(true);
+    return new Promise((res) => {
+      el.addEventListener("loadeddata", () => res(true), { once: true });
+      el.addEventListener("error", () => res(false), { once: true });
+    });
+  }
+  if (el.complete) return Promise.resolve(el.naturalWidth > 0);
+  return new Promise((res) => {
+    el.addEventListener("load", () => res(true), { once: true });
+    el.addEventListener("error", () => res(false), { once: true });
+  });
+}
+
+/** Clip time for tLocal seconds into the scene (ZdkCore #videoTimeAt) */
+function videoTimeAt(video, scene, tLocal) {
+  const { startAt = 0, playbackRate = 1, loop = false } = scene.media || {};
+  const t = startAt + Math.max(0, tLocal) * playbackRate;
+  const dur = video.duration;
+  if (!isFinite(dur) || dur <= 0) return t;
+  if (loop) return t % dur;
+  return Math.min(t, Math.max(0, dur - 0.001));
+}
+
+function seekVideo(video, want) {
+  if (Math.abs(video.currentTime - want) < 0.001) return Promise.resolve(true);
+  return new Promise((res) => {
+    const timer = setTimeout(() => res(false), 3000);
+    video.addEventListener("seeked", () => { clearTimeout(timer); res(true); }, { once: true });
+    video.currentTime = want;
+  });
+}
+
+function clamp01(n) {
+  return Math.max(0, Math.min(1, Number(n) || 0));
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkCanvas) {
+  window.ZdkCanvas = ZdkCanvas;
+}
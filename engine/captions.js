@@ -0,0 +1,135 @@
+// engine/captions.js
+/**
+ * Zodika Captions — SRT / WebVTT sidecar files from the manifest text blocks
+ * - cue start: scene.t + block.at ('t' chained like ZdkCore, timing "auto" applied)
+ * - cue end: the next reveal in the same scene, else the scene end
+ * - html stripped to plain text (<br> kept as a line break), long lines wrapped
+ *
+ * Usage:
+ *   import { exportCaptions } from "./engine/captions.js";
+ *   const vtt = exportCaptions(manifest, "vtt");
+ */
+
+import { applyAutoTiming, visibleText } from "./timing.js";
+
+/** Common caption line length (characters) */
+const MAX_LINE = 42;
+
+/**
+ * Timed plain-text cues for a manifest (raw or normalized).
+ * @param {Object} manifest
+ * @param {Object} [opts]
+ * @param {boolean} [opts.callouts=false] - include callout bubbles as cues
+ * @param {number} [opts.maxLineChars=42] - wrap longer lines (0 = never)
+ * @returns {{ start: number, end: number, text: string, scene: number, role: string }[]}
+ */
+export function buildCues(manifest, { callouts = false, maxLineChars = MAX_LINE } = {}) {
+  if (!manifest || !Array.isArray(manifest.scenes)) {
+    throw new Error("exportCaptions: 'manifest.scenes' is required");
+  }
+  const m = applyAutoTiming(manifest);
+  const cues = [];
+  let cursor = 0;
+
+  m.scenes.forEach((s, i) => {
+    const t = typeof s.t === "number" ? s.t : cursor;
+    const d = Math.max(0, Number(s.d) || 0);
+    cursor = t + d;
+
+    const blocks = (s.text || []).map(b => ({ ...b, role: b.role || "body" }));
+    if (callouts) (s.callouts || []).forEach(c => blocks.push({ ...c, role: "callout" }));
+
+    const reveals = blocks.map(b => Math.max(0, Number(b.at) || 0)).sort((a, b) => a - b);
+    blocks.forEach((b) => {
+      const at = Math.max(0, Number(b.at) || 0);
+      if (at >= d) return; // never shown
+      const text = plainText(b.html, maxLineChars);
+      if (!text) return;
+      const next = reveals.find(r => r > at);
+      cues.push({
+        start: t + at,
+        end: t + Math.min(next ?? d, d),
+        text,
+        scene: i,
+        role: b.role
+      });
+    });
+  });
+
+  return cues.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Sidecar caption file for a manifest.
+ * @param {Object} manifest
+ * @param {"srt"|"vtt"} [format="vtt"]
+ * @param {Object} [opts] - see buildCues
+ * @returns {string}
+ */
+export function exportCaptions(manifest, format = "vtt", opts = {}) {
+  const cues = buildCues(manifest, opts);
+  switch (String(format).toLowerCase()) {
+    case "srt":
+      return cues
+        .map((c, i) => `${i + 1}\n${stamp(c.start, ",")} --> ${stamp(c.end, ",")}\n${c.text}\n`)
+        .join("\n");
+    case "vtt":
+    case "webvtt":
+      return ["WEBVTT", ""]
+        .concat(cues.map(c => `${stamp(c.start, ".")} --> ${stamp(c.end, ".")}\n${escapeVTT(c.text)}\n`))
+        .join("\n");
+    default:
+      throw new Error(`exportCaptions: unknown format "${format}" (use "srt" or "vtt")`);
+  }
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+function plainText(html, maxLineChars) {
+  return String(html ?? "")
+    .split(/<br\s*\/?>/i)
+    .map(visibleText)
+    .filter(Boolean)
+    .flatMap(line => wrap(line, maxLineChars))
+    .join("\n");
+}
+
+/** Greedy word wrap; single words longer than 'max' stay whole */
+function wrap(line, max) {
+  if (!(max > 0) || line.length <= max) return [line];
+  const out = [];
+  let cur = "";
+  line.split(" ").forEach((w) => {
+    if (cur && cur.length + 1 + w.length > max) {
+      out.push(cur);
+      cur = w;
+    } else {
+      cur = cur ? `${cur} ${w}` : w;
+    }
+  });
+  if (cur) out.push(cur);
+  return out;
+}
+
+/** 00:01:02,345 (srt) / 00:01:02.345 (vtt) */
+function stamp(sec, sep) {
+  const ms = Math.max(0, Math.round(sec * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${String(ms % 1000).padStart(3, "0")}`;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+/** Cue text can't carry raw '&', '<' or '>' in WebVTT */
+function escapeVTT(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkCaptions) {
+  window.ZdkCaptions = { buildCues, exportCaptions };
+}
@@ -0,0 +1,439 @@
+// engine/chart.js
+/**
+ * Zodika Chart — built-in natal chart media (media.type "chart")
+ * - planet longitudes, house cusps and aspects as JSON → zodiac wheel in brand colors
+ * - built over the scene: ring → sign glyphs → planets → aspect lines
+ * - one plan (geometry + timing) shared by the DOM player (SVG + WAAPI) and the canvas renderer
+ * - callouts anchor to a planet by name (callout.planet) instead of x/y
+ * - no DOM at import time (the schema and the CLI load this module in Node)
+ *
+ *   "media": {
+ *     "type": "chart",
+ *     "chart": {
+ *       "planets": { "sun": 294.3, "moon": 127.8, "mercury": { "lon": 281.2, "retrograde": true } },
+ *       "houses": [215.4, 245.1, …],                   // 12 cusps; houses[0] = ascendant (9 o'clock)
+ *       "aspects": [{ "from": "sun", "to": "moon", "type": "trine" }],   // omit = computed, [] = none
+ *       "build": 4                                      // seconds to draw; default 60% of the scene
+ *     }
+ *   }
+ *
+ * Usage:
+ *   import { CHART_EASING, planChart, createChartSVG, animateChart, paintChart } from "./engine/chart.js";
+ *   const plan = planChart(scene.media.chart, scene.d);
+ *   figure.append(createChartSVG(plan));  animateChart(figure.firstChild);   // DOM
+ *   paintChart(ctx, plan, rect, tLocal, { plum, accent, sand, muted }, easing(CHART_EASING));   // canvas
+ */
+
+/** Zodiac in order from 0° Aries (30° each) */
+export const SIGNS = [
+  { name: "aries", glyph: "♈", element: "fire" },
+  { name: "taurus", glyph: "♉", element: "earth" },
+  { name: "gemini", glyph: "♊", element: "air" },
+  { name: "cancer", glyph: "♋", element: "water" },
+  { name: "leo", glyph: "♌", element: "fire" },
+  { name: "virgo", glyph: "♍", element: "earth" },
+  { name: "libra", glyph: "♎", element: "air" },
+  { name: "scorpio", glyph: "♏", element: "water" },
+  { name: "sagittarius", glyph: "♐", element: "fire" },
+  { name: "capricorn", glyph: "♑", element: "earth" },
+  { name: "aquarius", glyph: "♒", element: "air" },
+  { name: "pisces", glyph: "♓", element: "water" }
+];
+
+/** Planet glyphs; other names are drawn as their first two letters */
+export const PLANET_GLYPHS = {
+  sun: "☉", moon: "☽", mercury: "☿", venus: "♀", mars: "♂", jupiter: "♃", saturn: "♄",
+  uranus: "♅", neptune: "♆", pluto: "♇", node: "☊", chiron: "⚷", lilith: "⚸"
+};
+
+/** Major aspects: exact angle and default orb (degrees). soft → accent, hard → plum */
+export const ASPECTS = {
+  conjunction: { angle: 0, orb: 8, kind: "hard" },
+  sextile: { angle: 60, orb: 5, kind: "soft" },
+  square: { angle: 90, orb: 7, kind: "hard" },
+  trine: { angle: 120, orb: 7, kind: "soft" },
+  opposition: { angle: 180, orb: 8, kind: "hard" }
+};
+
+/** WAAPI id of the build animations (cancelled when the scene is entered again) */
+export const CHART_ANIMATION_ID = "zdk-chart";
+
+/** Build easing of every part (CSS timing function; the canvas renderer evaluates the same curve) */
+export const CHART_EASING = "cubic-bezier(.22,.61,.36,1)";
+
+/** Glyph font stack (symbols fonts first; text presentation is forced with U+FE0E) */
+export const CHART_FONT = "\"Noto Sans Symbols 2\", \"Noto Sans Symbols\", \"Segoe UI Symbol\", \"DejaVu Sans\", sans-serif";
+
+/**
+ * Geometry and timing of one wheel, in a 1000×1000 box.
+ * @param {Object} chart - media.chart
+ * @param {number} [d=6] - scene duration (s); the wheel is built in chart.build or 60% of it (2–5 s)
+ * @returns {Object} plan: { size, center, radii, ring, signs, houses, planets, aspects, build }
+ *   every drawable part has { at, dur } (seconds from scene start)
+ */
+export function planChart(chart, d = 6) {
+  chart = chart ?? {};
+  const houses = Array.isArray(chart.houses) && chart.houses.length >= 12 ? chart.houses.slice(0, 12).map(Number) : null;
+  const asc = houses ? houses[0] : Number(chart.ascendant) || 0;
+  const at = (lon, r) => polar(lon, r, asc);
+  const build = chart.build > 0 ? chart.build : clamp(d * 0.6, 2, 5);
+  const planets = readPlanets(chart.planets);
+
+  const ring = { at: 0, dur: build * 0.3, circles: [R.outer, R.band, R.inner] };
+  const signs = SIGNS.map((sign, i) => ({
+    ...sign,
+    glyph: sign.glyph + TEXT_STYLE,
+    point: at(i * 30 + 15, R.signGlyph),
+    edge: [at(i * 30, R.band), at(i * 30, R.outer)],
+    ...stagger(i, SIGNS.length, build * 0.2, build * 0.3, build * 0.15)
+  }));
+  const cusps = (houses || []).map((lon, i) => ({
+    number: i + 1,
+    angle: i % 3 === 0, // ASC, IC, DSC, MC
+    line: [at(lon, R.band), at(lon, R.inner)],
+    point: at(lon + arc(lon, houses[(i + 1) % 12]) / 2, R.houseNumber),
+    at: build * 0.25,
+    dur: build * 0.2
+  }));
+
+  const spread = spreadLongitudes(planets.map(p => p.lon), MIN_GLYPH_GAP);
+  const placed = planets.map((p, i) => ({
+    ...p,
+    point: at(spread[i], R.planet),
+    tick: [at(p.lon, R.band), at(p.lon, R.tick)],
+    ...stagger(i, planets.length, build * 0.45, build * 0.3, Math.min(0.6, build * 0.2))
+  }));
+
+  const byName = new Map(planets.map(p => [p.name, p]));
+  const list = Array.isArray(chart.aspects) ? chart.aspects : findAspects(planets);
+  const aspects = list
+    .filter(a => byName.has(key(a?.from)) && byName.has(key(a?.to)) && Object.hasOwn(ASPECTS, a.type))
+    .map((a, i, all) => ({
+      from: key(a.from),
+      to: key(a.to),
+      type: a.type,
+      kind: ASPECTS[a.type].kind,
+      line: [at(byName.get(key(a.from)).lon, R.inner), at(byName.get(key(a.to)).lon, R.inner)],
+      ...stagger(i, all.length, build * 0.78, build * 0.12, build * 0.1)
+    }));
+
+  return { size: SIZE, center: SIZE / 2, radii: R, ring, signs, houses: cusps, planets: placed, aspects, build };
+}
+
+/**
+ * Where a planet's glyph sits inside a box the wheel is fitted to (centered square).
+ * @param {Object} plan - planChart()
+ * @param {string} name - planet name (case-insensitive)
+ * @param {{ x: number, y: number, w: number, h: number }} box
+ * @returns {{ x: number, y: number }|null} null for unknown planets
+ */
+export function chartPoint(plan, name, box) {
+  const p = plan?.planets.find(q => q.name === key(name));
+  if (!p) return null;
+  const side = Math.min(box.w, box.h);
+  return {
+    x: box.x + (box.w - side) / 2 + (p.point.x / SIZE) * side,
+    y: box.y + (box.h - side) / 2 + (p.point.y / SIZE) * side
+  };
+}
+
+/**
+ * SVG wheel for the DOM player (classes zdk-chart__*, styled by brand.css).
+ * Parts to animate carry data-anim ("draw" | "pop") and data-at / data-dur (s).
+ * @param {Object} plan - planChart()
+ * @param {Object} [opts]
+ * @param {Document} [opts.doc=document]
+ * @param {string} [opts.label] - accessible name
+ * @returns {SVGSVGElement}
+ */
+export function createChartSVG(plan, { doc = document, label = "Mapa astral" } = {}) {
+  const el = (tag, attrs = {}, parent) => {
+    const n = doc.createElementNS(SVG_NS, tag);
+    for (const [k, v] of Object.entries(attrs)) n.setAttribute(k, String(v));
+    parent?.append(n);
+    return n;
+  };
+  const timed = (n, anim, { at, dur }) => {
+    n.dataset.anim = anim;
+    n.dataset.at = round(at);
+    n.dataset.dur = round(dur);
+    return n;
+  };
+  const line = ([a, b], attrs, parent) => el("line", { x1: round(a.x), y1: round(a.y), x2: round(b.x), y2: round(b.y), ...attrs }, parent);
+  const text = (str, p, cls, parent) => {
+    const t = el("text", { x: round(p.x), y: round(p.y), class: cls, "text-anchor": "middle", "dominant-baseline": "central" }, parent);
+    t.textContent = str;
+    return t;
+  };
+
+  const svg = el("svg", { class: "zdk-chart", viewBox: `0 0 ${SIZE} ${SIZE}`, preserveAspectRatio: "xMidYMid meet", role: "img", "aria-label": label });
+  const c = plan.center;
+
+  const ring = el("g", { class: "zdk-chart__ring" }, svg);
+  timed(el("circle", { cx: c, cy: c, r: (R.outer + R.band) / 2, class: "zdk-chart__band", pathLength: 1 }, ring), "draw", plan.ring);
+  for (const r of plan.ring.circles) timed(el("circle", { cx: c, cy: c, r, pathLength: 1 }, ring), "draw", plan.ring);
+
+  const signs = el("g", { class: "zdk-chart__signs" }, svg);
+  for (const s of plan.signs) {
+    const g = timed(el("g", { class: `zdk-chart__sign zdk-chart__sign--${s.element}`, "data-sign": s.name }, signs), "pop", s);
+    line(s.edge, {}, g);
+    text(s.glyph, s.point, "zdk-chart__glyph", g);
+  }
+
+  const houses = el("g", { class: "zdk-chart__houses" }, svg);
+  for (const h of plan.houses) {
+    const g = timed(el("g", { class: `zdk-chart__house${h.angle ? " zdk-chart__house--angle" : ""}` }, houses), "pop", h);
+    line(h.line, {}, g);
+    text(String(h.number), h.point, "zdk-chart__number", g);
+  }
+
+  const aspects = el("g", { class: "zdk-chart__aspects" }, svg);
+  for (const a of plan.aspects) {
+    timed(line(a.line, { class: `zdk-chart__aspect zdk-chart__aspect--${a.kind}`, "data-aspect": a.type, pathLength: 1 }, aspects), "draw", a);
+  }
+
+  const planets = el("g", { class: "zdk-chart__planets" }, svg);
+  for (const p of plan.planets) {
+    const g = timed(el("g", { class: "zdk-chart__planet", "data-planet": p.name }, planets), "pop", p);
+    line(p.tick, {}, g);
+    text(p.glyph, p.point, "zdk-chart__glyph", g);
+    if (p.retrograde) text(RETROGRADE, { x: p.point.x + 30, y: p.point.y + 24 }, "zdk-chart__retro", g);
+  }
+  return svg;
+}
+
+/**
+ * Build animations for an SVG from createChartSVG(): paused-friendly WAAPI (fill both, delays
+ * from scene start), so the core's virtual clock can pin them like any other effect.
+ * @param {SVGSVGElement} svg
+ * @param {Object} [opts]
+ * @param {boolean} [opts.reduced=false] - prefers-reduced-motion: show the finished wheel
+ * @returns {Animation[]}
+ */
+export function animateChart(svg, { reduced = false } = {}) {
+  svg.getAnimations?.({ subtree: true }).forEach(a => a.id === CHART_ANIMATION_ID && a.cancel());
+  if (reduced || typeof svg.animate !== "function") return [];
+  return [...svg.querySelectorAll("[data-anim]")].map(n => {
+    const frames = n.dataset.anim === "draw"
+      ? [{ strokeDasharray: "1 1", strokeDashoffset: 1 }, { strokeDasharray: "1 1", strokeDashoffset: 0 }]
+      : [{ opacity: 0, transform: "scale(.6)" }, { opacity: 1, transform: "scale(1)" }];
+    const a = n.animate(frames, {
+      delay: Number(n.dataset.at) * 1000,
+      duration: Math.max(1, Number(n.dataset.dur) * 1000),
+      easing: CHART_EASING,
+      fill: "both"
+    });
+    a.id = CHART_ANIMATION_ID;
+    return a;
+  });
+}
+
+/**
+ * Draw the wheel at scene time tLocal (canvas renderer).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} plan - planChart()
+ * @param {{ x: number, y: number, w: number, h: number }} rect - the wheel is fitted (centered square)
+ * @param {number} tLocal - seconds since scene start
+ * @param {{ plum: string, accent: string, sand: string, muted: string }} colors
+ * @param {(x: number) => number} [ease] - CHART_EASING as a function (ZdkCanvas passes its cubic-bezier)
+ */
+export function paintChart(ctx, plan, rect, tLocal, colors, ease = x => x) {
+  const side = Math.min(rect.w, rect.h);
+  const k = side / SIZE;
+  const c = plan.center;
+  const progress = p => ease(clamp((tLocal - p.at) / Math.max(0.001, p.dur), 0, 1));
+  const stroke = ([a, b], t = 1) => {
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+    ctx.stroke();
+  };
+  const pop = (p, t, draw) => {
+    if (t <= 0) return;
+    const s = 0.6 + 0.4 * t;
+    ctx.save();
+    ctx.globalAlpha *= t;
+    ctx.translate(p.x, p.y);
+    ctx.scale(s, s);
+    ctx.translate(-p.x, -p.y);
+    draw();
+    ctx.restore();
+  };
+  const glyph = (str, p, size, color) => {
+    ctx.font = `${size}px ${CHART_FONT}`;
+    ctx.fillStyle = color;
+    ctx.fillText(str, p.x, p.y);
+  };
+
+  ctx.save();
+  ctx.translate(rect.x + (rect.w - side) / 2, rect.y + (rect.h - side) / 2);
+  ctx.scale(k, k);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.lineCap = "round";
+
+  // ring: clockwise from 3 o'clock, where an SVG circle's dash starts in the DOM
+  const tr = progress(plan.ring);
+  if (tr > 0) {
+    const sweep = (r, width, color, alpha = 1) => {
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(c, c, r, 0, tr * Math.PI * 2);
+      ctx.lineWidth = width;
+      ctx.strokeStyle = color;
+      ctx.globalAlpha *= alpha; // on top of the scene transition's alpha
+      ctx.stroke();
+      ctx.restore();
+    };
+    sweep((R.outer + R.band) / 2, R.outer - R.band, colors.accent, 0.14);
+    for (const r of plan.ring.circles) sweep(r, 2, colors.plum);
+  }
+
+  for (const h of plan.houses) {
+    pop(h.point, progress(h), () => {
+      ctx.lineWidth = h.angle ? 2.5 : 1.5;
+      ctx.strokeStyle = h.angle ? colors.plum : colors.muted;
+      ctx.globalAlpha *= h.angle ? 0.8 : 0.45;
+      stroke(h.line);
+      glyph(String(h.number), h.point, 18, colors.muted);
+    });
+  }
+
+  for (const s of plan.signs) {
+    pop(s.point, progress(s), () => {
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = colors.plum;
+      ctx.save();
+      ctx.globalAlpha *= 0.35;
+      stroke(s.edge);
+      ctx.restore();
+      glyph(s.glyph, s.point, 40, colors.plum);
+    });
+  }
+
+  for (const a of plan.aspects) {
+    const t = progress(a);
+    if (t <= 0) continue;
+    ctx.save();
+    ctx.lineWidth = 2.5;
+    ctx.strokeStyle = a.kind === "soft" ? colors.accent : colors.plum;
+    if (a.kind !== "soft") ctx.globalAlpha *= 0.7;
+    stroke(a.line, t);
+    ctx.restore();
+  }
+
+  for (const p of plan.planets) {
+    pop(p.point, progress(p), () => {
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = colors.accent;
+      stroke(p.tick);
+      glyph(p.glyph, p.point, 44, colors.plum);
+      if (p.retrograde) glyph(RETROGRADE, { x: p.point.x + 30, y: p.point.y + 24 }, 20, colors.muted);
+    });
+  }
+  ctx.restore();
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const SIZE = 1000;
+const R = { outer: 480, signGlyph: 440, band: 400, tick: 384, planet: 340, houseNumber: 265, inner: 245 };
+const MIN_GLYPH_GAP = 9; // degrees between planet glyphs on the wheel
+const TEXT_STYLE = "\uFE0E";
+const RETROGRADE = "℞";
+
+function key(name) {
+  return String(name ?? "").trim().toLowerCase();
+}
+
+/** { sun: 294.3, mercury: { lon, retrograde } } → [{ name, lon, retrograde, glyph }] */
+function readPlanets(planets) {
+  if (!planets || typeof planets !== "object") return [];
+  return Object.entries(planets)
+    .map(([name, v]) => {
+      const lon = Number(typeof v === "object" && v ? v.lon : v);
+      const id = key(name);
+      return {
+        name: id,
+        lon: norm(lon),
+        retrograde: !!(v && typeof v === "object" && v.retrograde),
+        glyph: PLANET_GLYPHS[id] ? PLANET_GLYPHS[id] + TEXT_STYLE : name.slice(0, 2)
+      };
+    })
+    .filter(p => Number.isFinite(p.lon));
+}
+
+/** Aspects within the default orbs, tightest type per pair */
+function findAspects(planets) {
+  const out = [];
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      const sep = Math.abs(arc(planets[i].lon, planets[j].lon));
+      const sepMin = Math.min(sep, 360 - sep);
+      const hit = Object.entries(ASPECTS)
+        .map(([type, a]) => ({ type, off: Math.abs(sepMin - a.angle), orb: a.orb }))
+        .filter(a => a.off <= a.orb)
+        .sort((a, b) => a.off - b.off)[0];
+      // conjunctions sit under the glyphs; only the lines across the wheel read as aspects
+      if (hit && hit.type !== "conjunction") out.push({ from: planets[i].name, to: planets[j].name, type: hit.type });
+    }
+  }
+  return out;
+}
+
+/** Longitude → point; the ascendant sits at 9 o'clock and the zodiac runs counter-clockwise */
+function polar(lon, r, asc) {
+  const rad = ((180 - (lon - asc)) * Math.PI) / 180;
+  return { x: SIZE / 2 + r * Math.cos(rad), y: SIZE / 2 - r * Math.sin(rad) };
+}
+
+/** Nudge longitudes apart so glyphs closer than 'gap' degrees don't overlap (ticks keep the true degree) */
+function spreadLongitudes(lons, gap) {
+  const order = lons.map((lon, i) => ({ lon, i })).sort((a, b) => a.lon - b.lon);
+  const out = order.map(o => o.lon);
+  for (let pass = 0; pass < 8; pass++) {
+    let moved = false;
+    for (let i = 0; i < out.length && out.length > 1; i++) {
+      const j = (i + 1) % out.length;
+      const d = norm(out[j] - out[i]);
+      if (d < gap && out.length * gap < 360) {
+        const push = (gap - d) / 2;
+        out[i] = norm(out[i] - push);
+        out[j] = norm(out[j] + push);
+        moved = true;
+      }
+    }
+    if (!moved) break;
+  }
+  const result = [];
+  order.forEach((o, k) => { result[o.i] = out[k]; });
+  return result;
+}
+
+/** Evenly staggered starts across 'span' seconds from 'start' */
+function stagger(i, n, start, span, dur) {
+  return { at: start + (n > 1 ? (span * i) / (n - 1) : 0), dur };
+}
+
+/** Counter-clockwise arc from a to b (0..360) */
+function arc(a, b) {
+  return norm(b - a);
+}
+
+function norm(lon) {
+  return ((lon % 360) + 360) % 360;
+}
+
+function clamp(v, min, max) {
+  return Math.min(max, Math.max(min, v));
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkChart) {
+  window.ZdkChart = { SIGNS, PLANET_GLYPHS, ASPECTS, CHART_ANIMATION_ID, CHART_EASING, CHART_FONT, planChart, chartPoint, createChartSVG, animateChart, paintChart };
+}
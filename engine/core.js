@@ -3,12 +3,25 @@
  * Zodika Timeline Core (vanilla)
  * - Plays a continuous documentary-like sequence (no UI)
  * - Data-driven via manifest object (passed from app.js)
- * - Renders a 9:16 stage with layers and applies CSS effect classes
+ * - Renders a 9:16 stage (or 4:5, 1:1, 16:9 via manifest.format) with layers and applies CSS effect classes
+ * - Playback control: pause/resume/seek/setRate + events (scenechange, textin, calloutin, tick, ended)
+ * - Optional virtual clock (renderAt) for deterministic frame-by-frame capture
+ * - Soundtrack + narration (manifest.audio, scene.narration) follow the same clock
+ * - "fx-type" blocks are typed by a seekable typewriter on the same clock (see typewriter.js)
+ * - timing: "auto" derives reveal offsets and scene durations from reading speed (see timing.js)
+ * - Live manifest updates (updateManifest) re-mount only the scenes that changed
+ * - text/callout html goes through an allowlist (sanitize.js) before innerHTML:
+ *   inline tags + known effect classes; "permissive" strips, "strict" throws
+ * - media.type "chart": SVG zodiac wheel built over the scene (see chart.js); callouts may
+ *   anchor to one of its planets by name
  *
  * Manifest schema (simplified):
  * {
  *   duration: 45.0,                 // total target duration in seconds (advisory)
+ *   timing: "auto",                 // optional; d/at from reading speed (lang, reading: { wpm }), see timing.js
  *   theme: "light" | "dark",        // optional; adds .theme--dark on <html>
+ *   format: "9:16" | "4:5" | "1:1" | "16:9", // optional; frame ratio + safe areas (see formats.js)
+ *   audio: { music: { src, volume, fadeIn, fadeOut, offset }, ducking: { volume } }, // optional, see audio.js
  *   scenes: [
  *     {
  *       // If "t" omitted, start time is previous.t + previous.d (auto-chaining)
@@ -17,38 +30,126 @@
  *       media: {
  *         src: "projects/demo/images/01.webp",
  *         credit: "arquivo pessoal",
- *         kenburns: "center|left|right|up|down|slow|strong"
+ *         kenburns: "center|left|right|up|down|slow|strong",
+ *         // focal point (0..1 of the image): crop keeps it in frame, zoom heads toward it;
+ *         // kenburns may also be { from: {x,y,w,h}, to: {x,y,w,h} } or { scale: [1, 1.15], pan: [{x,y}, …] }
+ *         focus: { x: 0.62, y: 0.35 },
+ *         // tried in order when src fails; integrity ("sha256-…") is checked by the loader's preload.
+ *         // Nothing loads → branded placeholder (brand.css .zdk-missing), never a blank frame
+ *         fallback: ["images/01.jpg", { src: "https://cdn…/01.jpg", integrity: "sha256-…" }], integrity: "sha256-…",
+ *         // variants: the loader swaps src for the best supported format at the frame's pixel width
+ *         sources: [{ src: "images/01-1080.avif", width: 1080 }, { src: "images/01-540.webp", width: 540 }],
+ *         // video clips: type "video" + playback options (kept in sync with the timeline clock)
+ *         type: "image|video", poster: "…", muted: true, loop: false, startAt: 0, playbackRate: 1
+ *         // or a natal chart drawn in brand colors: { type: "chart", chart: { planets, houses, aspects } }
  *       },
  *       text: [
  *         { role: "title",   html: "investivibe <span class='highlight'>astrológica</span>", at: 0.4, effects: ["fx-fade-up","fx-underline"] },
  *         { role: "lead",    html: "revelar relações, não pirotecnia.", at: 1.0, effects: ["fx-fade-up"] },
- *         { role: "caption", html: "mapa como pista", at: 4.8, effects: ["fx-fade"] }
+ *         { role: "caption", html: "mapa como pista", at: 4.8, effects: ["fx-fade"] },
+ *         // optional per block: frosted panel, leader line to a frame point (0..1), custom properties (--*)
+ *         { role: "body", html: "…", at: 0.5, panel: true, pointer: { x: 0.82, y: 0.28 }, style: "--type-dur:4.2s;" },
+ *         // typewriter: effects ["fx-type", "caret"?]; duration from --type-dur or typing.dur
+ *         { role: "body", html: "…", at: 0.5, effects: ["fx-type"], typing: { by: "char|word", dur: 4.2 } }
  *       ],
  *       callouts: [
- *         { html: "detalhe relevante", at: 2.0, x: 0.18, y: 0.78 } // x,y as % of frame (0..1). Horizontal line for now.
+ *         { html: "detalhe relevante", at: 2.0, x: 0.18, y: 0.78 }, // x,y as % of frame (0..1). Horizontal line for now.
+ *         { html: "…", at: 3.0, x: 0.2, y: 0.8, formats: { "16:9": { x: 0.1, y: 0.7 } } }, // per-format override
+ *         { html: "Sol em capricórnio", at: 3.5, planet: "sun" } // chart scenes: points at the planet's glyph
  *       ],
- *       transitionIn:  "crossfade|swipe|zoom|light-wipe",
- *       transitionOut: "crossfade|swipe|zoom"
+ *       narration: { src: "audio/vo-01.mp3", at: 0.4, volume: 1 }, // optional voice-over clip
+ *       transitionIn:  "crossfade|swipe|zoom|light-wipe|scene-enter", // any registered name
+ *       transitionOut: "crossfade|swipe|zoom|scene-exit"
  *     }
  *   ]
  * }
  */
 
-export class ZdkCore {
+import { ZdkAudio } from "./audio.js";
+import { applyAutoTiming, readingWarnings } from "./timing.js";
+import { ZdkTypewriter } from "./typewriter.js";
+import { resolveFormat, applyFormat } from "./formats.js";
+import { KB_ZOOM, isCustomKenBurns, planKenBurns } from "./kenburns.js";
+import { SANITIZE_MODES, sanitizeManifest, formatRemoved } from "./sanitize.js";
+import { planChart, chartPoint, createChartSVG, animateChart } from "./chart.js";
+
+/** Fallback lifetime of an exiting scene before removal (matches fx-dur-3) */
+const SCENE_EXIT_MS = 900;
+
+/** Live playback tolerates this much video drift (s) before re-seeking */
+const VIDEO_DRIFT_MAX = 0.25;
+
+/** Web Animation id of focal-point Ken Burns runs (replaced on each scene enter) */
+const KB_ANIMATION_ID = "zdk-kb";
+
+/** Reduced motion: focal-point Ken Burns holds its first framing */
+const REDUCED_MOTION = typeof matchMedia === "function" ? matchMedia("(prefers-reduced-motion: reduce)") : null;
+
+/**
+ * Transition registry: name -> { enter, exit, vars, durationMs }
+ * - enter/exit: CSS class(es) added to the scene container (string or array; empty = none)
+ * - vars: optional custom properties set on the container (e.g. { "--dir": "1" })
+ * - durationMs: how long the exit runs before the scene is removed
+ */
+const TRANSITIONS = new Map();
+
+export class ZdkCore extends EventTarget {
+  /**
+   * Public: register (or replace) a scene transition usable in transitionIn/transitionOut.
+   * @param {string} name
+   * @param {Object} def
+   * @param {string|string[]} [def.enter] - class(es) applied when the scene enters
+   * @param {string|string[]} [def.exit] - class(es) applied when the scene exits
+   * @param {number} [def.durationMs=900] - exit duration (scene removal delay)
+   * @param {Object<string,string>} [def.vars] - custom properties set on the container
+   */
+  static registerTransition(name, { enter = [], exit = [], durationMs = SCENE_EXIT_MS, vars = {} } = {}) {
+    const key = String(name || "").trim();
+    if (!key) throw new Error("ZdkCore.registerTransition: 'name' is required");
+    const ms = Number(durationMs);
+    TRANSITIONS.set(key, {
+      enter: toClassList(enter),
+      exit: toClassList(exit),
+      vars: { ...vars },
+      durationMs: isFinite(ms) && ms >= 0 ? ms : SCENE_EXIT_MS
+    });
+  }
+
+  /** Public: registered transition definition (or undefined) */
+  static getTransition(name) {
+    return TRANSITIONS.get(name);
+  }
+
+  /** Public: names of all registered transitions */
+  static listTransitions() {
+    return Array.from(TRANSITIONS.keys());
+  }
+
   /**
    * @param {Object} options
-   * @param {HTMLElement} options.mount - Element that contains the 9:16 frame (.frame-916)
+   * @param {HTMLElement} options.mount - Element that contains the frame (.frame-916)
    * @param {Object} options.manifest - Timeline manifest (see schema above)
+   * @param {string} [options.format] - "9:16" | "4:5" | "1:1" | "16:9"; overrides manifest.format
    * @param {boolean} [options.debug=false] - Logs and safe guides
+   * @param {"permissive"|"strict"} [options.sanitize="permissive"] - html allowlist: strip (logged in debug) or throw
    */
-  constructor({ mount, manifest, debug = false } = {}) {
+  constructor({ mount, manifest, format, debug = false, sanitize = "permissive" } = {}) {
+    super();
     if (!mount) throw new Error("ZdkCore: 'mount' element is required");
     if (!manifest || !Array.isArray(manifest.scenes)) {
       throw new Error("ZdkCore: 'manifest.scenes' is required");
     }
     this.mount = mount;
-    this.manifest = this.#normalizeManifest(manifest);
     this.debug = debug;
+    this.sanitize = SANITIZE_MODES.includes(sanitize) ? sanitize : "permissive";
+    this._formatOverride = format || null;
+    this.format = resolveFormat(format || manifest.format);
+    if (!this.format.known && this.debug) {
+      // eslint-disable-next-line no-console
+      console.warn(`[ZdkCore] Unknown format "${format || manifest.format}", using ${this.format.name}`);
+    }
+    this.manifest = this.#normalizeManifest(manifest, this.format.name);
+    this.#applyFormat();
 
     // layers
     this.layers = {
@@ -59,11 +160,19 @@ export class ZdkCore {
     };
     this.safeArea = this.#ensureSafeArea();
 
+    // soundtrack / narration (null when the manifest is silent)
+    const audio = new ZdkAudio({ manifest: this.manifest, debug });
+    this.audio = audio.enabled ? audio : null;
+
     // playback state
     this._raf = null;
-    this._t0 = 0;
+    this._clock = { wall: 0, t: 0 }; // story time 't' at performance.now() 'wall'
+    this._rate = 1;
     this._now = 0;
     this._running = false;
+    this._paused = false;
+    this._virtual = false;           // true while driven by renderAt()
+    this._renderQueue = Promise.resolve();
 
     // scene bookkeeping
     this._activeIndex = -1;
@@ -89,59 +198,217 @@ export class ZdkCore {
     // preload first + next scene media
     await this.#preloadAhead(0);
 
-    this._running = true;
-    this._t0 = performance.now();
+    // drop any frame left by renderAt() (paused animations, fired state)
+    this.#unmountAll();
+    this._virtual = false;
+    this._paused = false;
     this._now = 0;
-    this._activeIndex = -1;
     this._firedText.clear();
     this._firedCallout.clear();
 
-    const loop = (ts) => {
-      if (!this._running) return;
-      this._now = (ts - this._t0) / 1000;
+    this.#runFrom(0);
+    document.body.classList.add("recording-mode"); // helps screen recording
+  }
 
-      // Determine active scene by time
-      const idx = this.#findSceneIndexAt(this._now);
-      if (idx !== this._activeIndex) {
-        this.#onSceneChange(this._activeIndex, idx);
-        this._activeIndex = idx;
-      }
+  /**
+   * Public: stop playback; optionally flush to final frame.
+   * @returns {Promise<void>} resolves once the final frame is mounted (toEnd)
+   */
+  async stop(toEnd = false) {
+    this.#halt();
+    this._paused = false;
+    document.body.classList.remove("recording-mode");
 
-      // Within-scene scheduled reveals (text/callouts)
-      if (idx >= 0) {
-        this.#tickScene(idx, this._now);
-      }
+    if (toEnd) {
+      // Force finalize: show last scene in steady state (fresh node if it was exiting)
+      const lastIdx = this.manifest.scenes.length - 1;
+      if (this._sceneNodes.get(lastIdx)?.phase === "exit") this.#unmountScene(lastIdx);
+      await this.#ensureSceneMounted(lastIdx, true);
+    }
+  }
 
-      // Stop when past last scene (plus a tiny grace)
-      const last = this.manifest.scenes[this.manifest.scenes.length - 1];
-      if (this._now > last.t + last.d + 0.25) {
-        this.stop(true);
-        return;
-      }
+  /** Public: freeze playback at the current time (animations, video and audio hold their frame) */
+  async pause() {
+    if (!this._running) return;
+    const now = this.getTime();
+    this.#halt();
+    this._paused = true;
+    await this.#queueRender(now);
+  }
 
-      this._raf = requestAnimationFrame(loop);
-    };
+  /** Public: continue live playback from the current time (after pause, seek or renderAt) */
+  async resume() {
+    if (this._running) return;
+    const now = this._now;
+    await this.#queueRender(now); // stage matches 'now' before the clock runs again
+    if (this._running) return;    // resumed meanwhile
+    this._virtual = false;
+    this._paused = false;
+    this.#releaseAnimations();
+    this._sceneNodes.forEach(({ videoEl }) => {
+      if (videoEl && !videoEl.ended && videoEl.currentTime < videoEl.duration - 0.01) this.#playVideo(videoEl);
+    });
+    this.#runFrom(now);
+    document.body.classList.add("recording-mode");
+  }
 
-    this._raf = requestAnimationFrame(loop);
-    document.body.classList.add("recording-mode"); // helps screen recording
+  /**
+   * Public: jump to t (seconds). Playback continues from there if it was running;
+   * otherwise the stage is rendered at t and stays paused (like renderAt()).
+   * @param {number} t
+   */
+  async seek(t) {
+    const wasRunning = this._running;
+    const now = this.#clampTime(t);
+    this.#halt();
+    await this.#queueRender(now);
+    if (wasRunning) await this.resume();
+    else if (!this._virtual) this._paused = true;
   }
 
-  /** Public: stop playback; optionally flush to final frame */
-  stop(toEnd = false) {
-    if (this._raf) cancelAnimationFrame(this._raf);
-    this._running = false;
-    document.body.classList.remove("recording-mode");
+  /**
+   * Public: playback speed (1 = real time). Applies to the clock, CSS animations,
+   * video clips and audio; the virtual clock (renderAt) is unaffected.
+   * @param {number} r - 0.0625..16
+   */
+  setRate(r) {
+    const rate = Math.max(0.0625, Math.min(16, Number(r) || 1));
+    if (this._running) this._clock = { wall: performance.now(), t: this.getTime() };
+    this._rate = rate;
+    this.audio?.setRate(rate);
+    if (this._running) {
+      this.#syncRate(this.layers.media);
+      this._sceneNodes.forEach(({ videoEl }, i) => {
+        if (videoEl) videoEl.playbackRate = this.#videoRate(this.manifest.scenes[i]);
+      });
+    }
+  }
 
-    if (toEnd) {
-      // Force finalize: show last scene in steady state
-      const lastIdx = this.manifest.scenes.length - 1;
-      this.#ensureSceneMounted(lastIdx, true);
+  /** Public: current playback speed */
+  getRate() {
+    return this._rate;
+  }
+
+  /** Public: current story time in seconds */
+  getTime() {
+    if (!this._running) return this._now;
+    const elapsed = Math.max(0, performance.now() - this._clock.wall) / 1000;
+    return this._clock.t + elapsed * this._rate;
+  }
+
+  /** Public: playback state */
+  isPlaying() {
+    return this._running;
+  }
+
+  /**
+   * Public: subscribe to playback events; returns an unsubscribe function.
+   * Events (handler receives event.detail, then the event):
+   * - "scenechange" { from, to, time }
+   * - "textin"      { scene, index, role, time }
+   * - "calloutin"   { scene, index, time }
+   * - "tick"        { time, scene }          // every frame while playing, and after seek/pause
+   * - "ended"       { time }
+   * - "manifestchange" { changed, time }   // after updateManifest()
+   * @param {string} type
+   * @param {(detail:Object, event:CustomEvent) => void} handler
+   */
+  on(type, handler) {
+    const listener = (e) => handler(e.detail, e);
+    this.addEventListener(type, listener);
+    return () => this.removeEventListener(type, listener);
+  }
+
+  /**
+   * Public: deterministic render of the story at time t (seconds).
+   * Stops live playback and switches to a virtual clock: mounts the scene(s)
+   * on screen at t, reveals the text/callouts already due and pins every CSS
+   * animation (transitions, Ken Burns, reveals) to its exact progress.
+   * Resolves once the frame is ready to be captured.
+   * @param {number} t
+   */
+  renderAt(t) {
+    this.#halt();
+    this._virtual = true;
+    this._paused = false;
+    return this.#queueRender(this.#clampTime(t));
+  }
+
+  /** Public: total story length in seconds (end of the last scene) */
+  getDuration() {
+    return this.manifest.scenes.reduce((end, s) => Math.max(end, s.t + s.d), 0);
+  }
+
+  /**
+   * Public: swap in an edited manifest without restarting (live-reload, ?watch=1).
+   * Only scenes whose definition changed (or that no longer exist) are re-mounted;
+   * the stage is rendered again at the current time and playback continues if it was running.
+   * Emits "manifestchange" { changed, time }.
+   * @param {Object} manifest
+   * @returns {Promise<number[]>} indices of the re-mounted scenes
+   */
+  async updateManifest(manifest) {
+    if (!manifest || !Array.isArray(manifest.scenes)) {
+      throw new Error("ZdkCore: 'manifest.scenes' is required");
+    }
+    const format = resolveFormat(this._formatOverride || manifest.format);
+    const next = this.#normalizeManifest(manifest, format.name);
+    const prev = this.manifest;
+    const wasRunning = this._running;
+    const now = this.getTime();
+    this.#halt();
+
+    // a new frame ratio moves every leader and callout: re-mount everything
+    const reformat = format.name !== this.format.name;
+    if (reformat) {
+      this.format = format;
+      this.#applyFormat();
+    }
+
+    // 't' is left out: a scene shifted by an earlier edit keeps its local timeline
+    const key = ({ t, ...scene }) => JSON.stringify(scene);
+    const changed = [];
+    const count = Math.max(prev.scenes.length, next.scenes.length);
+    for (let i = 0; i < count; i++) {
+      const a = prev.scenes[i];
+      const b = next.scenes[i];
+      if (!a || !b || reformat || key(a) !== key(b)) changed.push(i);
     }
+    changed.forEach((i) => this.#unmountScene(i));
+    this.manifest = next;
+
+    // sound depends on scene timing as well as manifest.audio: rebuild on any change
+    const soundKey = (m) => JSON.stringify([m.audio, m.scenes.map(s => [s.t, s.d, s.narration])]);
+    if (soundKey(prev) !== soundKey(next)) {
+      this.audio?.destroy();
+      const audio = new ZdkAudio({ manifest: next, debug: this.debug });
+      this.audio = audio.enabled ? audio : null;
+      this.audio?.setRate(this._rate);
+    }
+    document.documentElement.classList.toggle("theme--dark", next.theme === "dark");
+
+    if (this.debug) console.info("[ZdkCore] Manifest updated, re-mounted scenes:", changed);
+
+    await this.#queueRender(this.#clampTime(now));
+    if (wasRunning) await this.resume();
+    else if (!this._virtual) this._paused = true;
+    this.#emit("manifestchange", { changed, time: this._now });
+    return changed;
   }
 
-  /** Compute continuous 't' if missing and clamp invalid values */
-  #normalizeManifest(manifest) {
-    const m = structuredClone(manifest);
+  /** Public: active frame format { name, ratio, w, h, safe } */
+  getFormat() {
+    return this.format;
+  }
+
+  /** Compute continuous 't' if missing, merge per-format overrides, sanitize html and clamp invalid values */
+  #normalizeManifest(manifest, formatName = this.format.name) {
+    const { manifest: safe, issues } = sanitizeManifest(applyFormat(applyAutoTiming(manifest), formatName), { mode: this.sanitize });
+    if (this.debug) {
+      // eslint-disable-next-line no-console
+      issues.forEach(issue => console.warn(`[ZdkCore] html stripped ${formatRemoved(issue)}`));
+    }
+    const m = structuredClone(safe);
     let cursor = 0;
     m.scenes.forEach((s, i) => {
       if (typeof s.d !== "number" || s.d <= 0) {
@@ -152,9 +419,25 @@ export class ZdkCore {
       }
       cursor = s.t + s.d;
     });
+    if (this.debug) {
+      // eslint-disable-next-line no-console
+      readingWarnings(m).forEach(w => console.warn(`[ZdkCore] ${w.path} ${w.message}`));
+    }
     return m;
   }
 
+  /** Frame ratio, render size and safe areas as custom properties on the mount (styles/brand.css) */
+  #applyFormat() {
+    const { name, ratio, w, h, safe } = this.format;
+    this.mount.dataset.format = name;
+    this.mount.style.setProperty("--ar-w", String(ratio[0]));
+    this.mount.style.setProperty("--ar-h", String(ratio[1]));
+    this.mount.style.setProperty("--frame-w", `${w}px`);
+    this.mount.style.setProperty("--frame-h", `${h}px`);
+    this.mount.style.setProperty("--safe-top", `${safe.top}px`);
+    this.mount.style.setProperty("--safe-bottom", `${safe.bottom}px`);
+  }
+
   /** Create or get a layer inside mount */
   #ensureLayer(className) {
     let el = this.mount.querySelector(`.${className}`);
@@ -187,6 +470,102 @@ export class ZdkCore {
     return -1;
   }
 
+  #clampTime(t) {
+    const n = Number(t);
+    return Math.max(0, Math.min(this.getDuration(), isFinite(n) ? n : 0));
+  }
+
+  /* ------------------------------ live clock ----------------------------- */
+
+  /** Run the rAF loop with the clock reading 't' now */
+  #runFrom(t) {
+    this._running = true;
+    this._clock = { wall: performance.now(), t };
+    this._now = t;
+
+    const loop = () => {
+      if (!this._running) return;
+      this._now = this.getTime();
+      this.audio?.update(this._now, true);
+
+      // Determine active scene by time
+      const idx = this.#findSceneIndexAt(this._now);
+      if (idx !== this._activeIndex) {
+        this.#onSceneChange(this._activeIndex, idx);
+        this.#emit("scenechange", { from: this._activeIndex, to: idx, time: this._now });
+        this._activeIndex = idx;
+      }
+
+      // Within-scene scheduled reveals (text/callouts)
+      if (idx >= 0) {
+        this.#tickScene(idx, this._now);
+      }
+      this.#sweepExited(this._now);
+      this.#emit("tick", { time: this._now, scene: idx });
+
+      // Stop when past last scene (plus a tiny grace)
+      if (this._now > this.getDuration() + 0.25) {
+        this.stop(true);
+        this.#emit("ended", { time: this._now });
+        return;
+      }
+
+      this._raf = requestAnimationFrame(loop);
+    };
+
+    this._raf = requestAnimationFrame(loop);
+  }
+
+  /** Stop the clock and silence media, keeping the stage as is */
+  #halt() {
+    if (this._running) this._now = this.getTime();
+    if (this._raf) cancelAnimationFrame(this._raf);
+    this._raf = null;
+    this._running = false;
+    this._sceneNodes.forEach(({ videoEl }) => videoEl?.pause());
+    this.audio?.pause();
+  }
+
+  /** Serialize stage renders so quick seeks/frames never interleave */
+  #queueRender(now) {
+    this._renderQueue = this._renderQueue
+      .catch(() => null)
+      .then(() => this.#renderState(now));
+    return this._renderQueue;
+  }
+
+  /** Let animations pinned by #renderState run again at the current rate */
+  #releaseAnimations() {
+    if (typeof this.layers.media.getAnimations !== "function") return;
+    this.layers.media.getAnimations({ subtree: true }).forEach((a) => {
+      a.playbackRate = this._rate;
+      const end = a.effect?.getComputedTiming().endTime;
+      // play() on a finished animation would rewind it: finish it instead
+      if (typeof end === "number" && isFinite(end) && a.currentTime >= end) a.finish();
+      else a.play();
+    });
+  }
+
+  /** Apply the playback rate to animations just started under 'el' */
+  #syncRate(el) {
+    if (this._rate === 1 || typeof el?.getAnimations !== "function") return;
+    el.getAnimations({ subtree: true }).forEach((a) => { a.playbackRate = this._rate; });
+  }
+
+  /** Remove exiting scenes whose exit transition is over (clock-driven) */
+  #sweepExited(now) {
+    this._sceneNodes.forEach((node, i) => {
+      if (node.phase !== "exit") return;
+      const s = this.manifest.scenes[i];
+      const gone = now >= s.t + s.d + this.#exitDurationMs(s) / 1000;
+      if (gone || now < s.t) this.#unmountScene(i);
+    });
+  }
+
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
   /** Scene change handler: exit previous, enter next, preload next-next */
   async #onSceneChange(prevIdx, nextIdx) {
     if (this.debug) console.info("[ZdkCore] Scene change:", prevIdx, "→", nextIdx);
@@ -199,7 +578,10 @@ export class ZdkCore {
     // Enter next
     if (nextIdx >= 0) {
       await this.#ensureSceneMounted(nextIdx);
+      // paused or sought elsewhere while the media was loading
+      if (!this._running || this._activeIndex !== nextIdx) return;
       this.#enterScene(nextIdx);
+      this.#syncRate(this._sceneNodes.get(nextIdx)?.container);
       // Preload next scene ahead
       this.#preloadAhead(nextIdx + 1);
     }
@@ -217,17 +599,28 @@ export class ZdkCore {
     container.style.position = "absolute";
     container.style.inset = "0";
     container.style.pointerEvents = "none"; // no UI
+    container.style.zIndex = String(index); // later scenes always on top
     container.dataset.index = String(index);
 
-    // MEDIA
+    // MEDIA (image, video clip or natal chart)
     const media = document.createElement("figure");
     media.className = "photo";
-    const img = document.createElement("img");
-    img.alt = "";
-    img.decoding = "async";
-    img.loading = "eager";
-    img.src = scene.media?.src || "";
-    media.appendChild(img);
+    const isVideo = scene.media?.type === "video";
+    const chart = scene.media?.type === "chart" ? planChart(scene.media.chart, scene.d) : null;
+    let visual;
+    if (chart) {
+      visual = createChartSVG(chart);
+      media.classList.add("photo--chart");
+    } else {
+      visual = isVideo ? this.#createVideo(scene.media) : document.createElement("img");
+    }
+    if (!isVideo && !chart) {
+      visual.alt = "";
+      visual.decoding = "async";
+      visual.loading = "eager";
+      visual.src = scene.media?.missing ? "" : scene.media?.src || "";
+    }
+    media.appendChild(visual);
 
     if (scene.media?.credit) {
       const cred = document.createElement("figcaption");
@@ -247,11 +640,29 @@ export class ZdkCore {
       scene.text.forEach((block, i) => {
         const el = this.#elForRole(block.role);
         el.innerHTML = block.html || "";
+        // inline custom properties authored per block (e.g. "--type-dur:4.2s;")
+        if (typeof block.style === "string" && block.style) this.#applyCustomProperties(el, block.style);
         // effects (enter reveals will be toggled later by timeline)
         this.#applyEffects(el, block.effects);
-        el.style.opacity = "0"; // start hidden until "is-in"
-        textLayer.appendChild(el);
-        textNodes.push({ el, at: block.at ?? 0, role: block.role, idx: i });
+        // typing is driven by the clock (#tickScene / #renderState), not by CSS
+        const typer = el.classList.contains("fx-type")
+          ? new ZdkTypewriter(el, { by: block.typing?.by, dur: block.typing?.dur, caret: block.typing?.caret })
+          : null;
+
+        // panel: frosted box around the text, optionally with a leader to a point of the frame
+        let box = el;
+        let leader = null;
+        if (block.panel) {
+          box = this.#el("div", "zdk-panel fx-fade");
+          box.appendChild(el);
+          if (block.pointer) {
+            leader = this.#createLeader();
+            box.appendChild(leader.wrap);
+          }
+        }
+        box.style.opacity = "0"; // start hidden until "is-in"
+        textLayer.appendChild(box);
+        textNodes.push({ el, box, leader, typer, pointer: block.pointer, at: block.at ?? 0, role: block.role, idx: i });
       });
     }
 
@@ -280,7 +691,7 @@ export class ZdkCore {
 
         // start hidden (no .is-in)
         container.appendChild(wrap);
-        calloutNodes.push({ el: wrap, at: c.at ?? 0, idx: i });
+        calloutNodes.push({ el: wrap, at: c.at ?? 0, idx: i, planet: c.planet });
       });
     }
 
@@ -289,31 +700,40 @@ export class ZdkCore {
     container.appendChild(textLayer);
 
     // initial Ken Burns (applied at enter)
-    if (scene.media?.kenburns) {
-      img.dataset.kb = scene.media.kenburns; // read on enter
+    if (!chart && typeof scene.media?.kenburns === "string") {
+      visual.dataset.kb = scene.media.kenburns; // read on enter
     }
 
     // stash
     this.layers.media.appendChild(container);
+    // leaders need layout: measure once mounted, before transitions add transforms
+    textNodes.forEach(({ box, leader, pointer }) => {
+      if (leader) this.#drawLeader(leader, box, container, pointer);
+    });
+    calloutNodes.forEach(({ el, planet }) => {
+      if (planet) this.#anchorToPlanet(el, chart, planet, media, container);
+    });
     this._sceneNodes.set(index, {
       container,
       mediaEl: media,
-      imgEl: img,
+      visualEl: visual,
+      videoEl: isVideo ? visual : null,
+      chart,
       textNodes,
       calloutNodes
     });
 
     // If finalize flag set (stop-to-end), reveal all without transitions
     if (finalize) {
-      textNodes.forEach(({ el }) => {
-        el.style.opacity = "1";
-        el.classList.add("is-in");
+      textNodes.forEach((t) => {
+        this.#setTextRevealed(t, true);
+        t.typer?.seek(Infinity);
       });
       calloutNodes.forEach(({ el }) => el.classList.add("is-in"));
     }
 
-    // ensure image loaded before entering (best-effort)
-    await this.#waitImage(img);
+    // ensure media loaded before entering (best-effort): fallbacks, then the placeholder
+    await this.#resolveVisual(visual, media, scene.media);
     return this._sceneNodes.get(index);
   }
 
@@ -325,39 +745,57 @@ export class ZdkCore {
 
     // Reset fired sets for this scene
     node.textNodes.forEach(({ idx }) => this._firedText.delete(`${index}#${idx}`));
-    node.calloutNodes.forEach(({ idx }) => this._firedCallout.delete(`${index}#${idx}`));
+    node.calloutNodes.forEach(({ idx }) => this._firedCallout.delete(`${index}#c${idx}`));
 
     // Transition IN
+    node.phase = "enter";
     this.#applyTransition(node.container, scene.transitionIn, true);
 
-    // Ken Burns on image
-    const kb = node.imgEl.dataset.kb || "center";
-    this.#applyKenBurns(node.imgEl, kb, scene.d);
+    // Ken Burns on image; a chart builds itself instead (ring → signs → planets → aspects)
+    if (node.chart) animateChart(node.visualEl, { reduced: !!REDUCED_MOTION?.matches });
+    else this.#applyKenBurns(node.visualEl, scene.media, scene.d);
+
+    // Video clip restarts from its in-point; live playback then follows the clock
+    // (renderAt() seeks it to the exact frame itself)
+    if (node.videoEl && this._running) {
+      this.#seekVideo(node.videoEl, scene, 0);
+      this.#playVideo(node.videoEl);
+    }
 
     // Make sure everything starts hidden (effects.css will reveal on .is-in)
-    node.textNodes.forEach(({ el }) => {
+    node.textNodes.forEach(({ el, box }) => {
       // Keep layout steady for titles; opacity managed by CSS effect classes
       el.classList.remove("is-in");
+      box.classList.remove("is-in");
     });
     node.calloutNodes.forEach(({ el }) => el.classList.remove("is-in"));
   }
 
-  /** Exit animations for a scene (and schedule removal) */
+  /** Exit animations for a scene (removed by #sweepExited once its transition ends) */
   #exitScene(index) {
     const scene = this.manifest.scenes[index];
     const node = this._sceneNodes.get(index);
     if (!node) return;
 
     this.#applyTransition(node.container, scene.transitionOut || scene.transitionIn, false);
+    node.phase = "exit";
+    this.#syncRate(node.container);
+  }
 
-    // Remove after transition ends (fallback timeout)
-    const timeout = 900; // matches fx-dur-3 default
-    setTimeout(() => {
-      if (node.container?.parentNode) {
-        node.container.parentNode.removeChild(node.container);
-      }
-      this._sceneNodes.delete(index);
-    }, timeout);
+  /** Remove a scene's DOM immediately and forget its fired reveals */
+  #unmountScene(index) {
+    const node = this._sceneNodes.get(index);
+    if (!node) return;
+    if (node.videoEl) this.#releaseVideo(node.videoEl);
+    node.container.remove();
+    this._sceneNodes.delete(index);
+    node.textNodes.forEach(({ idx }) => this._firedText.delete(`${index}#${idx}`));
+    node.calloutNodes.forEach(({ idx }) => this._firedCallout.delete(`${index}#c${idx}`));
+  }
+
+  #unmountAll() {
+    Array.from(this._sceneNodes.keys()).forEach((i) => this.#unmountScene(i));
+    this._activeIndex = -1;
   }
 
   /** Per-frame scheduler: reveal text/callouts at offsets within the active scene */
@@ -368,14 +806,22 @@ export class ZdkCore {
     const node = this._sceneNodes.get(index);
     if (!node) return;
 
+    // video drift (decoder stalls, tab throttling) → snap back to the clock
+    if (node.videoEl && !node.videoEl.seeking) {
+      const want = this.#videoTimeAt(node.videoEl, s, tLocal);
+      if (Math.abs(node.videoEl.currentTime - want) > VIDEO_DRIFT_MAX) node.videoEl.currentTime = want;
+    }
+
     // text
-    node.textNodes.forEach(({ el, at, idx }) => {
-      const key = `${index}#${idx}`;
-      if (!this._firedText.has(key) && tLocal >= at) {
-        el.classList.add("is-in"); // triggers effect reveal
-        el.style.opacity = "";     // let CSS handle it
+    node.textNodes.forEach((t) => {
+      const key = `${index}#${t.idx}`;
+      if (!this._firedText.has(key) && tLocal >= t.at) {
+        this.#setTextRevealed(t, true);
+        this.#syncRate(t.box);
         this._firedText.add(key);
+        this.#emit("textin", { scene: index, index: t.idx, role: t.role, time: now });
       }
+      t.typer?.seek(tLocal - t.at);
     });
 
     // callouts
@@ -383,11 +829,111 @@ export class ZdkCore {
       const key = `${index}#c${idx}`;
       if (!this._firedCallout.has(key) && tLocal >= at) {
         el.classList.add("is-in");
+        this.#syncRate(el);
         this._firedCallout.add(key);
+        this.#emit("calloutin", { scene: index, index: idx, time: now });
       }
     });
   }
 
+  /* --------------------------- virtual clock ----------------------------- */
+
+  /**
+   * Bring the stage to the exact state of time 'now' (seconds):
+   * the active scene plus any scene still inside its exit transition.
+   */
+  async #renderState(now) {
+    const scenes = this.manifest.scenes;
+    let idx = this.#findSceneIndexAt(now);
+    if (idx < 0 && now >= this.getDuration()) idx = scenes.length - 1; // hold last frame
+
+    // index -> "enter" | "exit" for every scene on screen at 'now'
+    const visible = new Map();
+    scenes.forEach((s, i) => {
+      const end = s.t + s.d;
+      if (i !== idx && now >= end && now < end + this.#exitDurationMs(s) / 1000) visible.set(i, "exit");
+    });
+    if (idx >= 0) visible.set(idx, "enter");
+
+    Array.from(this._sceneNodes.keys()).forEach((i) => {
+      if (!visible.has(i)) this.#unmountScene(i);
+    });
+
+    for (const [i, phase] of visible) {
+      const s = scenes[i];
+      const node = await this.#ensureSceneMounted(i);
+      await this.#waitMedia(node.visualEl);
+
+      if (node.phase !== phase) {
+        if (phase === "enter" || !node.phase) this.#enterScene(i);
+        if (phase === "exit") {
+          this.#applyTransition(node.container, s.transitionOut || s.transitionIn, false);
+          node.phase = "exit";
+        }
+      }
+
+      const tLocal = now - s.t;
+      this.#revealAt(i, node, Math.min(tLocal, s.d));
+
+      this.#pinAnimations(node.container, phase === "exit" ? now - (s.t + s.d) : tLocal);
+      this.#pinAnimations(node.visualEl, tLocal, !!node.chart);
+      if (node.videoEl) {
+        node.videoEl.pause();
+        await this.#seekVideo(node.videoEl, s, tLocal);
+      }
+      node.textNodes.forEach(({ box, at, typer }) => {
+        typer?.seek(Math.min(tLocal, s.d) - at); // typing stops where the live clock left it
+        this.#pinAnimations(box, tLocal - at, true);
+      });
+      node.calloutNodes.forEach(({ el, at }) => this.#pinAnimations(el, tLocal - at, true));
+    }
+
+    this.audio?.update(now, false);
+    const prev = this._activeIndex;
+    this._activeIndex = idx;
+    this._now = now;
+    if (prev !== idx) this.#emit("scenechange", { from: prev, to: idx, time: now });
+    this.#emit("tick", { time: now, scene: idx });
+  }
+
+  /** Set fired state of a scene's text/callouts to what #tickScene would have done by tLocal */
+  #revealAt(index, node, tLocal) {
+    node.textNodes.forEach((t) => {
+      const key = `${index}#${t.idx}`;
+      const due = tLocal >= t.at;
+      if (due === this._firedText.has(key)) return;
+      this.#setTextRevealed(t, due);
+      if (due) this._firedText.add(key);
+      else this._firedText.delete(key);
+    });
+    node.calloutNodes.forEach(({ el, at, idx }) => {
+      const key = `${index}#c${idx}`;
+      const due = tLocal >= at;
+      if (due === this._firedCallout.has(key)) return;
+      el.classList.toggle("is-in", due);
+      if (due) this._firedCallout.add(key);
+      else this._firedCallout.delete(key);
+    });
+  }
+
+  /**
+   * Pause the element's CSS animations/transitions at 'localSec' seconds after they started.
+   * A negative time means "not started yet": animations sit on their first frame and
+   * reverse transitions (from un-revealing) jump straight to their hidden end state.
+   */
+  #pinAnimations(el, localSec, subtree = false) {
+    if (!el || typeof el.getAnimations !== "function") return;
+    const ms = Math.max(0, localSec * 1000);
+    el.getAnimations({ subtree }).forEach((a) => {
+      if (localSec < 0 && typeof CSSTransition !== "undefined" && a instanceof CSSTransition) {
+        a.finish();
+        return;
+      }
+      a.pause();
+      a.currentTime = ms;
+    });
+  }
+
   /* ---------------------------- helpers ---------------------------------- */
 
   #elForRole(role = "body") {
@@ -401,6 +947,98 @@ export class ZdkCore {
     }
   }
 
+  /** Toggle a text node's reveal; the panel box (if any) fades with it */
+  #setTextRevealed({ el, box }, on) {
+    el.classList.toggle("is-in", on); // triggers effect reveal
+    box.classList.toggle("is-in", on);
+    box.style.opacity = on ? "" : "0"; // let CSS handle it once revealed
+  }
+
+  /** Leader connector (.leader-wrap > svg.leader-svg) drawn by #drawLeader */
+  #createLeader() {
+    const NS = "http://www.w3.org/2000/svg";
+    const wrap = this.#el("div", "leader-wrap");
+    const svg = document.createElementNS(NS, "svg");
+    svg.setAttribute("class", "leader-svg");
+    svg.setAttribute("aria-hidden", "true");
+    svg.style.overflow = "visible"; // path runs outside the panel up to the pointer
+    const path = document.createElementNS(NS, "path");
+    const dot = document.createElementNS(NS, "circle");
+    dot.setAttribute("r", "4");
+    svg.appendChild(path);
+    svg.appendChild(dot);
+    wrap.appendChild(svg);
+    return { wrap, svg, path, dot };
+  }
+
+  /**
+   * Draw the leader from the panel edge facing the pointer to the pointer itself.
+   * Pointer is normalized to the frame (0..1), like callout x/y.
+   */
+  #drawLeader({ svg, path, dot }, panel, container, pointer) {
+    const px = Math.max(0, Math.min(1, Number(pointer?.x ?? 0.5)));
+    const py = Math.max(0, Math.min(1, Number(pointer?.y ?? 0.5)));
+    const o = svg.getBoundingClientRect();
+    const c = container.getBoundingClientRect();
+    const p = panel.getBoundingClientRect();
+    if (!c.width || !c.height) return;
+
+    // everything in the svg's own coordinate space
+    const tx = c.left + px * c.width - o.left;
+    const ty = c.top + py * c.height - o.top;
+    const inset = 16; // keep the start off the rounded corners
+    let sx, sy;
+    if (ty > p.bottom - o.top || ty < p.top - o.top) {
+      sx = Math.max(p.left - o.left + inset, Math.min(p.right - o.left - inset, tx));
+      sy = ty > p.bottom - o.top ? p.bottom - o.top : p.top - o.top;
+    } else {
+      sx = tx < p.left - o.left ? p.left - o.left : p.right - o.left;
+      sy = Math.max(p.top - o.top + inset, Math.min(p.bottom - o.top - inset, ty));
+    }
+    path.setAttribute("d", `M ${sx} ${sy} Q ${sx} ${ty} ${tx} ${ty}`);
+    dot.setAttribute("cx", String(tx));
+    dot.setAttribute("cy", String(ty));
+  }
+
+  /**
+   * Point a callout at a chart planet: the line starts at the glyph and the bubble goes toward
+   * the frame center (.callout--flip on the right half). Falls back to x/y for unknown planets.
+   */
+  #anchorToPlanet(el, chart, planet, figure, container) {
+    const c = container.getBoundingClientRect();
+    const f = figure.getBoundingClientRect();
+    if (!c.width || !c.height) return;
+    const p = chart && chartPoint(chart, planet, { x: f.left - c.left, y: f.top - c.top, w: f.width, h: f.height });
+    if (!p) {
+      // eslint-disable-next-line no-console
+      if (this.debug) console.warn(`[ZdkCore] callout planet "${planet}" is not in the scene's chart`);
+      return;
+    }
+    const flip = p.x > c.width / 2;
+    el.style.left = `${(p.x / c.width) * 100}%`;
+    el.style.top = `${(p.y / c.height) * 100}%`;
+    el.style.transform = flip ? "translate(-100%, -50%)" : "translate(0, -50%)";
+    el.classList.add("callout--planet");
+    el.classList.toggle("callout--flip", flip);
+  }
+
+  /**
+   * Apply only the --* declarations of an authored style string: manifests come from
+   * contributors and dropped bundles, so layout/background CSS stays with the stylesheets.
+   */
+  #applyCustomProperties(el, style) {
+    style.split(";").forEach((decl) => {
+      const i = decl.indexOf(":");
+      const name = i > 0 ? decl.slice(0, i).trim() : "";
+      if (name.startsWith("--")) {
+        el.style.setProperty(name, decl.slice(i + 1).trim());
+      } else if (decl.trim() && this.debug) {
+        // eslint-disable-next-line no-console
+        console.warn(`[ZdkCore] style "${decl.trim()}" ignored (only custom properties, e.g. --type-dur)`);
+      }
+    });
+  }
+
   #el(tag, className) {
     const el = document.createElement(tag);
     el.className = className;
@@ -412,9 +1050,12 @@ export class ZdkCore {
     effects.forEach(cls => el.classList.add(cls));
   }
 
-  #applyKenBurns(img, preset = "center", durSec = 6) {
-    // Remove previous kb classes
+  #applyKenBurns(img, media = {}, durSec = 6) {
+    // Remove previous kb classes / focal-point animation
     img.classList.remove("kb-slow","kb-center","kb-left","kb-right","kb-up","kb-down","kb-strong");
+    img.getAnimations?.().forEach((a) => { if (a.id === KB_ANIMATION_ID) a.cancel(); });
+    if (isCustomKenBurns(media) && this.#animateKenBurns(img, media, durSec)) return;
+    const preset = img.dataset.kb || "center";
     // Map presets to classes
     const map = {
       slow: "kb-slow",
@@ -432,37 +1073,68 @@ export class ZdkCore {
     img.style.animationDuration = `${Math.max(3, durSec)}s`;
   }
 
-  #applyTransition(container, kind = "crossfade", isEnter = true) {
-    // Clear previous transition classes
-    container.classList.remove(
-      "fx-crossfade-enter","fx-crossfade-exit",
-      "fx-swipe-enter","fx-swipe-exit",
-      "fx-zoom-in","fx-zoom-out",
-      "fx-light-wipe"
-    );
-    switch (kind) {
-      case "swipe":
-        container.style.setProperty("--dir", "1");
-        container.classList.add(isEnter ? "fx-swipe-enter" : "fx-swipe-exit");
-        break;
-      case "zoom":
-        container.classList.add(isEnter ? "fx-zoom-in" : "fx-zoom-out");
-        break;
-      case "light-wipe":
-        if (isEnter) container.classList.add("fx-light-wipe");
-        else container.classList.add("fx-crossfade-exit");
-        break;
-      case "crossfade":
-      default:
-        container.classList.add(isEnter ? "fx-crossfade-enter" : "fx-crossfade-exit");
+  /**
+   * Focal point / custom path: Web Animations keyframes sized to this element and image,
+   * pinned and rate-synced like the CSS presets. False when it can't run (no layout, no WAAPI).
+   */
+  #animateKenBurns(img, media, durSec) {
+    const box = { w: img.offsetWidth, h: img.offsetHeight };
+    if (typeof img.animate !== "function" || !box.w || !box.h) return false;
+    const css = getComputedStyle(img);
+    const zoom = (name, fallback) => parseFloat(css.getPropertyValue(name)) || fallback;
+    const plan = planKenBurns({
+      box,
+      image: { w: img.naturalWidth || img.videoWidth, h: img.naturalHeight || img.videoHeight },
+      fit: css.objectFit,
+      focus: media.focus,
+      kenburns: media.kenburns,
+      zoom: { mid: zoom("--kb-zoom-mid", KB_ZOOM.mid), max: zoom("--kb-zoom-max", KB_ZOOM.max) }
+    });
+    img.style.objectPosition = plan.objectPosition;
+    img.style.transformOrigin = plan.origin;
+    // reduced motion: hold the first framing (the CSS presets jump to their end instead)
+    const keyframes = REDUCED_MOTION?.matches ? [plan.keyframes[0], plan.keyframes[0]] : plan.keyframes;
+    img.animate(keyframes, {
+      id: KB_ANIMATION_ID,
+      duration: Math.max(3, durSec) * 1000,
+      easing: plan.easing,
+      fill: "forwards"
+    });
+    return true;
+  }
+
+  #resolveTransition(kind) {
+    const def = TRANSITIONS.get(kind);
+    if (!def && kind && this.debug) {
+      // eslint-disable-next-line no-console
+      console.warn(`[ZdkCore] Unknown transition "${kind}", using crossfade`);
     }
+    return def || TRANSITIONS.get("crossfade");
+  }
+
+  #exitDurationMs(scene) {
+    return this.#resolveTransition(scene.transitionOut || scene.transitionIn).durationMs;
+  }
+
+  #applyTransition(container, kind = "crossfade", isEnter = true) {
+    // Clear classes left by the previous transition
+    const prev = container.dataset.fx ? container.dataset.fx.split(" ") : [];
+    if (prev.length) container.classList.remove(...prev);
+
+    const def = this.#resolveTransition(kind);
+    Object.entries(def.vars).forEach(([k, v]) => container.style.setProperty(k, String(v)));
+    const classes = isEnter ? def.enter : def.exit;
+    if (classes.length) container.classList.add(...classes);
+    container.dataset.fx = classes.join(" ");
   }
 
   async #preloadAhead(startIndex) {
     const urls = [];
     for (let i = startIndex; i < Math.min(startIndex + 2, this.manifest.scenes.length); i++) {
-      const u = this.manifest.scenes[i]?.media?.src;
-      if (u) urls.push(u);
+      const m = this.manifest.scenes[i]?.media;
+      // video clips buffer through their own element on mount; warm the poster only
+      const u = m?.type === "video" ? m.poster : m?.src;
+      if (u && !m.missing) urls.push(u);
     }
     await Promise.all(urls.map(u => this.#preloadImage(u).catch(() => null)));
   }
@@ -477,15 +1149,142 @@ export class ZdkCore {
     });
   }
 
-  #waitImage(imgEl) {
-    if (imgEl.complete && imgEl.naturalWidth > 0) return Promise.resolve(true);
+  #waitMedia(el) {
+    if (el.localName === "svg") return Promise.resolve(true); // charts are drawn, not loaded
+    if (el.tagName === "VIDEO") {
+      if (!el.getAttribute("src")) return Promise.resolve(false);
+      if (el.readyState >= 2 || el.error) return Promise.resolve(!el.error); // HAVE_CURRENT_DATA
+      return new Promise((res) => {
+        el.addEventListener("loadeddata", () => res(true), { once: true });
+        el.addEventListener("error", () => res(false), { once: true });
+      });
+    }
+    if (!el.getAttribute("src")) return Promise.resolve(false);
+    if (el.complete) return Promise.resolve(el.naturalWidth > 0); // complete is also true once broken
     return new Promise((res) => {
-      imgEl.addEventListener("load", () => res(true), { once: true });
-      imgEl.addEventListener("error", () => res(false), { once: true });
+      el.addEventListener("load", () => res(true), { once: true });
+      el.addEventListener("error", () => res(false), { once: true });
     });
   }
+
+  /**
+   * Load the scene visual, trying media.fallback in order; when nothing loads (or the loader
+   * flagged it missing) a branded placeholder covers the frame instead of a broken image.
+   */
+  async #resolveVisual(visual, figure, m = {}) {
+    if (visual.dataset.state) return visual.dataset.state === "ok";
+    let ok = !m.missing && await this.#waitMedia(visual);
+    for (const alt of m.missing ? [] : m.fallback || []) {
+      if (ok) break;
+      if (this.debug) {
+        // eslint-disable-next-line no-console
+        console.warn(`[ZdkCore] media failed, trying fallback ${alt.src}`);
+      }
+      visual.src = alt.src;
+      ok = await this.#waitMedia(visual);
+    }
+    visual.dataset.state = ok ? "ok" : "missing";
+    if (!ok) figure.appendChild(this.#placeholder(m));
+    return ok;
+  }
+
+  /** Stand-in for media that failed to load (styles: brand.css .zdk-missing) */
+  #placeholder(m = {}) {
+    const el = document.createElement("div");
+    el.className = "zdk-missing";
+    el.setAttribute("role", "img");
+    el.setAttribute("aria-label", "media unavailable");
+    const mark = document.createElement("span");
+    mark.className = "zdk-missing__mark";
+    mark.textContent = "zodika";
+    const note = document.createElement("span");
+    note.className = "zdk-missing__note";
+    note.textContent = m.type === "video" ? "vídeo indisponível" : "imagem indisponível";
+    el.append(mark, note);
+    if (this.debug && m.src) {
+      const src = document.createElement("code");
+      src.className = "zdk-missing__src";
+      src.textContent = decodeURIComponent(String(m.src).split(/[?#]/)[0].split("/").pop());
+      el.appendChild(src);
+    }
+    return el;
+  }
+
+  /* ------------------------------- video ---------------------------------- */
+
+  #createVideo(m = {}) {
+    const v = document.createElement("video");
+    v.muted = m.muted !== false;
+    v.loop = !!m.loop;
+    v.playsInline = true;
+    v.preload = "auto";
+    v.disablePictureInPicture = true;
+    if (m.poster) v.poster = m.poster;
+    v.playbackRate = m.playbackRate || 1;
+    v.src = m.missing ? "" : m.src || "";
+    return v;
+  }
+
+  /** Clip time (s) that matches tLocal seconds into the scene */
+  #videoTimeAt(video, scene, tLocal) {
+    const { startAt = 0, playbackRate = 1, loop = false } = scene.media || {};
+    const t = startAt + Math.max(0, tLocal) * playbackRate;
+    const dur = video.duration;
+    if (!isFinite(dur) || dur <= 0) return t;
+    if (loop) return t % dur;
+    return Math.min(t, Math.max(0, dur - 0.001));
+  }
+
+  /** Move the clip to the frame of tLocal; resolves once the frame is decoded */
+  #seekVideo(video, scene, tLocal) {
+    video.playbackRate = this.#videoRate(scene);
+    const want = this.#videoTimeAt(video, scene, tLocal);
+    if (Math.abs(video.currentTime - want) < 0.001) return Promise.resolve(true);
+    return new Promise((res) => {
+      const timer = setTimeout(() => res(false), 3000); // never hang a frame on a bad clip
+      video.addEventListener("seeked", () => { clearTimeout(timer); res(true); }, { once: true });
+      video.currentTime = want;
+    });
+  }
+
+  /** Clip speed × playback rate */
+  #videoRate(scene) {
+    return (scene.media?.playbackRate || 1) * this._rate;
+  }
+
+  #playVideo(video) {
+    const p = video.play();
+    if (p && p.catch) {
+      p.catch((err) => {
+        // eslint-disable-next-line no-console
+        if (this.debug) console.warn("[ZdkCore] video play blocked:", err?.message || err);
+      });
+    }
+  }
+
+  #releaseVideo(video) {
+    video.pause();
+    video.removeAttribute("src");
+    video.load(); // frees the decoder
+  }
 }
 
+/* -------------------------- built-in transitions -------------------------- */
+
+function toClassList(v) {
+  const list = Array.isArray(v) ? v : String(v || "").split(/\s+/);
+  return list.map(c => String(c).trim()).filter(Boolean);
+}
+
+// effects.css kinds (all fx-dur-3 = 900ms on exit)
+ZdkCore.registerTransition("crossfade", { enter: "fx-crossfade-enter", exit: "fx-crossfade-exit", durationMs: 900 });
+ZdkCore.registerTransition("swipe", { enter: "fx-swipe-enter", exit: "fx-swipe-exit", durationMs: 900, vars: { "--dir": "1" } });
+ZdkCore.registerTransition("zoom", { enter: "fx-zoom-in", exit: "fx-zoom-out", durationMs: 900 });
+ZdkCore.registerTransition("light-wipe", { enter: "fx-light-wipe", exit: "fx-crossfade-exit", durationMs: 900 });
+// brand.css scene pair (sceneIn .46s / sceneOut .42s); post manifests name either side
+ZdkCore.registerTransition("scene-enter", { enter: "scene-enter", exit: "scene-exit", durationMs: 420 });
+ZdkCore.registerTransition("scene-exit", { enter: "scene-enter", exit: "scene-exit", durationMs: 420 });
+
 /* UMD-style fallback (optional): exposes ZdkCore on window when not using ES modules) */
 if (typeof window !== "undefined" && !window.ZdkCore) {
   window.ZdkCore = ZdkCore;
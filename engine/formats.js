@@ -0,0 +1,74 @@
+// engine/formats.js
+/**
+ * Zodika Formats — frame aspect ratios the same story can be cut to
+ * - "9:16" (Stories/Reels, default), "4:5" (feed), "1:1" (square), "16:9" (YouTube)
+ * - per-format render size and safe areas (platform UI at the top/bottom)
+ * - callouts and text blocks may override coordinates per format:
+ *     { html: "…", x: 0.18, y: 0.78, formats: { "16:9": { x: 0.1, y: 0.7 } } }
+ *     { html: "…", panel: true, pointer: { x: 0.8, y: 0.3 }, formats: { "1:1": { pointer: { x: 0.7, y: 0.4 } } } }
+ *
+ * Usage:
+ *   import { resolveFormat, applyFormat } from "./engine/formats.js";
+ *   const fmt = resolveFormat(manifest.format);       // { name, ratio, w, h, safe }
+ *   const m = applyFormat(manifest, fmt.name);        // overrides merged, 'formats' keys dropped
+ */
+
+export const DEFAULT_FORMAT = "9:16";
+
+/**
+ * name -> { ratio: [w, h], w, h (render px), safe: { top, bottom } (CSS px of the on-screen frame) }
+ * Safe areas keep text clear of platform UI: Stories has the most chrome, 16:9 the least.
+ */
+export const FORMATS = {
+  "9:16": { ratio: [9, 16], w: 1080, h: 1920, safe: { top: 72, bottom: 120 } },
+  "4:5":  { ratio: [4, 5],  w: 1080, h: 1350, safe: { top: 40, bottom: 64 } },
+  "1:1":  { ratio: [1, 1],  w: 1080, h: 1080, safe: { top: 32, bottom: 48 } },
+  "16:9": { ratio: [16, 9], w: 1920, h: 1080, safe: { top: 24, bottom: 40 } }
+};
+
+/** Format names, e.g. for schema enums */
+export function listFormats() {
+  return Object.keys(FORMATS);
+}
+
+/**
+ * Format definition by name; "16x9" and "16/9" are accepted too.
+ * Unknown names fall back to 9:16 ('known' tells which happened).
+ * @param {string} [name]
+ * @returns {{ name: string, ratio: number[], w: number, h: number, safe: {top:number,bottom:number}, known: boolean }}
+ */
+export function resolveFormat(name) {
+  const key = String(name || DEFAULT_FORMAT).trim().replace(/[x/]/i, ":");
+  const known = Object.hasOwn(FORMATS, key); // not "constructor", "__proto__"…
+  const def = FORMATS[known ? key : DEFAULT_FORMAT];
+  return { name: known ? key : DEFAULT_FORMAT, ...def, safe: { ...def.safe }, known };
+}
+
+/**
+ * Merge the per-format overrides of callouts and text blocks for 'name'
+ * (returns a new manifest; blocks lose their 'formats' key).
+ * @param {Object} manifest
+ * @param {string} name - format name (already resolved)
+ */
+export function applyFormat(manifest, name) {
+  if (!manifest || !Array.isArray(manifest.scenes)) return manifest;
+  const pick = (item) => {
+    if (!item || typeof item !== "object" || !item.formats) return item;
+    const { formats, ...rest } = item;
+    return { ...rest, ...(formats[name] || {}) };
+  };
+  return {
+    ...manifest,
+    format: name,
+    scenes: manifest.scenes.map((s) => ({
+      ...s,
+      ...(Array.isArray(s.text) ? { text: s.text.map(pick) } : {}),
+      ...(Array.isArray(s.callouts) ? { callouts: s.callouts.map(pick) } : {})
+    }))
+  };
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkFormats) {
+  window.ZdkFormats = { DEFAULT_FORMAT, FORMATS, listFormats, resolveFormat, applyFormat };
+}
@@ -0,0 +1,202 @@
+// engine/i18n.js
+/**
+ * Zodika i18n — one manifest, several language cuts (?lang=en)
+ * - text/callout 'html' may be a locale map: { "pt-br": "…", "en": "…", "es": "…" }
+ * - or a 'key' into a per-project strings file (manifest.i18n.strings, "{lang}" replaced):
+ *     { role: "title", key: "intro.title", html: "texto original" }   // html = source-language text
+ *     projects/post1/strings/en.json → { "intro": { "title": "…" } }  (nested or flat "intro.title")
+ * - fallback: exact tag ("pt-BR" = "pt-br") → same base language ("en-US" → "en", "pt" → "pt-br")
+ *   → i18n.fallback / manifest.lang (the source language) → first entry of the map
+ * - anything resolved past the base-language step is reported in 'missing'
+ * - optional stretch (i18n.stretch): manual scenes whose translation takes longer to read
+ *   get a longer 'd' (reveals scaled with it); timing "auto" scenes re-plan by themselves
+ *
+ * Manifest (simplified):
+ * {
+ *   lang: "pt-br",                                                  // source language
+ *   i18n: { strings: "strings/{lang}.json", fallback: "pt-br", stretch: 1.5 },  // all optional
+ *   scenes: [{ d: 6, text: [{ html: { "pt-br": "olá", "en": "hello" }, at: 0.4 }] }]
+ * }
+ *
+ * Usage:
+ *   import { localizeManifest } from "./engine/i18n.js";
+ *   const { manifest, missing } = localizeManifest(raw, { lang: "en", strings });
+ */
+
+import { resolveProfile, readingTime } from "./timing.js";
+
+/** Upper bound of the duration stretch when i18n.stretch is just 'true' */
+export const MAX_STRETCH = 1.5;
+
+/**
+ * Resolve every localized field of a raw manifest for one language.
+ * Manifests without locale maps or keys come back unchanged (apart from 'lang').
+ * @param {Object} manifest - raw (as authored)
+ * @param {Object} [opts]
+ * @param {string} [opts.lang] - requested language; default: the source language
+ * @param {Object} [opts.strings] - parsed strings file for 'lang'
+ * @param {boolean|number} [opts.stretch] - overrides manifest.i18n.stretch (number = max factor)
+ * @returns {{ manifest: Object, lang: string, missing: MissingText[] }}
+ *
+ * @typedef {Object} MissingText
+ * @property {string} path - JSON pointer of the block, e.g. "/scenes/2/text/0"
+ * @property {string} lang - requested language
+ * @property {string|null} used - locale shown instead (null: nothing found, empty text)
+ */
+export function localizeManifest(manifest, { lang, strings = null, stretch } = {}) {
+  if (!manifest || !Array.isArray(manifest.scenes)) return { manifest, lang: lang || "", missing: [] };
+  const cfg = manifest.i18n || {};
+  const source = normalizeTag(cfg.fallback || manifest.lang || "");
+  const want = normalizeTag(lang || source);
+  const missing = [];
+
+  const localize = (item, path) => {
+    if (!item || typeof item !== "object") return item;
+    const hasMap = isPlainObject(item.html);
+    if (!hasMap && !item.key) return item;
+    const { key, ...rest } = item;
+    let html = null;
+    if (key != null && strings) html = lookup(strings, String(key));
+    if (html == null && hasMap) {
+      const hit = pickLocale(item.html, want, source);
+      html = hit.value ?? "";
+      if (hit.level > 1) missing.push({ path, lang: want, used: hit.locale });
+    } else if (html == null) {
+      html = typeof item.html === "string" ? item.html : "";
+      if (want !== source || typeof item.html !== "string") {
+        missing.push({ path, lang: want, used: typeof item.html === "string" ? source || null : null });
+      }
+    }
+    return { ...rest, html };
+  };
+
+  const scenes = manifest.scenes.map((s, i) => {
+    if (!s || typeof s !== "object") return s;
+    return {
+      ...s,
+      ...(Array.isArray(s.text) ? { text: s.text.map((b, j) => localize(b, `/scenes/${i}/text/${j}`)) } : {}),
+      ...(Array.isArray(s.callouts) ? { callouts: s.callouts.map((c, j) => localize(c, `/scenes/${i}/callouts/${j}`)) } : {})
+    };
+  });
+
+  let out = { ...manifest, lang: want || manifest.lang, scenes };
+  if (!want) delete out.lang;
+  const max = stretchLimit(stretch ?? cfg.stretch);
+  if (max > 1 && want !== source) {
+    out = stretchScenes(out, localizeManifest(manifest, { lang: source, stretch: false }).manifest, max);
+  }
+  return { manifest: out, lang: want, missing };
+}
+
+/**
+ * URL of the strings file for a language, or null when the manifest has none.
+ * @param {Object} manifest - raw
+ * @param {string} lang
+ * @param {string} baseUrl - manifest URL (the template is relative to it)
+ */
+export function stringsURL(manifest, lang, baseUrl) {
+  const tpl = manifest?.i18n?.strings;
+  if (typeof tpl !== "string" || !tpl || !lang) return null;
+  return new URL(tpl.replace(/\{lang\}/g, encodeURIComponent(normalizeTag(lang))), baseUrl).href;
+}
+
+/**
+ * Locales offered by a manifest: source language plus every locale-map key.
+ * @param {Object} manifest - raw
+ * @returns {string[]}
+ */
+export function listLocales(manifest) {
+  const set = new Set();
+  const src = normalizeTag(manifest?.i18n?.fallback || manifest?.lang || "");
+  if (src) set.add(src);
+  (manifest?.scenes || []).forEach((s) => {
+    [...(s?.text || []), ...(s?.callouts || [])].forEach((b) => {
+      if (isPlainObject(b?.html)) Object.keys(b.html).forEach(k => set.add(normalizeTag(k)));
+    });
+  });
+  return [...set];
+}
+
+/** "pt_BR" → "pt-br" */
+export function normalizeTag(tag) {
+  return String(tag || "").trim().toLowerCase().replace(/_/g, "-");
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+/**
+ * Best entry of a locale map; 'level' tells which fallback step matched
+ * (0 exact, 1 same base language, 2 source language or its base, 3 first entry).
+ */
+function pickLocale(map, want, source) {
+  const entries = Object.entries(map).map(([k, v]) => [normalizeTag(k), v]);
+  const base = (tag) => tag.split("-")[0];
+  const steps = [
+    ([k]) => k === want,
+    ([k]) => base(k) === base(want),
+    ([k]) => !!source && k === source,
+    ([k]) => !!source && base(k) === base(source),
+    () => true
+  ];
+  for (const [i, test] of steps.entries()) {
+    const hit = entries.find(e => test(e) && typeof e[1] === "string");
+    if (hit) return { locale: hit[0], value: hit[1], level: [0, 1, 2, 2, 3][i] };
+  }
+  return { locale: null, value: null, level: 3 };
+}
+
+/** Flat ("intro.title") or nested ({ intro: { title } }) lookup */
+function lookup(strings, key) {
+  if (typeof strings[key] === "string") return strings[key];
+  const v = key.split(".").reduce((node, k) => (isPlainObject(node) ? node[k] : undefined), strings);
+  return typeof v === "string" ? v : null;
+}
+
+function stretchLimit(v) {
+  if (v === true) return MAX_STRETCH;
+  const n = Number(v);
+  return v && n > 1 && isFinite(n) ? n : 1;
+}
+
+/**
+ * Lengthen manual scenes whose localized text reads slower than the source
+ * (reading time at each language's own speed); explicit 't' of later scenes move along.
+ */
+function stretchScenes(m, src, max) {
+  const read = (manifest, scene) => {
+    const profile = resolveProfile(manifest.lang, { ...(manifest.reading || {}), ...(scene.reading || {}) });
+    return [...(scene.text || []), ...(scene.callouts || [])]
+      .reduce((sum, b) => sum + readingTime(b?.html, profile), 0);
+  };
+
+  let shift = 0;
+  const scenes = m.scenes.map((s, i) => {
+    const moved = typeof s?.t === "number" ? { ...s, t: +(s.t + shift).toFixed(3) } : s;
+    if (!s || (s.timing || m.timing) === "auto" || !(Number(s.d) > 0)) return moved;
+    const before = read(src, src.scenes[i]);
+    const after = read(m, s);
+    const f = before > 0 ? Math.min(max, after / before) : 1;
+    if (!(f > 1.01)) return moved;
+    const scale = (b) => (typeof b?.at === "number" ? { ...b, at: +(b.at * f).toFixed(2) } : b);
+    const d = +(s.d * f).toFixed(2);
+    shift += d - s.d;
+    return {
+      ...moved,
+      d,
+      ...(Array.isArray(s.text) ? { text: s.text.map(scale) } : {}),
+      ...(Array.isArray(s.callouts) ? { callouts: s.callouts.map(scale) } : {})
+    };
+  });
+  const out = { ...m, scenes };
+  if (typeof m.duration === "number") out.duration = +(m.duration + shift).toFixed(2);
+  return out;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkI18n) {
+  window.ZdkI18n = { MAX_STRETCH, localizeManifest, stringsURL, listLocales, normalizeTag };
+}
@@ -0,0 +1,175 @@
+// engine/kenburns.js
+/**
+ * Zodika Ken Burns — focal-point pan/zoom for scene media
+ * - media.focus { x, y } (0..1 of the image): the crop keeps that point in frame for any
+ *   format / object-fit, and the string presets zoom toward it instead of the frame center
+ * - media.kenburns may also be an object:
+ *     { from: { x, y, w, h }, to: { x, y, w, h } }          // view rects, 0..1 of the image
+ *     { scale: [1, 1.15], pan: [{ x, y }, { x, y }, …] }     // zoom + view centers per keyframe
+ *     easing: "ease-in-out"                                  // optional, default "linear"
+ * - zoom 1 is the frame's own fit (object-fit); the view never zooms out past it
+ * - output is Web Animations keyframes (translate % + scale, origin 0 0): seekable like the CSS presets;
+ *   'frames' carries the same values as numbers for renderers without CSS (canvas.js)
+ *
+ * Usage (ZdkCore):
+ *   const plan = planKenBurns({ box, image, fit, focus: media.focus, kenburns: media.kenburns });
+ *   img.style.objectPosition = plan.objectPosition;
+ *   img.animate(plan.keyframes, { duration, easing: plan.easing, fill: "forwards" });
+ */
+
+/** Zoom of the string presets (effects.css --kb-zoom-mid / --kb-zoom-max) */
+export const KB_ZOOM = { mid: 1.05, max: 1.08 };
+
+/** View shift of the directional presets (fraction of the image, like their CSS 2% translate) */
+const PAN_STEP = 0.02;
+
+/**
+ * True when the media needs planKenBurns (a focal point or a custom path);
+ * plain string presets keep the CSS classes.
+ * @param {Object} [media]
+ */
+export function isCustomKenBurns(media) {
+  return !!media && (isPoint(media.focus) || isPlainObject(media.kenburns));
+}
+
+/**
+ * Keyframes that pan/zoom the element toward the focal point.
+ * @param {Object} opts
+ * @param {{w:number,h:number}} opts.box - element box (CSS px)
+ * @param {{w:number,h:number}} [opts.image] - natural size; default: same as the box
+ * @param {string} [opts.fit="contain"] - computed object-fit ("cover" crops, anything else letterboxes)
+ * @param {{x:number,y:number}} [opts.focus] - focal point, 0..1 of the image (default center)
+ * @param {string|Object} [opts.kenburns="center"] - preset string or { from, to } / { scale, pan }
+ * @param {{mid:number,max:number}} [opts.zoom=KB_ZOOM] - preset zoom levels
+ * @returns {{ keyframes: {transform:string}[], frames: {x:number,y:number,k:number}[], easing: string, objectPosition: string, origin: string }}
+ *   frames: translate as fractions of the box + scale, one per keyframe
+ */
+export function planKenBurns({ box, image, fit = "contain", focus, kenburns = "center", zoom = KB_ZOOM }) {
+  const W = Math.max(1, box.w);
+  const H = Math.max(1, box.h);
+  const iw = image?.w > 0 ? image.w : W;
+  const ih = image?.h > 0 ? image.h : H;
+  const cover = fit === "cover";
+  const f = isPoint(focus) ? { x: clamp01(focus.x), y: clamp01(focus.y) } : { x: 0.5, y: 0.5 };
+
+  // fitted content rect inside the element (object-fit + object-position)
+  const s0 = cover ? Math.max(W / iw, H / ih) : Math.min(W / iw, H / ih);
+  const cw = iw * s0;
+  const ch = ih * s0;
+  const pos = cover ? f : { x: 0.5, y: 0.5 };
+  const ox = (W - cw) * pos.x;
+  const oy = (H - ch) * pos.y;
+
+  const views = viewsFor(kenburns, f, zoom, { W, H, cw, ch });
+  const frames = views.map(({ k, x, y }) => ({
+    x: axis(W / 2 - k * (ox + x * cw), k, ox, cw, W) / W,
+    y: axis(H / 2 - k * (oy + y * ch), k, oy, ch, H) / H,
+    k
+  }));
+  const keyframes = frames.map(({ x, y, k }) => ({
+    transform: `translate(${pct(x)}%, ${pct(y)}%) scale(${k.toFixed(4)})`
+  }));
+
+  return {
+    keyframes,
+    frames,
+    easing: (isPlainObject(kenburns) && typeof kenburns.easing === "string" && kenburns.easing) || "linear",
+    objectPosition: `${pct(pos.x)}% ${pct(pos.y)}%`,
+    origin: "0 0"
+  };
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+/** Views { k: zoom, x/y: view center in image fractions } for a preset or a custom path */
+function viewsFor(kb, focus, zoom, dims) {
+  if (isPlainObject(kb)) {
+    if (isPlainObject(kb.from) || isPlainObject(kb.to)) {
+      const from = isPlainObject(kb.from) ? kb.from : { x: 0, y: 0, w: 1, h: 1 };
+      const to = isPlainObject(kb.to) ? kb.to : rectAround(focus, zoom.mid);
+      return [rectView(from, dims), rectView(to, dims)];
+    }
+    const scale = numbers(kb.scale, [1, zoom.mid]);
+    const pan = Array.isArray(kb.pan) && kb.pan.some(isPoint) ? kb.pan.filter(isPoint) : [focus];
+    const n = Math.max(2, scale.length, pan.length);
+    return Array.from({ length: n }, (_, i) => {
+      const u = i / (n - 1);
+      return {
+        k: Math.max(1, sample(scale, u)),
+        x: clamp01(sample(pan.map(p => p.x), u)),
+        y: clamp01(sample(pan.map(p => p.y), u))
+      };
+    });
+  }
+
+  const preset = String(kb || "center");
+  const k = /strong/.test(preset) ? zoom.max : zoom.mid;
+  const to = { k, x: focus.x, y: focus.y };
+  if (/\bleft\b/.test(preset)) to.x -= PAN_STEP;
+  if (/\bright\b/.test(preset)) to.x += PAN_STEP;
+  if (/\bup\b/.test(preset)) to.y -= PAN_STEP;
+  if (/\bdown\b/.test(preset)) to.y += PAN_STEP;
+  return [{ k: 1, x: focus.x, y: focus.y }, to];
+}
+
+/** Zoom that shows the whole rect (never below the frame's fit), centered on it */
+function rectView(r, { W, H, cw, ch }) {
+  const w = Math.max(0.01, Math.min(1, Number(r.w) || 1));
+  const h = Math.max(0.01, Math.min(1, Number(r.h) || 1));
+  const x = clamp01(Number(r.x) || 0);
+  const y = clamp01(Number(r.y) || 0);
+  return {
+    k: Math.max(1, Math.min(W / (w * cw), H / (h * ch))),
+    x: clamp01(x + w / 2),
+    y: clamp01(y + h / 2)
+  };
+}
+
+function rectAround(p, k) {
+  const w = 1 / k;
+  return { x: p.x - w / 2, y: p.y - w / 2, w, h: w };
+}
+
+/**
+ * Clamp one translate axis: content larger than the frame must keep covering it
+ * (so the view stops at the image edge); smaller content stays centered.
+ */
+function axis(t, k, offset, size, frame) {
+  const span = k * size;
+  if (span < frame) return (frame - span) / 2 - k * offset;
+  return Math.min(-k * offset, Math.max(frame - k * (offset + size), t));
+}
+
+/** Linear interpolation over evenly spaced values, u in 0..1 */
+function sample(values, u) {
+  if (values.length === 1) return values[0];
+  const pos = u * (values.length - 1);
+  const i = Math.min(values.length - 2, Math.floor(pos));
+  return values[i] + (values[i + 1] - values[i]) * (pos - i);
+}
+
+function numbers(v, fallback) {
+  const list = (Array.isArray(v) ? v : [v]).map(Number).filter(n => n > 0 && isFinite(n));
+  return list.length ? list : fallback;
+}
+
+function isPoint(p) {
+  return isPlainObject(p) && isFinite(p.x) && isFinite(p.y);
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function clamp01(n) {
+  return Math.max(0, Math.min(1, Number(n) || 0));
+}
+
+function pct(n) {
+  return +(n * 100).toFixed(3);
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkKenBurns) {
+  window.ZdkKenBurns = { KB_ZOOM, isCustomKenBurns, planKenBurns };
+}
@@ -2,9 +2,14 @@
 /**
  * Zodika Loader
  * - Detects project from URL (?project=foo)
- * - Loads and validates ./projects/<project>/manifest.json
+ * - Loads and validates ./projects/<project>/manifest.json (schema check in debug mode)
  * - Resolves relative asset paths against manifest URL
- * - Preloads images with concurrency, retry and timeout
+ * - Picks the language cut (?lang=en): locale maps / strings file, missing translations warned
+ * - Preloads images (decode), video clips and audio (canplaythrough) with concurrency, retry and timeout
+ * - Media fallbacks + integrity (SRI hashes), preload report, onMissing policy for failed media
+ * - Responsive media.sources: best supported format (AVIF/WebP/…) at the width the frame needs
+ * - Optional live-reload of the manifest while authoring (watchProject)
+ * - Project bundles (.zdk zip, see bundle.js): loadProject(file | "post1.zdk"), assets as blob: URLs
  * - Exposes small helpers for app bootstrap
  *
  * Usage (example in scripts/app.js):
@@ -18,12 +23,21 @@
  *   core.start();
  */
 
+import { validateManifest, formatIssue } from "./schema.js";
+import { applyAutoTiming } from "./timing.js";
+import { localizeManifest, stringsURL } from "./i18n.js";
+import { isBundleSource, readBundle, mimeOf } from "./bundle.js";
+
 const DEFAULTS = {
   preload: "all",        // "all" | "none"  (core also preloads ahead)
   concurrency: 4,
   retry: 2,
   timeoutMs: 12000,
   injectPreload: true,   // add <link rel="preload" as="image" href="...">
+  lang: null,            // language cut (see i18n.js); null = the manifest's source language
+  onMissing: "placeholder", // media failing every source: "error" | "placeholder" | "skip-scene"
+  frameWidth: null,      // CSS px the media.sources pick is sized for; null = measured stage width
+  dpr: null,             // device pixel ratio for that pick; null = window.devicePixelRatio
   debug: false
 };
 
@@ -57,54 +71,126 @@ export function buildProjectPaths(project, baseHref) {
 
 /**
  * Load and prepare project
- * - fetch & parse manifest.json
- * - validate & normalize (resolve media.src to absolute)
+ * - fetch & parse manifest.json (or read it from a .zdk bundle: File, Blob or URL)
+ * - validate against the manifest schema (debug mode: warnings logged, errors thrown)
+ * - normalize (resolve media.src to absolute)
  * - optionally preload all images and inject <link rel="preload">
  *
- * @param {string} project
+ * @param {string|File|Blob} project - project name, or a bundle (File/Blob, or URL ending in .zdk/.zip)
  * @param {Object} opts
  * @param {"all"|"none"} [opts.preload="all"]
  * @param {number} [opts.concurrency=4]
  * @param {number} [opts.retry=2]
  * @param {number} [opts.timeoutMs=12000]
  * @param {boolean} [opts.injectPreload=true]
+ * @param {string} [opts.lang] - language cut, e.g. "en" (default: manifest.lang)
+ * @param {"error"|"placeholder"|"skip-scene"} [opts.onMissing="placeholder"] - scene media that fails
+ *        src and every fallback (preload "all"): throw, show ZdkCore's placeholder, or drop the scene.
+ *        With preload "none" ZdkCore tries the fallbacks itself and falls back to the placeholder.
+ * @param {number} [opts.frameWidth] - media.sources: frame width in CSS px (default: the stage's)
+ * @param {number} [opts.dpr] - media.sources: pixel ratio (default: devicePixelRatio; 1 when recording 1080 px wide)
  * @param {boolean} [opts.debug=false]
+ * @returns {Promise<{ manifest: Object, assetURLs: string[], validation: Object|null, report: PreloadReport|null, paths: Object }>}
+ *
+ * @typedef {Object} PreloadReport
+ * @property {boolean} ok - every asset loaded (possibly from a fallback)
+ * @property {number} ms - wall time of the whole preload
+ * @property {number} bytes - sum of known sizes (Resource Timing / integrity fetch)
+ * @property {PreloadEntry[]} entries
+ * @property {PreloadEntry[]} failed
+ *
+ * @typedef {Object} PreloadEntry
+ * @property {string} url - manifest URL (src)
+ * @property {"image"|"video"|"audio"} kind
+ * @property {number[]} scenes - scene indexes using it (-1: soundtrack)
+ * @property {boolean} ok
+ * @property {string|null} used - URL that loaded (a fallback, or a blob: URL of integrity-checked bytes)
+ * @property {number} index - 0 = src, n = fallback[n - 1]
+ * @property {number} ms
+ * @property {number|null} bytes
+ * @property {"ok"|"mismatch"|"unchecked"|null} integrity
+ * @property {string|null} error
  */
 export async function loadProject(project, opts = {}) {
   const cfg = { ...DEFAULTS, ...opts };
+  if (isBundleSource(project)) return loadBundle(project, cfg);
   const paths = buildProjectPaths(project);
 
   log(cfg, `[Loader] project="${project}" paths:`, paths);
 
   // 1) fetch & parse manifest
   const raw = await fetchJSON(paths.manifest, { retry: cfg.retry, timeoutMs: cfg.timeoutMs });
-  if (!raw || !Array.isArray(raw.scenes)) {
-    throw new Error(`Manifest missing 'scenes' array at ${paths.manifest}`);
-  }
 
-  // 2) normalize & resolve asset URLs
-  const manifest = normalizeManifest(raw, paths.manifest);
-  log(cfg, "[Loader] manifest normalized:", manifest);
-
-  // 3) Collect image URLs
-  const assetURLs = collectMediaURLs(manifest);
-  log(cfg, `[Loader] assets (${assetURLs.length}):`, assetURLs);
+  // 2..5) validate, normalize, collect + preload assets
+  return { ...(await prepareManifest(raw, paths, cfg)), paths };
+}
 
-  // 4) Inject <link rel="preload"> hints (optional)
-  if (cfg.injectPreload && assetURLs.length) {
-    injectPreloadLinks(assetURLs);
-  }
+/**
+ * Live-reload: poll a project's manifest.json and report edits (authoring, ?watch=1).
+ * Uses conditional requests (ETag / Last-Modified) and a content hash for servers
+ * without validators. Changed manifests go through the same validation/normalization
+ * as loadProject; only assets not seen before are preloaded, the others keep the outcome
+ * of their last preload (source used, missing, skipped scene).
+ *
+ * @param {string} project
+ * @param {Object} opts - loadProject options, plus:
+ * @param {number} [opts.intervalMs=1000]
+ * @param {PreloadReport} [opts.report] - loadProject's report for the manifest on screen
+ * @param {(res:{manifest:Object, assetURLs:string[], paths:Object, validation:Object|null}) => void} opts.onChange
+ * @param {(err:Error) => void} [opts.onError] - invalid JSON/manifest, network errors (polling continues)
+ * @returns {{ stop: () => void }}
+ */
+export function watchProject(project, { intervalMs = 1000, onChange, onError, report = null, ...opts } = {}) {
+  const cfg = { ...DEFAULTS, injectPreload: false, retry: 0, ...opts };
+  const paths = buildProjectPaths(project);
+  const known = new Map(); // url → last preload entry (null: not preloaded)
+  const remember = (urls, rep) => {
+    urls.forEach(u => { if (!known.has(u)) known.set(u, null); });
+    rep?.entries.forEach(e => known.set(e.url, e));
+  };
+  let validators = {};
+  let hash = null;
+  let timer = null;
+  let stopped = false;
 
-  // 5) Preload images (optional, 'all')
-  if (cfg.preload === "all" && assetURLs.length) {
-    await preloadImages(assetURLs, { concurrency: cfg.concurrency, retry: cfg.retry, timeoutMs: cfg.timeoutMs, debug: cfg.debug });
-  }
+  const poll = async () => {
+    try {
+      const res = await fetchJSON(paths.manifest, { retry: 0, timeoutMs: cfg.timeoutMs, validators });
+      if (!res.notModified) {
+        validators = { etag: res.etag, lastModified: res.lastModified };
+        const prev = hash;
+        hash = hashString(res.text); // set first: a broken edit is reported once, not every poll
+        if (prev === null) {
+          // baseline: what loadProject already has on screen
+          const base = localizeManifest(res.data, { lang: cfg.lang }).manifest;
+          const shown = normalizeManifest(base, paths.manifest, paths.bundle?.urls);
+          await pickSources(shown, cfg);
+          remember(collectAll(shown), report);
+        } else if (hash !== prev) {
+          log(cfg, "[Loader] manifest changed, reloading");
+          const prepared = await prepareManifest(res.data, paths, cfg, known);
+          remember(prepared.assetURLs, prepared.report);
+          if (!stopped) onChange?.({ ...prepared, paths });
+        }
+      }
+    } catch (err) {
+      log(cfg, "[Loader] watch error:", err?.message || err);
+      onError?.(err);
+    }
+    if (!stopped) timer = setTimeout(poll, intervalMs);
+  };
+  poll();
 
-  return { manifest, assetURLs, paths };
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
 }
 
-/** Return the 9:16 mount element (.frame-916) or throw */
-export function getStageMount(selector = ".frame-916") {
+/** Return the stage mount element ([data-zdk-stage], else the legacy .frame-916) or throw */
+export function getStageMount(selector = "[data-zdk-stage], .frame-916") {
   const el = document.querySelector(selector);
   if (!el) throw new Error(`Loader: mount element "${selector}" not found`);
   return el;
@@ -133,14 +219,93 @@ export function showErrorOverlay(message, mount = getStageMount()) {
 
 /* ------------------------------ Internals --------------------------------- */
 
-/** Fetch JSON with retry + timeout */
-async function fetchJSON(url, { retry = 1, timeoutMs = 10000 } = {}) {
+/**
+ * Shared by loadProject/watchProject:
+ * localize, schema check (debug), normalize, collect media, preload hints + preload.
+ * @param {Map<string,Object|null>} [known] - URLs already preloaded (skipped) → their last report entry,
+ *   applied again so edits keep the source used / missing flags
+ */
+async function prepareManifest(source, paths, cfg, known = null) {
+  if (!source || !Array.isArray(source.scenes)) {
+    throw new Error(`Manifest missing 'scenes' array at ${paths.manifest}`);
+  }
+
+  // language cut: locale maps + strings file, then everything below sees plain html
+  const strings = await loadStrings(source, cfg, paths);
+  const { manifest: raw, lang, missing } = localizeManifest(source, { lang: cfg.lang, strings });
+  if (missing.length) {
+    // eslint-disable-next-line no-console
+    console.warn(`[Loader] ${missing.length} text(s) not translated to "${lang}", using fallbacks`);
+    missing.forEach(m => log(cfg, `[Loader] i18n: ${m.path} → ${m.used ? `"${m.used}"` : "(empty)"}`));
+  }
+
+  // schema validation while authoring
+  let validation = null;
+  if (cfg.debug) {
+    validation = validateManifest(raw);
+    validation.warnings.forEach(w => console.warn("[Loader] manifest:", formatIssue(w)));
+    if (!validation.valid) {
+      throw new Error(`Invalid manifest at ${paths.manifest}:\n${validation.errors.map(formatIssue).join("\n")}`);
+    }
+  }
+
+  // normalize & resolve asset URLs
+  const manifest = normalizeManifest(raw, paths.manifest, paths.bundle?.urls);
+  await pickSources(manifest, cfg); // one variant per media: only that one is preloaded
+  log(cfg, "[Loader] manifest normalized:", manifest);
+
+  // Collect media URLs (images incl. video posters, video clips, music + narration)
+  const { images, videos, audio } = collectMediaURLs(manifest);
+  const assetURLs = [...images, ...videos, ...audio];
+  log(cfg, `[Loader] assets (${assetURLs.length}):`, assetURLs);
+  const fresh = (list) => (known ? list.filter(u => !known.has(u)) : list);
+
+  // Inject <link rel="preload"> hints for images (optional)
+  if (cfg.injectPreload && images.length) {
+    injectPreloadLinks(fresh(images));
+  }
+
+  // Preload media (optional, 'all'): fallbacks in order, integrity checked, outcome reported
+  let report = null;
+  if (cfg.preload === "all" && assetURLs.length) {
+    const q = { concurrency: cfg.concurrency, retry: cfg.retry, timeoutMs: cfg.timeoutMs, debug: cfg.debug };
+    report = await preloadAssets(assetJobs(manifest, known), q);
+    const reloaded = new Set(report.entries.map(e => e.url));
+    const previous = known ? [...known.values()].filter(e => e && !reloaded.has(e.url)) : [];
+    applyReport(manifest, report, cfg, previous);
+  }
+
+  return { manifest, assetURLs, validation, report };
+}
+
+/**
+ * Fetch JSON with retry + timeout.
+ * With 'validators' ({ etag, lastModified }, may be empty) the request is conditional and
+ * uncached, resolving { notModified } or { data, text, etag, lastModified } instead of the data.
+ */
+async function fetchJSON(url, { retry = 1, timeoutMs = 10000, validators = null } = {}) {
   let lastErr;
   for (let attempt = 0; attempt <= retry; attempt++) {
     try {
-      const res = await fetchWithTimeout(url, { timeoutMs });
+      if (!validators) {
+        const res = await fetchWithTimeout(url, { timeoutMs });
+        if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+        return await res.json();
+      }
+      const headers = {};
+      if (validators.etag) headers["If-None-Match"] = validators.etag;
+      if (validators.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+      const res = await fetchWithTimeout(url, { timeoutMs, headers, cache: "no-store" });
+      if (res.status === 304) return { notModified: true };
       if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-      return await res.json();
+      const text = await res.text();
+      return {
+        notModified: false,
+        data: JSON.parse(text),
+        text,
+        etag: res.headers.get("ETag"),
+        lastModified: res.headers.get("Last-Modified")
+      };
     } catch (err) {
       lastErr = err;
       await sleep(200 * attempt);
@@ -149,16 +314,70 @@ async function fetchJSON(url, { retry = 1, timeoutMs = 10000 } = {}) {
   throw lastErr || new Error(`Failed to fetch ${url}`);
 }
 
+/**
+ * Bundle flavour of loadProject: same pipeline, with paths inside a virtual
+ * zdk-bundle:// folder and every zip entry served from a blob: URL.
+ * paths.bundle.revoke() frees them once the story is replaced.
+ */
+async function loadBundle(source, cfg) {
+  const { manifest: raw, files, name } = await readBundle(source, { timeoutMs: cfg.timeoutMs });
+  const dir = `zdk-bundle://b${++bundleSeq}/`;
+  const urls = new Map();
+  files.forEach((blob, path) => urls.set(path, URL.createObjectURL(blob)));
+  const paths = {
+    dir,
+    manifest: new URL("manifest.json", dir).href,
+    imagesDir: new URL("images/", dir).href,
+    bundle: {
+      name,
+      files,
+      urls,
+      revoke: () => urls.forEach(u => URL.revokeObjectURL(u))
+    }
+  };
+  log(cfg, `[Loader] bundle "${name}" (${files.size} files)`);
+  try {
+    return { ...(await prepareManifest(raw, paths, cfg)), paths };
+  } catch (err) {
+    paths.bundle.revoke();
+    throw err;
+  }
+}
+
+let bundleSeq = 0;
+
+/** Strings file of the requested language (null if the manifest has none or it can't be loaded) */
+async function loadStrings(raw, cfg, paths) {
+  const url = stringsURL(raw, cfg.lang || raw.lang, paths.manifest);
+  if (!url) return null;
+  try {
+    if (paths.bundle) {
+      const file = paths.bundle.files.get(decodeURIComponent(url.slice(paths.dir.length)));
+      if (!file) throw new Error("not in the bundle");
+      return JSON.parse(await file.text());
+    }
+    return await fetchJSON(url, { retry: cfg.retry, timeoutMs: cfg.timeoutMs });
+  } catch (err) {
+    // the source language usually lives in the manifest itself: only a requested cut warns
+    // eslint-disable-next-line no-console
+    if (cfg.lang) console.warn(`[Loader] strings file ${url} unavailable (${err?.message || err}), using fallbacks`);
+    return null;
+  }
+}
+
 function fetchWithTimeout(url, { timeoutMs = 10000, ...init } = {}) {
   const ctrl = new AbortController();
   const id = setTimeout(() => ctrl.abort(), timeoutMs);
   return fetch(url, { ...init, signal: ctrl.signal }).finally(() => clearTimeout(id));
 }
 
-/** Normalize manifest: clamp durations, resolve media.src relative to manifest URL */
-function normalizeManifest(raw, manifestUrl) {
-  const base = new URL(".", manifestUrl).href;
-  const m = clone(raw);
+/**
+ * Normalize manifest: clamp durations, resolve media.src relative to manifest URL
+ * @param {Map<string,string>} [bundled] - bundle path -> blob: URL (bundles only)
+ */
+function normalizeManifest(raw, manifestUrl, bundled = null) {
+  const base = bundled ? { href: new URL(".", manifestUrl).href, bundled } : new URL(".", manifestUrl).href;
+  const m = clone(applyAutoTiming(raw)); // timing: "auto" fills d/at before 'd' is checked
   if (!Array.isArray(m.scenes)) m.scenes = [];
   m.scenes = m.scenes.map((s, i) => {
     const scene = { ...s };
@@ -169,12 +388,52 @@ function normalizeManifest(raw, manifestUrl) {
     }
     // media
     const media = scene.media || {};
-    const src = String(media.src || "").trim();
     scene.media = {
-      src: src ? new URL(src, base).href : "",
+      src: resolveAsset(media.src, base),
       credit: media.credit,
       kenburns: media.kenburns || "center"
     };
+    if (media.focus) scene.media.focus = { x: Number(media.focus.x), y: Number(media.focus.y) };
+    if (media.integrity) scene.media.integrity = String(media.integrity);
+    const fallback = (Array.isArray(media.fallback) ? media.fallback : [media.fallback])
+      .map(f => (typeof f === "string" ? { src: f } : f))
+      .filter(f => f?.src)
+      .map(f => ({ src: resolveAsset(f.src, base), ...(f.integrity ? { integrity: String(f.integrity) } : {}) }))
+      .filter(f => f.src);
+    if (fallback.length) scene.media.fallback = fallback;
+    const sources = (Array.isArray(media.sources) ? media.sources : [])
+      .filter(v => v?.src)
+      .map(v => ({
+        src: resolveAsset(v.src, base),
+        type: v.type || mimeOf(v.src),
+        ...(Number(v.width) > 0 ? { width: Number(v.width) } : {}),
+        ...(v.integrity ? { integrity: String(v.integrity) } : {})
+      }))
+      .filter(v => v.src);
+    if (sources.length) scene.media.sources = sources;
+    if (media.type === "video") {
+      const rate = Number(media.playbackRate);
+      Object.assign(scene.media, {
+        type: "video",
+        poster: resolveAsset(media.poster, base) || undefined,
+        muted: media.muted !== false,
+        loop: !!media.loop,
+        startAt: Math.max(0, Number(media.startAt) || 0),
+        playbackRate: rate > 0 && isFinite(rate) ? rate : 1
+      });
+    }
+    // natal chart: drawn by the player (chart.js), nothing to fetch
+    if (media.type === "chart") Object.assign(scene.media, { type: "chart", chart: media.chart || {} });
+    // narration clip
+    if (scene.narration?.src) {
+      scene.narration = {
+        src: resolveAsset(scene.narration.src, base),
+        at: Math.max(0, Number(scene.narration.at) || 0),
+        volume: clamp01(scene.narration.volume ?? 1)
+      };
+    } else {
+      delete scene.narration;
+    }
     // text & callouts normalize arrays
     if (!Array.isArray(scene.text)) scene.text = [];
     if (!Array.isArray(scene.callouts)) scene.callouts = [];
@@ -184,20 +443,130 @@ function normalizeManifest(raw, manifestUrl) {
     return scene;
   });
 
+  // soundtrack
+  if (m.audio && typeof m.audio === "object") {
+    m.audio = normalizeAudio(m.audio, base);
+  } else {
+    delete m.audio;
+  }
+
   // preserve theme/duration hint if present
   m.theme = m.theme === "dark" ? "dark" : "light";
   m.duration = Number(m.duration) || sumDurations(m.scenes);
   return m;
 }
 
-/** Gather unique media URLs from manifest */
+/** Music + ducking with defaults; volumes clamped, times non-negative */
+function normalizeAudio(audio, base) {
+  const out = {};
+  const music = audio.music;
+  if (music?.src) {
+    out.music = {
+      src: resolveAsset(music.src, base),
+      volume: clamp01(music.volume ?? 0.8),
+      fadeIn: Math.max(0, Number(music.fadeIn) || 0),
+      fadeOut: Math.max(0, Number(music.fadeOut) || 0),
+      offset: Math.max(0, Number(music.offset) || 0),
+      loop: music.loop !== false
+    };
+  }
+  const duck = audio.ducking || {};
+  out.ducking = {
+    volume: clamp01(duck.volume ?? 0.3),
+    attack: Math.max(0, Number(duck.attack ?? 0.25)),
+    release: Math.max(0, Number(duck.release ?? 0.6))
+  };
+  return out;
+}
+
+/**
+ * Responsive sources: media.src becomes the best variant of media.sources for this device
+ * (best supported format among the widths covering frameWidth × dpr, else the widest);
+ * the authored src stays as the first fallback. media.sources is consumed.
+ */
+async function pickSources(manifest, cfg) {
+  const need = Math.round((cfg.frameWidth || stageWidth()) * (cfg.dpr || globalThis.devicePixelRatio || 1));
+  for (const [i, s] of manifest.scenes.entries()) {
+    const m = s.media;
+    if (!m?.sources) continue;
+    const kind = m.type === "video" ? "video" : "image";
+    const usable = [];
+    for (const v of m.sources) {
+      if (await supportsType(v.type, kind)) usable.push(v);
+    }
+    delete m.sources;
+    const best = chooseVariant(usable, need);
+    if (!best || best.src === m.src) continue;
+    if (m.src) {
+      m.fallback = [{ src: m.src, ...(m.integrity ? { integrity: m.integrity } : {}) }, ...(m.fallback || [])];
+    }
+    m.src = best.src;
+    if (best.integrity) m.integrity = best.integrity;
+    else delete m.integrity;
+    log(cfg, `[Loader] scene ${i}: ${best.type}${best.width ? ` ${best.width}w` : ""} for ${need}px`);
+  }
+}
+
+/** Preference when several formats cover the frame (unlisted types rank lowest) */
+const FORMAT_RANK = { "image/avif": 4, "image/jxl": 3, "image/webp": 2, "video/webm": 2 };
+
+function chooseVariant(list, need) {
+  if (!list.length) return null;
+  const rank = (v) => FORMAT_RANK[v.type] || 1;
+  const covering = list.filter(v => !v.width || v.width >= need);
+  if (covering.length) {
+    // best format, then the smallest file that is still sharp (unknown width = largest)
+    return covering.sort((a, b) => rank(b) - rank(a) || (a.width || Infinity) - (b.width || Infinity))[0];
+  }
+  return [...list].sort((a, b) => b.width - a.width || rank(b) - rank(a))[0];
+}
+
+/** Width of the stage in CSS px (the frame the media is shown in) */
+function stageWidth() {
+  const el = typeof document !== "undefined" ? document.querySelector("[data-zdk-stage], .frame-916") : null;
+  return el?.getBoundingClientRect().width || globalThis.innerWidth || 1080;
+}
+
+/** Tiny images that only decode where the format is supported */
+const FORMAT_PROBES = {
+  "image/avif": "data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=",
+  "image/webp": "data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA",
+  "image/jxl": "data:image/jxl;base64,/woIELASCAgQAFwASxLFgkWAHL0xqnCBCV0qDp901Te/5QM="
+};
+
+const typeSupport = new Map();
+
+/** Can this browser show 'type'? Images are probed by decoding (cached), video via canPlayType */
+function supportsType(type, kind) {
+  if (!type || /^image\/(jpeg|png|gif|svg\+xml)$/.test(type)) return Promise.resolve(true);
+  if (kind === "video" || type.startsWith("video/")) {
+    return Promise.resolve(!!document.createElement("video").canPlayType?.(type));
+  }
+  if (!FORMAT_PROBES[type]) return Promise.resolve(false);
+  if (!typeSupport.has(type)) {
+    typeSupport.set(type, decodeImage(FORMAT_PROBES[type], 2000).then(() => true, () => false));
+  }
+  return typeSupport.get(type);
+}
+
+/** Gather unique media URLs from manifest, split by how they preload */
 function collectMediaURLs(manifest) {
-  const set = new Set();
+  const images = new Set();
+  const videos = new Set();
+  const audio = new Set();
+  if (manifest.audio?.music?.src) audio.add(manifest.audio.music.src);
   (manifest.scenes || []).forEach(s => {
-    const u = s?.media?.src;
-    if (u) set.add(u);
+    if (s?.narration?.src) audio.add(s.narration.src);
+    const m = s?.media;
+    if (!m) return;
+    if (m.type === "video") {
+      if (m.src) videos.add(m.src);
+      if (m.poster) images.add(m.poster);
+    } else if (m.src) {
+      images.add(m.src);
+    }
   });
-  return Array.from(set);
+  return { images: Array.from(images), videos: Array.from(videos), audio: Array.from(audio) };
 }
 
 /** Inject <link rel="preload" as="image"> for each URL (idempotent-ish) */
@@ -215,28 +584,208 @@ function injectPreloadLinks(urls = []) {
 }
 
 /**
- * Preload many images with concurrency and retry
- * @param {string[]} urls
+ * One preload job per distinct asset: { kind, url, candidates: [{ src, integrity? }], scenes }
+ * (candidates = src, then media.fallback). URLs in 'known' were preloaded before.
+ */
+function assetJobs(manifest, known = null) {
+  const jobs = new Map();
+  const add = (kind, url, scene, candidates = [{ src: url }]) => {
+    if (!url || known?.has(url)) return;
+    if (!jobs.has(url)) jobs.set(url, { kind, url, candidates, scenes: [] });
+    if (!jobs.get(url).scenes.includes(scene)) jobs.get(url).scenes.push(scene);
+  };
+  add("audio", manifest.audio?.music?.src, -1);
+  (manifest.scenes || []).forEach((s, i) => {
+    add("audio", s?.narration?.src, i);
+    const m = s?.media;
+    if (!m?.src) return;
+    const candidates = [{ src: m.src, integrity: m.integrity }, ...(m.fallback || [])];
+    if (m.type === "video") {
+      add("video", m.src, i, candidates);
+      add("image", m.poster, i);
+    } else {
+      add("image", m.src, i, candidates);
+    }
+  });
+  return [...jobs.values()];
+}
+
+/**
+ * Preload jobs with concurrency; resolves the report (never rejects)
+ * @param {Object[]} jobs - from assetJobs
  * @param {Object} opts
  * @param {number} [opts.concurrency=4]
  * @param {number} [opts.retry=2]
  * @param {number} [opts.timeoutMs=12000]
  * @param {boolean} [opts.debug=false]
+ * @returns {Promise<PreloadReport>}
  */
-async function preloadImages(urls, { concurrency = 4, retry = 2, timeoutMs = 12000, debug = false } = {}) {
-  const queue = [...urls];
+async function preloadAssets(jobs, opts = {}) {
+  const t0 = performance.now();
+  const entries = await preloadQueue(jobs, preloadAsset, opts);
+  const failed = entries.filter(e => !e.ok);
+  return {
+    ok: failed.length === 0,
+    ms: Math.round(performance.now() - t0),
+    bytes: entries.reduce((n, e) => n + (e.bytes || 0), 0),
+    entries,
+    failed
+  };
+}
+
+/** Try a job's candidates in order (each with retry); integrity-checked bytes load from a blob: URL */
+async function preloadAsset(job, { retry = 1, timeoutMs = 10000 } = {}) {
+  const t0 = performance.now();
+  const entry = {
+    url: job.url, kind: job.kind, scenes: job.scenes,
+    ok: false, used: null, index: -1, ms: 0, bytes: null, integrity: null, error: null
+  };
+  for (const [index, c] of job.candidates.entries()) {
+    let blob = null;
+    // per candidate: a fallback that loads reports its own hash check and size
+    entry.integrity = null;
+    entry.bytes = null;
+    try {
+      let src = c.src;
+      if (c.integrity) {
+        const checked = await fetchVerified(c.src, c.integrity, { retry, timeoutMs });
+        entry.integrity = checked.status;
+        entry.bytes = checked.bytes;
+        src = blob = checked.url;
+      }
+      if (job.kind === "image") await preloadImage(src, { retry, timeoutMs });
+      else await preloadClip(src, { retry, timeoutMs, tag: job.kind });
+      Object.assign(entry, { ok: true, used: src, index, error: null });
+      entry.bytes ??= resourceBytes(c.src);
+      break;
+    } catch (err) {
+      if (blob) URL.revokeObjectURL(blob); // verified bytes the element couldn't use
+      entry.error = err?.message || String(err);
+      if (/integrity/.test(entry.error)) entry.integrity = "mismatch";
+    }
+  }
+  entry.ms = Math.round(performance.now() - t0);
+  return entry;
+}
+
+/**
+ * Fetch bytes and compare them to an SRI value ("sha256-… sha384-…": any listed hash may match).
+ * Without WebCrypto (insecure origins) the bytes are used unchecked.
+ */
+async function fetchVerified(url, integrity, { retry = 1, timeoutMs = 10000 } = {}) {
+  let res;
+  for (let attempt = 0; attempt <= retry && !res; attempt++) {
+    try {
+      res = await fetchWithTimeout(url, { timeoutMs });
+      if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    } catch (err) {
+      res = null;
+      if (attempt === retry) throw err;
+      await sleep(150 * (attempt + 1));
+    }
+  }
+  const buf = await res.arrayBuffer();
+  const blob = new Blob([buf], { type: res.headers.get("Content-Type") || "" });
+  const out = { url: URL.createObjectURL(blob), bytes: buf.byteLength, status: "ok" };
+  if (!globalThis.crypto?.subtle) return { ...out, status: "unchecked" };
+
+  const algos = { sha256: "SHA-256", sha384: "SHA-384", sha512: "SHA-512" };
+  for (const token of String(integrity).trim().split(/\s+/)) {
+    const [, algo, expected] = token.match(/^(sha256|sha384|sha512)-([A-Za-z0-9+/=_-]+)/) || [];
+    if (!algo) continue;
+    const digest = new Uint8Array(await crypto.subtle.digest(algos[algo], buf));
+    const b64 = btoa(String.fromCharCode(...digest));
+    if (b64 === expected.replace(/-/g, "+").replace(/_/g, "/")) return out;
+  }
+  URL.revokeObjectURL(out.url);
+  throw new Error(`integrity mismatch for ${url}`);
+}
+
+/** Transfer size from Resource Timing (null when unknown: cross-origin without TAO, data: URIs) */
+function resourceBytes(url) {
+  const [e] = typeof performance.getEntriesByName === "function" ? performance.getEntriesByName(url) : [];
+  return e ? (e.encodedBodySize || e.transferSize || null) : null;
+}
+
+/**
+ * Apply a preload report: scenes use the source that loaded; media that failed every source
+ * follows cfg.onMissing. Failures are always logged (a bad take should not go unnoticed).
+ * 'previous': entries of assets preloaded before (live-reload), applied but not logged again.
+ */
+function applyReport(manifest, report, cfg, previous = []) {
+  if (report.failed.length) {
+    // eslint-disable-next-line no-console
+    console.warn(`[Loader] ${report.failed.length}/${report.entries.length} asset(s) failed:\n` +
+      report.failed.map(e => `  ${e.url} (${e.error})`).join("\n"));
+  }
+  // the policy is about scene visuals; posters and audio failures are only reported
+  const visuals = new Set(manifest.scenes.map(s => s.media?.src).filter(Boolean));
+  const entries = [...previous, ...report.entries];
+  const media = entries.filter(e => visuals.has(e.url));
+  if (cfg.onMissing === "error" && media.some(e => !e.ok)) {
+    const err = new Error(`Missing media:\n${media.filter(e => !e.ok).map(e => `${e.url} (${e.error})`).join("\n")}`);
+    err.report = report;
+    throw err;
+  }
+
+  const byUrl = new Map(entries.map(e => [e.url, e]));
+  const dropped = new Set();
+  manifest.scenes.forEach((s, i) => {
+    const m = s.media;
+    const poster = byUrl.get(m.poster);
+    if (m.type === "video" && poster && !poster.ok) delete m.poster;
+    const e = byUrl.get(m.src);
+    if (!e) return;
+    if (e.ok) {
+      if (e.used !== m.src) {
+        const rest = (m.fallback || []).slice(e.index);
+        if (rest.length) m.fallback = rest;
+        else delete m.fallback;
+        m.src = e.used;
+      }
+      delete m.integrity; // checked (or not requested)
+    } else if (cfg.onMissing === "skip-scene") {
+      dropped.add(i);
+    } else {
+      m.missing = true;
+    }
+  });
+  if (dropped.size) skipScenes(manifest, dropped, cfg);
+}
+
+/** Remove scenes; explicit start times after them move back by the removed length */
+function skipScenes(manifest, dropped, cfg) {
+  let removed = 0;
+  manifest.scenes = manifest.scenes.filter((s, i) => {
+    if (dropped.has(i)) {
+      removed += s.d;
+      return false;
+    }
+    if (removed && typeof s.t === "number") s.t = Math.max(0, s.t - removed);
+    return true;
+  });
+  if (!manifest.scenes.length) throw new Error("Loader: every scene's media failed to load (onMissing \"skip-scene\")");
+  manifest.duration = Math.max(sumDurations(manifest.scenes), manifest.duration - removed);
+  log(cfg, `[Loader] skipped scene(s) ${[...dropped].join(", ")} (missing media)`);
+}
+
+/** Run 'loadOne(item, { retry, timeoutMs })' over items with bounded concurrency; resolves results in order */
+async function preloadQueue(items, loadOne, { concurrency = 4, retry = 2, timeoutMs = 12000, debug = false } = {}) {
+  const queue = items.map((item, i) => [item, i]);
+  const results = new Array(items.length);
   let active = 0;
   let resolved = 0;
   const total = queue.length;
 
   return new Promise((resolve) => {
     const next = () => {
-      if (!queue.length && active === 0) return resolve(true);
+      if (!queue.length && active === 0) return resolve(results);
       while (active < concurrency && queue.length) {
-        const url = queue.shift();
+        const [item, i] = queue.shift();
         active++;
-        preloadImage(url, { retry, timeoutMs })
-          .catch((e) => log({ debug }, "[Loader] preload error:", url, e?.message || e))
+        loadOne(item, { retry, timeoutMs })
+          .then((r) => { results[i] = r; })
+          .catch((e) => log({ debug }, "[Loader] preload error:", item, e?.message || e))
           .finally(() => {
             active--;
             resolved++;
@@ -267,6 +816,48 @@ async function preloadImage(url, { retry = 1, timeoutMs = 10000 } = {}) {
   throw lastErr || new Error(`Failed to preload ${url}`);
 }
 
+/** Preload single video/audio clip with retry + timeout */
+async function preloadClip(url, { retry = 1, timeoutMs = 10000, tag = "video" } = {}) {
+  let lastErr;
+  for (let attempt = 0; attempt <= retry; attempt++) {
+    try {
+      await bufferClip(tag, url, timeoutMs);
+      return true;
+    } catch (err) {
+      lastErr = err;
+      await sleep(150 * attempt);
+    }
+  }
+  throw lastErr || new Error(`Failed to preload ${url}`);
+}
+
+/** Buffer a <video>/<audio> clip until the browser estimates it can play through, with timeout */
+function bufferClip(tag, src, timeoutMs = 10000) {
+  return new Promise((res, rej) => {
+    const el = document.createElement(tag);
+    let done = false;
+    const timer = setTimeout(() => finish(new Error(`${tag} buffer timeout`)), timeoutMs);
+
+    function finish(err) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      el.oncanplaythrough = el.onerror = null;
+      el.removeAttribute("src");
+      el.load(); // drop the decoder; the HTTP cache keeps the bytes
+      if (err) rej(err);
+      else res(true);
+    }
+
+    el.muted = true;
+    el.preload = "auto";
+    el.oncanplaythrough = () => finish();
+    el.onerror = () => finish(new Error(`${tag} error`));
+    el.src = src;
+    el.load();
+  });
+}
+
 /** Efficient image decode pipeline with timeout */
 function decodeImage(src, timeoutMs = 10000) {
   return new Promise((res, rej) => {
@@ -314,6 +905,44 @@ function toURL(href) {
   catch { return new URL(String(href), window.location.origin); }
 }
 
+function collectAll(manifest) {
+  const { images, videos, audio } = collectMediaURLs(manifest);
+  return [...images, ...videos, ...audio];
+}
+
+/** FNV-1a 32-bit: cheap content fingerprint for change detection */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+/**
+ * Trimmed asset path → absolute URL against the manifest folder ("" if empty).
+ * Bundles: 'base' is { href, bundled } and paths inside it map to their blob: URL.
+ */
+function resolveAsset(src, base) {
+  const s = String(src || "").trim();
+  if (!s) return "";
+  if (typeof base === "string") return new URL(s, base).href;
+  const href = new URL(s, base.href).href;
+  if (!href.startsWith(base.href)) return href; // absolute URL / data: URI
+  const path = decodeURIComponent(href.slice(base.href.length).split(/[?#]/)[0]);
+  const url = base.bundled.get(path);
+  if (!url) {
+    // eslint-disable-next-line no-console
+    console.warn(`[Loader] bundle has no "${path}"`);
+  }
+  return url || "";
+}
+
+function clamp01(n) {
+  return Math.max(0, Math.min(1, Number(n) || 0));
+}
+
 function sumDurations(scenes) {
   return scenes.reduce((acc, s) => acc + (Number(s?.d) || 0), 0);
 }
@@ -350,6 +979,7 @@ if (typeof window !== "undefined" && !window.ZdkLoader) {
     detectProjectFromURL,
     buildProjectPaths,
     loadProject,
+    watchProject,
     getStageMount,
     showErrorOverlay
   };
@@ -3,6 +3,7 @@
  * Zodika Presets — helpers to build scenes & manifests for ZdkCore
  * - semantic presets for effects, transitions, ken burns, callouts
  * - factories return objects matching ZdkCore manifest schema
+ * - timing: "auto" leaves reveal offsets and 'd' to the reading-speed planner (engine/timing.js)
  *
  * Usage (example in app.js):
  *   import { buildManifest, makeSceneDocPhotoTitleCallout, TRANSITIONS } from "./engine/presets.js";
@@ -21,6 +22,9 @@
  *   const manifest = buildManifest({ durationHint: 45, theme: "light", scenes });
  */
 
+import { applyAutoTiming } from "./timing.js";
+import { localizeManifest } from "./i18n.js";
+
 export const EFFECTS = {
   title: ["fx-fade-up", "fx-underline"],
   subtitle: ["fx-fade-up"],
@@ -47,6 +51,10 @@ export const TRANSITIONS = {
   social: {
     swipe: "swipe",
     lightWipe: "light-wipe"
+  },
+  brand: {
+    sceneEnter: "scene-enter",
+    sceneExit: "scene-exit"
   }
 };
 
@@ -67,42 +75,67 @@ export const CALLOUT_ANCHORS = {
  * Create a text block (role: title|subtitle|lead|body|caption)
  * @param {Object} p
  * @param {"title"|"subtitle"|"lead"|"body"|"caption"} p.role
- * @param {string} p.html
- * @param {number} [p.at=0] - seconds after scene start
+ * @param {string|Object} p.html - html or a locale map { "pt-br": "…", "en": "…" } (see i18n.js)
+ * @param {string} [p.key] - strings file entry; html then holds the source-language text
+ * @param {number|null} [p.at=0] - seconds after scene start; null = auto-timed
  * @param {string[]} [p.effects] - CSS classes from effects.css
+ * @param {boolean} [p.panel=false] - wrap the text in a frosted .zdk-panel
+ * @param {{x:number,y:number}|string} [p.pointer] - leader target (normalized or named anchor); needs panel
+ * @param {string} [p.style] - inline CSS / custom properties, e.g. "--type-dur:4.2s;"
+ * @param {Object} [p.typing] - typewriter options for "fx-type": { by?: "char"|"word", dur?, caret? }
+ * @param {Object} [p.formats] - per-format overrides, e.g. { "16:9": { pointer: "upper-right" } }
  */
-export function makeText({ role = "body", html = "", at = 0, effects } = {}) {
-  return {
+export function makeText({ role = "body", html = "", key, at = 0, effects, panel = false, pointer, style, typing, formats } = {}) {
+  const block = {
     role,
     html,
     at,
     effects: Array.isArray(effects) && effects.length ? effects : EFFECTS[role] || EFFECTS.body
   };
+  if (at == null) delete block.at;
+  if (key) block.key = String(key);
+  if (panel) block.panel = true;
+  if (panel && pointer) block.pointer = resolveAnchor(pointer);
+  if (style) block.style = String(style);
+  if (typing) block.typing = { ...typing };
+  if (formats) {
+    block.formats = mapFormats(formats, (o) => (o.pointer ? { ...o, pointer: resolveAnchor(o.pointer) } : { ...o }));
+  }
+  return block;
 }
 
 /**
  * Create a callout (documentary pointer)
  * @param {Object} p
- * @param {string} p.html
- * @param {number} [p.at=0.8]
+ * @param {string|Object} p.html - html or a locale map
+ * @param {string} [p.key] - strings file entry
+ * @param {number|null} [p.at=0.8] - null = auto-timed
  * @param {{x:number,y:number}|string} [p.anchor="lower-left"] - normalized or named anchor
+ * @param {string} [p.planet] - chart scenes: point at this planet's glyph (anchor stays the fallback)
+ * @param {Object} [p.formats] - anchor per format, e.g. { "16:9": "upper-right", "1:1": { x: 0.2, y: 0.7 } }
  */
-export function makeCallout({ html = "", at = 0.8, anchor = "lower-left" } = {}) {
+export function makeCallout({ html = "", key, at = 0.8, anchor = "lower-left", planet, formats } = {}) {
   const pos = resolveAnchor(anchor);
-  return { html, at, x: pos.x, y: pos.y };
+  const c = at == null ? { html, x: pos.x, y: pos.y } : { html, at, x: pos.x, y: pos.y };
+  if (key) c.key = String(key);
+  if (planet) c.planet = String(planet);
+  if (formats) c.formats = mapFormats(formats, (a) => ({ ...resolveAnchor(a) }));
+  return c;
 }
 
 /**
  * Scene: Photo + Title + (optional) Lead + one Callout
  * @param {Object} p
- * @param {number} p.d - duration (seconds)
- * @param {Object} p.media - { src, credit?, kenburns? }
+ * @param {number} p.d - duration (seconds); optional with timing "auto"
+ * @param {"auto"|"manual"} [p.timing] - "auto": reveal offsets and d from reading speed
+ * @param {Object} p.media - { src, credit?, kenburns?, focus? } or { type: "chart", chart }
  * @param {string} p.title
  * @param {string} [p.lead]
  * @param {Object} [p.callout] - { html, at?, anchor? }
  * @param {string} [p.transitionIn]
  * @param {string} [p.transitionOut]
  * @param {number} [p.t] - optional start time (usually omit; core auto-chains)
+ * @param {Object} [p.narration] - voice-over clip { src, at?, volume? }
  */
 export function makeSceneDocPhotoTitleCallout(p = {}) {
   const {
@@ -112,17 +145,19 @@ export function makeSceneDocPhotoTitleCallout(p = {}) {
     t
   } = p;
 
-  const text = [ makeText({ role: "title", html: title, at: 0.4 }) ];
-  if (lead) text.push(makeText({ role: "lead", html: lead, at: 1.0 }));
+  const at = autoAt(p);
+  const text = [ makeText({ role: "title", html: title, at: at(0.4) }) ];
+  if (lead) text.push(makeText({ role: "lead", html: lead, at: at(1.0) }));
 
   const callouts = [];
-  if (callout?.html) callouts.push(makeCallout(callout));
+  if (callout?.html) callouts.push(makeCallout({ ...callout, at: callout.at ?? at(0.8) }));
 
   return sanitizeScene({
-    t, d,
-    media: { src: media?.src || "", credit: media?.credit, kenburns: media?.kenburns || KB.center },
+    t, d, timing: p.timing,
+    media: { ...media, src: media?.src || "", kenburns: media?.kenburns || KB.center },
     text,
     callouts,
+    narration: p.narration,
     transitionIn, transitionOut
   });
 }
@@ -130,7 +165,8 @@ export function makeSceneDocPhotoTitleCallout(p = {}) {
 /**
  * Scene: Photo + two sequential Callouts (no title required)
  * @param {Object} p
- * @param {number} p.d
+ * @param {number} p.d - optional with timing "auto"
+ * @param {"auto"|"manual"} [p.timing]
  * @param {Object} p.media
  * @param {string} [p.subtitle]
  * @param {Object[]} p.callouts - array of { html, at?, anchor? }
@@ -147,17 +183,19 @@ export function makeSceneDocPhoto2Callouts(p = {}) {
   } = p;
 
   const text = [];
-  if (subtitle) text.push(makeText({ role: "subtitle", html: subtitle, at: 0.4 }));
+  const at = autoAt(p);
+  if (subtitle) text.push(makeText({ role: "subtitle", html: subtitle, at: at(0.4) }));
 
   const calloutNodes = callouts
     .filter(c => c && c.html)
-    .map((c, i) => makeCallout({ ...c, at: c.at ?? (0.9 + i * 1.2) }));
+    .map((c, i) => makeCallout({ ...c, at: c.at ?? at(0.9 + i * 1.2) }));
 
   return sanitizeScene({
-    t, d,
-    media: { src: media?.src || "", credit: media?.credit, kenburns: media?.kenburns || KB.left },
+    t, d, timing: p.timing,
+    media: { ...media, src: media?.src || "", kenburns: media?.kenburns || KB.left },
     text,
     callouts: calloutNodes,
+    narration: p.narration,
     transitionIn, transitionOut
   });
 }
@@ -165,7 +203,8 @@ export function makeSceneDocPhoto2Callouts(p = {}) {
 /**
  * Scene: Closing statement (title or lead) + optional caption
  * @param {Object} p
- * @param {number} p.d
+ * @param {number} p.d - optional with timing "auto"
+ * @param {"auto"|"manual"} [p.timing]
  * @param {Object} p.media
  * @param {string} [p.title]
  * @param {string} [p.lead]
@@ -182,16 +221,18 @@ export function makeSceneClosing(p = {}) {
     t
   } = p;
 
+  const at = autoAt(p);
   const text = [];
-  if (title) text.push(makeText({ role: "title", html: title, at: 0.5 }));
-  if (lead)  text.push(makeText({ role: "lead",  html: lead,  at: 1.1 }));
-  if (caption) text.push(makeText({ role: "caption", html: caption, at: Math.max(1.6, d - 1.4) }));
+  if (title) text.push(makeText({ role: "title", html: title, at: at(0.5) }));
+  if (lead)  text.push(makeText({ role: "lead",  html: lead,  at: at(1.1) }));
+  if (caption) text.push(makeText({ role: "caption", html: caption, at: at(Math.max(1.6, d - 1.4)) }));
 
   return sanitizeScene({
-    t, d,
-    media: { src: media?.src || "", credit: media?.credit, kenburns: media?.kenburns || KB.slow },
+    t, d, timing: p.timing,
+    media: { ...media, src: media?.src || "", kenburns: media?.kenburns || KB.slow },
     text,
     callouts: [],
+    narration: p.narration,
     transitionIn, transitionOut
   });
 }
@@ -202,15 +243,30 @@ export function makeSceneClosing(p = {}) {
  * Build a manifest; core will auto-chain 't' if omitted.
  * @param {Object} p
  * @param {"light"|"dark"} [p.theme="light"]
+ * @param {"9:16"|"4:5"|"1:1"|"16:9"} [p.format] - frame format (default 9:16)
  * @param {number} [p.durationHint] - optional note (not enforced)
+ * @param {Object} [p.audio] - soundtrack { music?, ducking? } (see engine/audio.js)
+ * @param {string} [p.lang] - source language (reading profile for timing "auto", translation fallback)
+ * @param {Object} [p.i18n] - { strings?, fallback?, stretch? } (see engine/i18n.js)
+ * @param {"auto"|"manual"} [p.timing] - default timing mode for every scene
+ * @param {Object} [p.reading] - reading profile overrides, e.g. { wpm: 210 }
  * @param {Array<Object>} p.scenes
  */
-export function buildManifest({ theme = "light", durationHint, scenes = [] } = {}) {
-  return {
+export function buildManifest({ theme = "light", format, durationHint, audio, lang, i18n, timing, reading, scenes = [] } = {}) {
+  const m = {
     theme,
-    duration: Number(durationHint) || sumDurations(scenes),
+    ...(format ? { format } : {}),
+    duration: 0,
+    ...(lang ? { lang } : {}),
+    ...(i18n ? { i18n } : {}),
+    ...(timing ? { timing } : {}),
+    ...(reading ? { reading } : {}),
     scenes
   };
+  if (audio) m.audio = audio;
+  // auto scenes may omit d; measured on the source-language text
+  m.duration = Number(durationHint) || sumDurations(applyAutoTiming(localizeManifest(m, { stretch: false }).manifest).scenes);
+  return m;
 }
 
 /** Apply theme to manifest (returns new object) */
@@ -249,25 +305,58 @@ function resolveAnchor(anchor) {
   return CALLOUT_ANCHORS["lower-left"];
 }
 
+/** Map the values of a { "<format>": value } object */
+function mapFormats(formats, fn) {
+  return Object.fromEntries(Object.entries(formats).map(([k, v]) => [k, fn(v)]));
+}
+
+/** Factory offsets: fixed values, or null (planned later) for timing "auto" */
+function autoAt(p) {
+  return (v) => (p.timing === "auto" ? null : v);
+}
+
 function sanitizeScene(s) {
+  const auto = s.timing === "auto";
   const d = Number(s.d);
-  if (!d || d <= 0) throw new Error("Scene requires positive duration 'd'");
+  if (!auto && (!d || d <= 0)) throw new Error("Scene requires positive duration 'd' (or timing \"auto\")");
   const media = s.media || {};
   return {
     t: typeof s.t === "number" ? s.t : undefined,
-    d,
-    media: {
-      src: media.src || "",
-      credit: media.credit,
-      kenburns: media.kenburns || KB.center
-    },
+    d: d > 0 ? d : undefined,
+    ...(s.timing ? { timing: s.timing } : {}),
+    media: sanitizeMedia(media),
     text: Array.isArray(s.text) ? s.text : [],
     callouts: Array.isArray(s.callouts) ? s.callouts : [],
+    ...(s.narration?.src ? { narration: s.narration } : {}),
     transitionIn: s.transitionIn || TRANSITIONS.doc.crossfade,
     transitionOut: s.transitionOut || s.transitionIn || TRANSITIONS.doc.crossfade
   };
 }
 
+/** Keep the known media fields; video clips carry their playback options, charts their data */
+function sanitizeMedia(media) {
+  const out = {
+    src: media.src || "",
+    credit: media.credit,
+    kenburns: media.kenburns || KB.center
+  };
+  if (media.focus) out.focus = media.focus;
+  if (media.integrity) out.integrity = media.integrity;
+  if (media.fallback) out.fallback = media.fallback;
+  if (Array.isArray(media.sources)) out.sources = media.sources.map(v => ({ ...v }));
+  if (media.type === "video") {
+    out.type = "video";
+    ["poster", "muted", "loop", "startAt", "playbackRate"].forEach(k => {
+      if (media[k] !== undefined) out[k] = media[k];
+    });
+  }
+  if (media.type === "chart") {
+    out.type = "chart";
+    out.chart = clone(media.chart || {});
+  }
+  return out;
+}
+
 function sumDurations(scenes) {
   return scenes.reduce((acc, s) => acc + (Number(s?.d) || 0), 0);
 }
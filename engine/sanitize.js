@@ -0,0 +1,238 @@
+// engine/sanitize.js
+/**
+ * Zodika Sanitizer — allowlist for manifest html (text blocks, callouts) before innerHTML
+ * - inline tags only (span, em, strong, code, br, …); everything else is unwrapped,
+ *   script-like elements (script, style, iframe, …) are dropped with their content
+ * - attributes: class (known effect classes only), lang, dir, title; no on*, style, href, src
+ * - "permissive" (default) strips and reports, "strict" throws on the first manifest with issues
+ * - string based (no DOM): the same result in the browser, in workers and in Node tooling;
+ *   output is rebuilt from tokens, so malformed markup can't smuggle a tag through
+ *
+ * Usage:
+ *   import { sanitizeHTML } from "./engine/sanitize.js";
+ *   const { html, removed } = sanitizeHTML(block.html);
+ *   // removed → [{ kind: "attr", name: "onerror", tag: "img" }, { kind: "tag", name: "img" }]
+ */
+
+/** Effect/utility classes of effects.css (also the schema's 'effects' enum) */
+export const EFFECT_CLASSES = [
+  "fx-fade", "fx-fade-up", "fx-fade-left", "fx-scale-in", "fx-rise",
+  "fx-type", "caret",
+  "fx-underline", "fx-highlight", "fx-shadow", "highlight",
+  "fx-glitch", "fx-focus-in", "fx-focus-out",
+  "dur-1", "dur-2", "dur-3", "dur-4",
+  "delay-0", "delay-1", "delay-2", "delay-300", "delay-600", "delay-900",
+  "muted", "accent", "upper"
+];
+
+/** Inline elements text blocks may use */
+export const ALLOWED_TAGS = [
+  "span", "em", "strong", "b", "i", "u", "s", "mark", "small", "sub", "sup",
+  "code", "abbr", "cite", "q", "br", "wbr"
+];
+
+const ALLOWED_ATTRS = ["class", "lang", "dir", "title"];
+
+/** Dropped together with their content (raw text or active content) */
+const DROP_CONTENT = ["script", "style", "iframe", "object", "embed", "template", "noscript", "textarea", "title", "xmp", "noembed", "noframes", "svg", "math"];
+
+const VOID = ["br", "wbr", "img", "input", "hr", "meta", "link", "source", "area", "base", "col", "embed", "param", "track"];
+
+export const SANITIZE_MODES = ["permissive", "strict"];
+
+/**
+ * Allowlist an html fragment.
+ * @param {string} html
+ * @param {Object} [opts]
+ * @param {string[]} [opts.classes=EFFECT_CLASSES] - allowed class tokens
+ * @returns {{ html: string, removed: Removed[] }}
+ *
+ * @typedef {Object} Removed
+ * @property {"tag"|"attr"|"class"|"comment"} kind
+ * @property {string} name - tag, attribute or class name
+ * @property {string} [tag] - element the attribute/class was on
+ */
+export function sanitizeHTML(html, { classes = EFFECT_CLASSES } = {}) {
+  const src = String(html ?? "");
+  const allowedClass = new Set(classes);
+  const removed = [];
+  let out = "";
+  let i = 0;
+
+  while (i < src.length) {
+    const lt = src.indexOf("<", i);
+    if (lt < 0) {
+      out += escapeText(src.slice(i));
+      break;
+    }
+    out += escapeText(src.slice(i, lt));
+
+    // comments, doctype, CDATA, processing instructions: dropped
+    if (src.startsWith("<!--", lt)) {
+      const end = src.indexOf("-->", lt + 4);
+      removed.push({ kind: "comment", name: "<!-- -->" });
+      i = end < 0 ? src.length : end + 3;
+      continue;
+    }
+    if (/^<[!?]/.test(src.slice(lt, lt + 2))) {
+      const end = src.indexOf(">", lt);
+      removed.push({ kind: "tag", name: src.slice(lt + 1, lt + 9).split(/[\s>]/)[0] || "!" });
+      i = end < 0 ? src.length : end + 1;
+      continue;
+    }
+
+    const tag = readTag(src, lt);
+    if (!tag) {
+      out += "&lt;"; // a lone '<' is text
+      i = lt + 1;
+      continue;
+    }
+    i = tag.end;
+    const name = tag.name;
+
+    if (!tag.closing && DROP_CONTENT.includes(name)) {
+      removed.push({ kind: "tag", name });
+      if (!tag.selfClosing) {
+        const close = new RegExp(`</${name}\\s*>`, "i").exec(src.slice(i));
+        i = close ? i + close.index + close[0].length : src.length;
+      }
+      continue;
+    }
+    if (!ALLOWED_TAGS.includes(name)) {
+      if (!tag.closing) {
+        removed.push({ kind: "tag", name });
+        tag.attrs.filter(a => /^on/i.test(a.name)).forEach(a => removed.push({ kind: "attr", name: a.name, tag: name }));
+      }
+      continue; // unwrapped: its text stays
+    }
+    if (tag.closing) {
+      if (!VOID.includes(name)) out += `</${name}>`;
+      continue;
+    }
+
+    let attrs = "";
+    tag.attrs.forEach(({ name: attr, value }) => {
+      if (!ALLOWED_ATTRS.includes(attr)) {
+        removed.push({ kind: "attr", name: attr, tag: name });
+        return;
+      }
+      if (attr === "class") {
+        const tokens = value.split(/\s+/).filter(Boolean);
+        const kept = tokens.filter(c => allowedClass.has(c));
+        tokens.filter(c => !allowedClass.has(c)).forEach(c => removed.push({ kind: "class", name: c, tag: name }));
+        if (kept.length) attrs += ` class="${kept.join(" ")}"`;
+        return;
+      }
+      attrs += ` ${attr}="${escapeAttr(value)}"`;
+    });
+    out += `<${name}${attrs}>`;
+  }
+
+  return { html: out, removed };
+}
+
+/**
+ * Sanitize every text block and callout of a manifest (returns a new manifest).
+ * @param {Object} manifest
+ * @param {Object} [opts]
+ * @param {"permissive"|"strict"} [opts.mode="permissive"] - strict throws when anything would be stripped
+ * @param {string[]} [opts.classes]
+ * @returns {{ manifest: Object, issues: { path: string, removed: Removed[] }[] }}
+ */
+export function sanitizeManifest(manifest, { mode = "permissive", classes } = {}) {
+  if (!manifest || !Array.isArray(manifest.scenes)) return { manifest, issues: [] };
+  const issues = [];
+  const clean = (item, path) => {
+    if (!item || typeof item.html !== "string") return item;
+    const { html, removed } = sanitizeHTML(item.html, { classes });
+    if (!removed.length) return item;
+    issues.push({ path: `${path}/html`, removed });
+    return { ...item, html };
+  };
+  const out = {
+    ...manifest,
+    scenes: manifest.scenes.map((s, i) => (!s || typeof s !== "object" ? s : {
+      ...s,
+      ...(Array.isArray(s.text) ? { text: s.text.map((b, j) => clean(b, `/scenes/${i}/text/${j}`)) } : {}),
+      ...(Array.isArray(s.callouts) ? { callouts: s.callouts.map((c, j) => clean(c, `/scenes/${i}/callouts/${j}`)) } : {})
+    }))
+  };
+  if (mode === "strict" && issues.length) {
+    throw new Error(`Unsafe manifest html (strict mode):\n${issues.map(formatRemoved).join("\n")}`);
+  }
+  return { manifest: out, issues };
+}
+
+/** "/scenes/0/text/1/html: <img>, onerror on <img>, class "x" on <span>" */
+export function formatRemoved({ path, removed }) {
+  return `${path}: ${describeRemoved(removed)}`;
+}
+
+/** "<img>, onerror on <img>, class "x" on <span>" (duplicates collapsed) */
+export function describeRemoved(removed) {
+  const parts = removed.map((r) => {
+    switch (r.kind) {
+      case "attr": return `${r.name} on <${r.tag}>`;
+      case "class": return `class "${r.name}" on <${r.tag}>`;
+      case "comment": return "comment";
+      default: return `<${r.name}>`;
+    }
+  });
+  return [...new Set(parts)].join(", ");
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+/**
+ * Parse a start/end tag at 'at' (src[at] === "<"), HTML tokenizer style:
+ * unquoted, single- and double-quoted attribute values; null when it isn't a tag.
+ */
+function readTag(src, at) {
+  const m = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)/.exec(src.slice(at, at + 64));
+  if (!m) return null;
+  const tag = { closing: !!m[1], name: m[2].toLowerCase(), attrs: [], selfClosing: false, end: src.length };
+  let i = at + m[0].length;
+  const ATTR = /^[\s/]*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/;
+  while (i < src.length) {
+    const rest = src.slice(i);
+    const close = /^\s*(\/?)>/.exec(rest);
+    if (close) {
+      tag.selfClosing = !!close[1];
+      tag.end = i + close[0].length;
+      return tag;
+    }
+    const a = ATTR.exec(rest);
+    if (!a) {
+      i++; // stray '/', quote or whitespace
+      continue;
+    }
+    tag.attrs.push({ name: a[1].toLowerCase(), value: decodeEntities(a[2] ?? a[3] ?? a[4] ?? "") });
+    i += a[0].length;
+  }
+  return tag; // unterminated: consumes the rest, like a browser would
+}
+
+/** Text: keep well-formed entities, escape everything that could start markup */
+function escapeText(s) {
+  return s
+    .replace(/&(?![a-zA-Z][a-zA-Z0-9]{1,31};|#\d{1,7};|#x[0-9a-fA-F]{1,6};)/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function escapeAttr(s) {
+  return s.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/** Enough decoding for attribute values we re-escape (class tokens, titles) */
+function decodeEntities(s) {
+  return s
+    .replace(/&quot;/g, "\"").replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkSanitize) {
+  window.ZdkSanitize = { EFFECT_CLASSES, ALLOWED_TAGS, SANITIZE_MODES, sanitizeHTML, sanitizeManifest, formatRemoved, describeRemoved };
+}
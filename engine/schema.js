@@ -0,0 +1,580 @@
+// engine/schema.js
+/**
+ * Zodika Manifest Schema
+ * - Formal JSON Schema (draft 2020-12) for projects/<name>/manifest.json
+ * - validateManifest(): structured errors/warnings with JSON pointers
+ * - Enums (transitions, ken burns, roles, effects) listed in every message
+ *
+ * Usage:
+ *   import { validateManifest, formatIssue } from "./engine/schema.js";
+ *   const { valid, errors, warnings } = validateManifest(raw);
+ *   errors.forEach(e => console.error(formatIssue(e)));
+ *   // → "/scenes/3/text/0/at is beyond scene duration 9.0"
+ *
+ * Severity:
+ * - errors: wrong types, missing required fields, unknown enum values
+ * - warnings: unknown fields (typos like "kenburn"), unknown effect classes,
+ *   timing that can never play (reveal after scene end, overlapping scenes),
+ *   html the sanitizer would strip (tags outside the inline allowlist, on*, unknown classes),
+ *   chart callouts naming a planet the chart doesn't have
+ *   → pass { strict: true } to treat warnings as errors
+ */
+
+import { ZdkCore } from "./core.js";
+import { applyAutoTiming } from "./timing.js";
+import { listFormats } from "./formats.js";
+import { localizeManifest } from "./i18n.js";
+import { EFFECT_CLASSES, sanitizeManifest, describeRemoved } from "./sanitize.js";
+import { ASPECTS } from "./chart.js";
+
+export const MEDIA_TYPES = ["image", "video", "chart"];
+
+export const ROLES = ["title", "subtitle", "lead", "body", "caption"];
+
+/** Ken Burns tokens; combinable with spaces, e.g. "center strong" */
+export const KENBURNS = ["center", "left", "right", "up", "down", "slow", "strong"];
+
+export const TIMING_MODES = ["auto", "manual"];
+
+/** Effect classes defined in styles/effects.css + styles/brand.css (shared with the html allowlist) */
+export const EFFECTS = EFFECT_CLASSES;
+
+/**
+ * Build the manifest JSON Schema.
+ * @param {Object} [p]
+ * @param {string[]} [p.transitions] - allowed transition names (defaults to ZdkCore registry)
+ */
+export function buildManifestSchema({ transitions = ZdkCore.listTransitions() } = {}) {
+  const point = {
+    type: "object",
+    required: ["x", "y"],
+    additionalProperties: false,
+    properties: {
+      x: { type: "number", minimum: 0, maximum: 1 },
+      y: { type: "number", minimum: 0, maximum: 1 }
+    }
+  };
+
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: "https://zodika.app/schemas/story-manifest.json",
+    title: "Zodika story manifest",
+    type: "object",
+    required: ["scenes"],
+    additionalProperties: false,
+    properties: {
+      $schema: { type: "string" },
+      theme: { type: "string", enum: ["light", "dark"] },
+      format: { type: "string", enum: listFormats(), description: "frame aspect ratio; default 9:16" },
+      duration: { type: "number", exclusiveMinimum: 0, description: "advisory total length (s)" },
+      lang: { type: "string", description: "source language: reading profile and translation fallback (e.g. \"pt-br\")" },
+      i18n: { $ref: "#/$defs/i18n" },
+      timing: { type: "string", enum: TIMING_MODES, description: "\"auto\": d/at from reading speed" },
+      reading: { $ref: "#/$defs/reading" },
+      audio: { $ref: "#/$defs/audio" },
+      scenes: { type: "array", minItems: 1, items: { $ref: "#/$defs/scene" } }
+    },
+    $defs: {
+      scene: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          t: { type: "number", minimum: 0, description: "start (s); omitted = previous t + d" },
+          d: { type: "number", exclusiveMinimum: 0, description: "duration (s); optional with timing \"auto\"" },
+          timing: { type: "string", enum: TIMING_MODES },
+          reading: { $ref: "#/$defs/reading" },
+          media: { $ref: "#/$defs/media" },
+          text: { type: "array", items: { $ref: "#/$defs/text" } },
+          callouts: { type: "array", items: { $ref: "#/$defs/callout" } },
+          narration: { $ref: "#/$defs/narration" },
+          transitionIn: { type: "string", enum: transitions },
+          transitionOut: { type: "string", enum: transitions },
+          when: { type: ["string", "object"], description: "template condition (engine/template.js); removed in generated variants" }
+        }
+      },
+      media: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          type: { type: "string", enum: MEDIA_TYPES },
+          src: { type: "string" },
+          credit: { type: "string" },
+          poster: { type: "string", description: "video only" },
+          muted: { type: "boolean", description: "video only; default true" },
+          loop: { type: "boolean", description: "video only" },
+          startAt: { type: "number", minimum: 0, description: "video in-point (s)" },
+          playbackRate: { type: "number", exclusiveMinimum: 0, maximum: 16 },
+          chart: { $ref: "#/$defs/chart" },
+          kenburns: {
+            type: ["string", "object"],
+            pattern: `^(${KENBURNS.join("|")})( (${KENBURNS.join("|")}))*$`,
+            "x-enum-tokens": KENBURNS,
+            additionalProperties: false,
+            description: "preset tokens, or a custom path: { from, to } view rects or { scale, pan } keyframes",
+            properties: {
+              from: { $ref: "#/$defs/viewRect" },
+              to: { $ref: "#/$defs/viewRect" },
+              scale: { type: "array", minItems: 1, items: { type: "number", minimum: 1 }, description: "zoom per keyframe (1 = frame fit)" },
+              pan: { type: "array", minItems: 1, items: point, description: "view center per keyframe (0..1 of the image)" },
+              easing: { type: "string" }
+            }
+          },
+          focus: { ...point, description: "focal point (0..1 of the image) kept in frame" },
+          integrity: { $ref: "#/$defs/integrity" },
+          sources: {
+            type: "array",
+            minItems: 1,
+            description: "format/width variants; the loader picks one per device (src stays the fallback)",
+            items: {
+              type: "object",
+              required: ["src"],
+              additionalProperties: false,
+              properties: {
+                src: { type: "string" },
+                type: { type: "string", description: "MIME type; default from the extension" },
+                width: { type: "integer", exclusiveMinimum: 0, description: "intrinsic width (px)" },
+                integrity: { $ref: "#/$defs/integrity" }
+              }
+            }
+          },
+          fallback: {
+            type: ["string", "array"],
+            description: "sources tried in order when src fails",
+            items: {
+              type: ["string", "object"],
+              required: ["src"],
+              additionalProperties: false,
+              properties: { src: { type: "string" }, integrity: { $ref: "#/$defs/integrity" } }
+            }
+          }
+        }
+      },
+      chart: {
+        type: "object",
+        required: ["planets"],
+        additionalProperties: false,
+        description: "type \"chart\" only: zodiac wheel data (engine/chart.js); longitudes in degrees from 0° Aries",
+        properties: {
+          planets: { type: "object", description: "name → longitude, or { lon, retrograde }" },
+          houses: { type: "array", minItems: 12, items: { type: "number", minimum: 0, maximum: 360 }, description: "12 cusps; the first is the ascendant" },
+          ascendant: { type: "number", minimum: 0, maximum: 360, description: "wheel rotation without houses" },
+          aspects: {
+            type: "array",
+            description: "lines drawn between planets; omitted = computed from the longitudes, [] = none",
+            items: {
+              type: "object",
+              required: ["from", "to", "type"],
+              additionalProperties: false,
+              properties: {
+                from: { type: "string" },
+                to: { type: "string" },
+                type: { type: "string", enum: Object.keys(ASPECTS) }
+              }
+            }
+          },
+          build: { type: "number", exclusiveMinimum: 0, description: "seconds to draw the wheel; default 60% of the scene (2–5 s)" }
+        }
+      },
+      integrity: {
+        type: "string",
+        pattern: "^\\s*(sha(256|384|512)-[A-Za-z0-9+/=_-]+\\s*)+$",
+        description: "Subresource Integrity value, e.g. \"sha256-…\" (checked while preloading)"
+      },
+      viewRect: {
+        type: "object",
+        required: ["x", "y", "w", "h"],
+        additionalProperties: false,
+        description: "part of the image in view (0..1 of the image)",
+        properties: {
+          x: { type: "number", minimum: 0, maximum: 1 },
+          y: { type: "number", minimum: 0, maximum: 1 },
+          w: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+          h: { type: "number", exclusiveMinimum: 0, maximum: 1 }
+        }
+      },
+      text: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          role: { type: "string", enum: ROLES },
+          html: { $ref: "#/$defs/localized" },
+          key: { type: "string", description: "strings file entry (manifest.i18n.strings); html is the source text" },
+          at: { type: "number", minimum: 0 },
+          effects: {
+            type: "array",
+            items: { type: "string", enum: EFFECTS, "x-severity": "warning" }
+          },
+          panel: { type: "boolean" },
+          pointer: point,
+          style: { type: "string", description: "custom properties only, e.g. \"--type-dur:4.2s;\"" },
+          typing: { $ref: "#/$defs/typing" },
+          formats: perFormat({
+            type: "object",
+            additionalProperties: false,
+            properties: { pointer: point, panel: { type: "boolean" }, style: { type: "string" } }
+          })
+        }
+      },
+      localized: {
+        type: ["string", "object"],
+        description: "html, or a locale map { \"pt-br\": \"…\", \"en\": \"…\" }"
+      },
+      i18n: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          strings: { type: "string", description: "strings file per language, e.g. \"strings/{lang}.json\"" },
+          fallback: { type: "string", description: "locale used for missing translations; default: lang" },
+          stretch: { type: ["boolean", "number"], description: "lengthen manual scenes for longer translations (number = max factor)" }
+        }
+      },
+      typing: {
+        type: "object",
+        additionalProperties: false,
+        description: "typewriter options for \"fx-type\" blocks",
+        properties: {
+          by: { type: "string", enum: ["char", "word"] },
+          dur: { type: "number", exclusiveMinimum: 0, description: "typing duration (s); overrides --type-dur" },
+          caret: { type: "boolean", description: "default: \"caret\" in effects" }
+        }
+      },
+      audio: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          music: {
+            type: "object",
+            required: ["src"],
+            additionalProperties: false,
+            properties: {
+              src: { type: "string" },
+              volume: { type: "number", minimum: 0, maximum: 1 },
+              fadeIn: { type: "number", minimum: 0 },
+              fadeOut: { type: "number", minimum: 0 },
+              offset: { type: "number", minimum: 0, description: "start offset into the track (s)" },
+              loop: { type: "boolean" }
+            }
+          },
+          ducking: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              volume: { type: "number", minimum: 0, maximum: 1, description: "music level under narration" },
+              attack: { type: "number", minimum: 0 },
+              release: { type: "number", minimum: 0 }
+            }
+          }
+        }
+      },
+      reading: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          wpm: { type: "number", exclusiveMinimum: 0, description: "words per minute" },
+          cpm: { type: "number", exclusiveMinimum: 0, description: "characters per minute (languages without spaces)" },
+          lead: { type: "number", minimum: 0, description: "first reveal (s)" },
+          stagger: { type: "number", minimum: 0, description: "minimum spacing between reveals (s)" },
+          gap: { type: "number", minimum: 0, description: "pause after a typed block (s)" },
+          minRead: { type: "number", minimum: 0, description: "reading time floor per block (s)" },
+          tail: { type: "number", minimum: 0, description: "hold after the last block is read (s)" },
+          typeFactor: { type: "number", exclusiveMinimum: 0, description: "typing speed vs. reading speed" }
+        }
+      },
+      narration: {
+        type: "object",
+        required: ["src"],
+        additionalProperties: false,
+        properties: {
+          src: { type: "string" },
+          at: { type: "number", minimum: 0 },
+          volume: { type: "number", minimum: 0, maximum: 1 }
+        }
+      },
+      callout: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          html: { $ref: "#/$defs/localized" },
+          key: { type: "string", description: "strings file entry (manifest.i18n.strings); html is the source text" },
+          at: { type: "number", minimum: 0 },
+          x: { type: "number", minimum: 0, maximum: 1 },
+          y: { type: "number", minimum: 0, maximum: 1 },
+          planet: { type: "string", description: "chart scenes: anchor to this planet instead of x/y" },
+          formats: perFormat({
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              x: { type: "number", minimum: 0, maximum: 1 },
+              y: { type: "number", minimum: 0, maximum: 1 }
+            }
+          })
+        }
+      }
+    }
+  };
+}
+
+/** Schema snapshot with the transitions registered at import time */
+export const MANIFEST_SCHEMA = buildManifestSchema();
+
+/**
+ * Validate a raw manifest (as authored, before normalization).
+ * @param {Object} manifest
+ * @param {Object} [opts]
+ * @param {boolean} [opts.strict=false] - promote warnings to errors
+ * @param {string[]} [opts.transitions] - allowed transition names (defaults to ZdkCore registry)
+ * @returns {{ valid: boolean, errors: Issue[], warnings: Issue[] }}
+ *
+ * @typedef {Object} Issue
+ * @property {string} path - JSON pointer, e.g. "/scenes/3/text/0/at"
+ * @property {string} message - human readable, e.g. "is beyond scene duration 9.0"
+ * @property {"error"|"warning"} severity
+ */
+export function validateManifest(manifest, { strict = false, transitions } = {}) {
+  const schema = buildManifestSchema(transitions ? { transitions } : undefined);
+  const issues = [];
+  checkNode(manifest, schema, "", schema, issues);
+  // timing is checked on the source-language text (locale maps resolved)
+  if (isPlainObject(manifest) && Array.isArray(manifest.scenes)) {
+    const source = localizeManifest(manifest, { stretch: false }).manifest;
+    checkTiming(source, issues);
+    checkCharts(source, issues);
+    sanitizeManifest(source).issues.forEach(({ path, removed }) => {
+      issues.push({ path, message: `would be stripped by the sanitizer: ${describeRemoved(removed)}`, severity: "warning" });
+    });
+  }
+
+  if (strict) issues.forEach(i => { i.severity = "error"; });
+  const errors = issues.filter(i => i.severity === "error");
+  const warnings = issues.filter(i => i.severity === "warning");
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/** "/scenes/3/text/0/at is beyond scene duration 9.0" */
+export function formatIssue({ path, message }) {
+  return `${path || "/"} ${message}`;
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+/** { "9:16": override, "4:5": override, … } — per-format overrides of a block */
+function perFormat(override) {
+  return {
+    type: "object",
+    additionalProperties: false,
+    description: "overrides merged in when rendering that format",
+    properties: Object.fromEntries(listFormats().map(f => [f, override]))
+  };
+}
+
+/** Minimal JSON Schema interpreter (the keywords buildManifestSchema uses) */
+function checkNode(value, node, path, root, issues) {
+  if (node.$ref) node = resolveRef(root, node.$ref);
+  const severity = node["x-severity"] || "error";
+  const add = (message, sev = severity) => issues.push({ path, message, severity: sev });
+
+  if (node.type && !matchesType(value, node.type)) {
+    add(`must be ${node.type} (got ${typeName(value)})`, "error");
+    return;
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    add(`"${value}" is not one of: ${node.enum.join(", ")}`);
+  }
+  if (typeof value === "string") {
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      const tokens = node["x-enum-tokens"];
+      add(tokens
+        ? `"${value}" must combine: ${tokens.join(", ")}`
+        : `"${value}" does not match ${node.pattern}`);
+    }
+  }
+  if (typeof value === "number") {
+    if (node.minimum != null && value < node.minimum) add(`must be >= ${node.minimum}`);
+    if (node.maximum != null && value > node.maximum) add(`must be <= ${node.maximum}`);
+    if (node.exclusiveMinimum != null && value <= node.exclusiveMinimum) add(`must be > ${node.exclusiveMinimum}`);
+  }
+  if (Array.isArray(value)) {
+    if (node.minItems != null && value.length < node.minItems) add(`needs at least ${node.minItems} item(s)`);
+    if (node.items) value.forEach((v, i) => checkNode(v, node.items, `${path}/${i}`, root, issues));
+  }
+  if (isPlainObject(value)) {
+    const props = node.properties || {};
+    (node.required || []).forEach(k => {
+      if (!(k in value)) issues.push({ path: `${path}/${escapePointer(k)}`, message: "is required", severity: "error" });
+    });
+    Object.keys(value).forEach(k => {
+      const p = `${path}/${escapePointer(k)}`;
+      if (props[k]) {
+        checkNode(value[k], props[k], p, root, issues);
+      } else if (node.additionalProperties === false) {
+        const hint = closest(k, Object.keys(props));
+        issues.push({
+          path: p,
+          message: `is not a known field${hint ? ` (did you mean "${hint}"?)` : ""}; allowed: ${Object.keys(props).join(", ")}`,
+          severity: "warning"
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Checks a schema can't express: reveals after scene end, overlapping scenes, duration hint.
+ * timing "auto" scenes are checked with their computed d/at.
+ */
+function checkTiming(raw, issues) {
+  raw.scenes.forEach((s, i) => {
+    if (isPlainObject(s) && !("d" in s) && (s.timing || raw.timing) !== "auto") {
+      issues.push({ path: `/scenes/${i}/d`, message: "is required (or set timing \"auto\")", severity: "error" });
+    }
+  });
+  const m = applyAutoTiming(raw);
+  let cursor = 0;
+  m.scenes.forEach((s, i) => {
+    if (!isPlainObject(s) || !matchesType(s.d, "number")) return; // reported above / by the schema pass
+    const base = `/scenes/${i}`;
+    const t = typeof s.t === "number" ? s.t : cursor;
+    if (typeof s.t === "number" && s.t < cursor - 1e-6) {
+      issues.push({ path: `${base}/t`, message: `overlaps previous scene (starts ${fmt(s.t)}, previous ends ${fmt(cursor)})`, severity: "warning" });
+    }
+    asArray(s.text).forEach((b, j) => {
+      if (!isPlainObject(b)) return;
+      if ((b.at ?? 0) >= s.d) {
+        issues.push({ path: `${base}/text/${j}/at`, message: `is beyond scene duration ${fmt(s.d)}`, severity: "warning" });
+      }
+      if (b.pointer && !b.panel) {
+        issues.push({ path: `${base}/text/${j}/pointer`, message: "is ignored without \"panel\": true", severity: "warning" });
+      }
+    });
+    asArray(s.callouts).forEach((c, j) => {
+      if (isPlainObject(c) && (c.at ?? 0) >= s.d) {
+        issues.push({ path: `${base}/callouts/${j}/at`, message: `is beyond scene duration ${fmt(s.d)}`, severity: "warning" });
+      }
+    });
+    if (isPlainObject(s.narration) && (s.narration.at ?? 0) >= s.d) {
+      issues.push({ path: `${base}/narration/at`, message: `is beyond scene duration ${fmt(s.d)}`, severity: "warning" });
+    }
+    const media = s.media;
+    if (isPlainObject(media) && media.type !== "video") {
+      ["poster", "muted", "loop", "startAt", "playbackRate"].forEach(k => {
+        if (k in media) issues.push({ path: `${base}/media/${k}`, message: "only applies to type \"video\"", severity: "warning" });
+      });
+    }
+    cursor = (typeof t === "number" ? t : cursor) + s.d;
+  });
+  if (typeof m.duration === "number" && Math.abs(m.duration - cursor) > 0.5) {
+    issues.push({ path: "/duration", message: `is ${fmt(m.duration)} but scenes end at ${fmt(cursor)}`, severity: "warning" });
+  }
+}
+
+/** Chart data a schema can't express: planet positions, and the names aspects/callouts refer to */
+function checkCharts(raw, issues) {
+  raw.scenes.forEach((s, i) => {
+    if (!isPlainObject(s)) return;
+    const base = `/scenes/${i}`;
+    const media = isPlainObject(s.media) ? s.media : {};
+    const chart = media.type === "chart" ? media.chart : null;
+    if (media.type === "chart" && !isPlainObject(chart)) {
+      issues.push({ path: `${base}/media/chart`, message: "is required for type \"chart\"", severity: "error" });
+    } else if (media.chart && media.type !== "chart") {
+      issues.push({ path: `${base}/media/chart`, message: "only applies to type \"chart\"", severity: "warning" });
+    }
+    const names = new Set();
+    if (isPlainObject(chart?.planets)) {
+      Object.entries(chart.planets).forEach(([name, v]) => {
+        const lon = isPlainObject(v) ? v.lon : v;
+        if (!matchesType(lon, "number") || lon < 0 || lon > 360) {
+          issues.push({ path: `${base}/media/chart/planets/${escapePointer(name)}`, message: "must be a longitude 0..360 or { lon, retrograde }", severity: "error" });
+        }
+        names.add(name.trim().toLowerCase());
+      });
+    }
+    const known = (name) => names.has(String(name).trim().toLowerCase());
+    asArray(chart?.aspects).forEach((a, j) => {
+      ["from", "to"].forEach(k => {
+        if (isPlainObject(a) && typeof a[k] === "string" && !known(a[k])) {
+          issues.push({ path: `${base}/media/chart/aspects/${j}/${k}`, message: `"${a[k]}" is not in planets (${[...names].join(", ")})`, severity: "warning" });
+        }
+      });
+    });
+    asArray(s.callouts).forEach((c, j) => {
+      if (!isPlainObject(c) || typeof c.planet !== "string") return;
+      const path = `${base}/callouts/${j}/planet`;
+      if (!chart) issues.push({ path, message: "only applies to chart scenes (uses x/y)", severity: "warning" });
+      else if (!known(c.planet)) issues.push({ path, message: `"${c.planet}" is not in the chart (uses x/y)`, severity: "warning" });
+    });
+  });
+}
+
+function resolveRef(root, ref) {
+  return ref.replace(/^#\//, "").split("/").reduce((n, k) => n[k], root);
+}
+
+function matchesType(v, type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(t => {
+    switch (t) {
+      case "object":  return isPlainObject(v);
+      case "array":   return Array.isArray(v);
+      case "number":  return typeof v === "number" && isFinite(v);
+      case "integer": return Number.isInteger(v);
+      case "null":    return v === null;
+      default:        return typeof v === t;
+    }
+  });
+}
+
+function typeName(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function asArray(v) {
+  return Array.isArray(v) ? v : [];
+}
+
+function escapePointer(k) {
+  return String(k).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function fmt(n) {
+  return Number(n).toFixed(1);
+}
+
+/** Closest known key by edit distance (only if it looks like a typo) */
+function closest(key, candidates) {
+  let best = null;
+  let bestD = Infinity;
+  candidates.forEach(c => {
+    const d = editDistance(key.toLowerCase(), c.toLowerCase());
+    if (d < bestD) { bestD = d; best = c; }
+  });
+  return bestD <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkSchema) {
+  window.ZdkSchema = {
+    MEDIA_TYPES, ROLES, KENBURNS, EFFECTS, MANIFEST_SCHEMA,
+    buildManifestSchema, validateManifest, formatIssue
+  };
+}
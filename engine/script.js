@@ -0,0 +1,412 @@
+// engine/script.js
+/**
+ * Zodika Script — compile a Markdown story script into a manifest (presets.js factories)
+ * - front matter (between the first two `---` lines) sets manifest options:
+ *     theme, format, lang, timing, duration, wpm, music
+ * - `---` separates scenes; inside a scene:
+ *     ![credit](images/01.jpg) {kb=left d=9}   media (alt text = credit; .mp4/.webm/.mov = video)
+ *     # Title / ## Subtitle                    text blocks
+ *     plain paragraphs                         lead (closing: lead, then caption)
+ *     > callout text {at=2 anchor=lower-right} one callout per line
+ *     {d=6 in=zoom out=crossfade}              scene options on a line of their own
+ * - the layout follows the content (# → makeSceneDocPhotoTitleCallout, ## or several
+ *   callouts → makeSceneDocPhoto2Callouts, neither → makeSceneClosing) or {layout=…}
+ * - inline: **strong**, *em*, ==highlight==, ~~strike~~, `code`; raw inline html passes through
+ *   (the sanitizer allowlist applies when the manifest is rendered)
+ * - every problem is reported with its source line; 'lines' maps manifest paths back to lines
+ * - string based (no DOM, no fs): the same compiler in the browser and in Node (scripts/zdk.mjs compile)
+ *
+ * Usage:
+ *   import { compileScript } from "./engine/script.js";
+ *   const { manifest, lines } = compileScript(markdown);
+ *   // invalid scripts throw: err.errors → [{ line: 12, message: "unknown scene option \"kbb\"" }]
+ */
+
+import {
+  KB, TRANSITIONS, CALLOUT_ANCHORS,
+  makeSceneDocPhotoTitleCallout, makeSceneDocPhoto2Callouts, makeSceneClosing,
+  buildManifest
+} from "./presets.js";
+
+/** Scene layouts → the presets factory that builds them */
+export const SCRIPT_LAYOUTS = {
+  title: makeSceneDocPhotoTitleCallout,
+  callouts: makeSceneDocPhoto2Callouts,
+  closing: makeSceneClosing
+};
+
+/** Front matter keys (values are strings in the script) */
+export const FRONT_MATTER_KEYS = ["theme", "format", "lang", "timing", "duration", "wpm", "music"];
+
+/** Scene options ({key=value} on the media line or a line of its own) */
+export const SCENE_OPTIONS = ["d", "kb", "focus", "in", "out", "timing", "layout", "narration", "credit"];
+
+/** Callout options ({key=value} at the end of a `>` line) */
+export const CALLOUT_OPTIONS = ["at", "anchor"];
+
+const VIDEO_EXT = /\.(mp4|webm|mov)(?:[?#].*)?$/i;
+
+/**
+ * Compile a Markdown script into a manifest.
+ * @param {string} source - script text
+ * @returns {{ manifest: Object, lines: Object<string, number> }}
+ *   lines: JSON pointer → 1-based source line, e.g. { "/scenes/2/callouts/0": 31 } (see lineOf)
+ * @throws {Error} "Invalid script:\nline 12: …" with err.errors = [{ line, message }]
+ */
+export function compileScript(source) {
+  const rows = String(source ?? "").replace(/^﻿/, "").replace(/\r\n?/g, "\n").split("\n");
+  const errors = [];
+  const fail = (line, message) => errors.push({ line, message });
+
+  const { meta, next } = readFrontMatter(rows, fail);
+  const timing = meta.timing?.value;
+  const blocks = splitScenes(rows, next);
+  if (!blocks.length) fail(next + 1, "no scenes (separate scenes with a `---` line)");
+
+  const lines = {};
+  const scenes = [];
+  blocks.forEach((block) => {
+    const i = scenes.length;
+    const scene = compileScene(block, { timing, fail });
+    if (!scene) return;
+    scenes.push(scene.value);
+    Object.entries(scene.lines).forEach(([path, line]) => { lines[`/scenes/${i}${path}`] = line; });
+  });
+
+  if (errors.length) {
+    errors.sort((a, b) => a.line - b.line);
+    const err = new Error(`Invalid script:\n${errors.map(formatScriptError).join("\n")}`);
+    err.errors = errors;
+    throw err;
+  }
+
+  const manifest = buildManifest({
+    theme: meta.theme?.value,
+    format: meta.format?.value,
+    lang: meta.lang?.value,
+    timing,
+    durationHint: meta.duration ? Number(meta.duration.value) : undefined,
+    reading: meta.wpm ? { wpm: Number(meta.wpm.value) } : undefined,
+    audio: meta.music ? { music: { src: meta.music.value } } : undefined,
+    scenes
+  });
+  Object.entries(meta).forEach(([key, { line }]) => { lines[`/${FRONT_MATTER_PATHS[key]}`] = line; });
+  return { manifest, lines };
+}
+
+/**
+ * Source line of a manifest path (nearest mapped ancestor), e.g. for schema issues.
+ * @param {Object<string, number>} lines - from compileScript
+ * @param {string} path - JSON pointer, e.g. "/scenes/2/text/0/at"
+ * @returns {number|null}
+ */
+export function lineOf(lines, path) {
+  for (let p = String(path || ""); p; p = p.slice(0, p.lastIndexOf("/"))) {
+    if (lines[p] != null) return lines[p];
+  }
+  return null;
+}
+
+/** "line 12: unknown scene option "kbb"" */
+export function formatScriptError({ line, message }) {
+  return `line ${line}: ${message}`;
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+const FRONT_MATTER_PATHS = {
+  theme: "theme", format: "format", lang: "lang", timing: "timing",
+  duration: "duration", wpm: "reading/wpm", music: "audio/music/src"
+};
+
+const SEPARATOR = /^\s*-{3,}\s*$/;
+const COMMENT = /^\s*<!--.*-->\s*$/;
+const ATTRS = /\s*\{([^{}]*)\}\s*$/;
+
+/** key: value lines between a leading `---` pair; returns { meta: { key: { value, line } }, next } */
+function readFrontMatter(rows, fail) {
+  const meta = {};
+  if (!SEPARATOR.test(rows[0] || "")) return { meta, next: 0 };
+  const close = rows.findIndex((r, i) => i > 0 && SEPARATOR.test(r));
+  if (close < 0) {
+    fail(1, "front matter is not closed (add a `---` line after it)");
+    return { meta, next: rows.length };
+  }
+  for (let i = 1; i < close; i++) {
+    const row = rows[i].trim();
+    if (!row || row.startsWith("#")) continue;
+    const m = /^([\w-]+)\s*:\s*(.*)$/.exec(row);
+    if (!m) {
+      fail(i + 1, `front matter expects "key: value", got "${row}"`);
+      continue;
+    }
+    const [, key, raw] = m;
+    const value = raw.replace(/^(["'])(.*)\1$/, "$2").trim();
+    if (!FRONT_MATTER_KEYS.includes(key)) {
+      fail(i + 1, `unknown front matter key "${key}" (allowed: ${FRONT_MATTER_KEYS.join(", ")})`);
+    } else if (key === "theme" && !["light", "dark"].includes(value)) {
+      fail(i + 1, `theme must be "light" or "dark", got "${value}"`);
+    } else if (key === "timing" && !["auto", "manual"].includes(value)) {
+      fail(i + 1, `timing must be "auto" or "manual", got "${value}"`);
+    } else if ((key === "duration" || key === "wpm") && !(Number(value) > 0)) {
+      fail(i + 1, `${key} must be a positive number, got "${value}"`);
+    } else {
+      meta[key] = { value, line: i + 1 };
+    }
+  }
+  return { meta, next: close + 1 };
+}
+
+/** Scene blocks: [{ line, rows: [{ line, text }] }] (empty blocks dropped) */
+function splitScenes(rows, from) {
+  const blocks = [];
+  let current = null;
+  for (let i = from; i < rows.length; i++) {
+    if (SEPARATOR.test(rows[i])) {
+      current = null;
+      continue;
+    }
+    if (!current) blocks.push(current = { line: i + 1, rows: [] });
+    current.rows.push({ line: i + 1, text: rows[i] });
+  }
+  return blocks
+    .map(b => ({ ...b, rows: trimBlank(b.rows) }))
+    .filter(b => b.rows.length)
+    .map(b => ({ ...b, line: b.rows[0].line }));
+}
+
+function trimBlank(rows) {
+  let a = 0;
+  let z = rows.length;
+  while (a < z && !rows[a].text.trim()) a++;
+  while (z > a && !rows[z - 1].text.trim()) z--;
+  return rows.slice(a, z);
+}
+
+/** One scene block → { value: scene, lines: { "/media": 4, "/text/0": 5, … } } or null on errors */
+function compileScene(block, { timing, fail }) {
+  let broken = 0;
+  const bad = (line, message) => {
+    broken++;
+    fail(line, message);
+  };
+  const parts = { media: null, title: null, subtitle: null, paragraphs: [], callouts: [], opts: {}, optsLine: block.line };
+  let para = null;
+
+  block.rows.forEach(({ line, text }) => {
+    const row = text.trim();
+    if (!row) {
+      para = null;
+      return;
+    }
+    if (COMMENT.test(row)) return;
+
+    const image = /^!\[([^\]]*)\]\(\s*(\S+?)(?:\s+"[^"]*")?\s*\)(.*)$/.exec(row);
+    if (image) {
+      para = null;
+      if (parts.media) return bad(line, `second media line (first on line ${parts.media.line}); one image or video per scene`);
+      const [, alt, src, rest] = image;
+      if (rest.trim() && !ATTRS.test(rest)) return bad(line, `unexpected text after the media: "${rest.trim()}"`);
+      parts.media = { line, src, credit: alt.trim() || undefined };
+      if (rest.trim()) readOptions(rest, SCENE_OPTIONS, "scene", line, parts, bad);
+      return;
+    }
+    if (/^\{[^{}]*\}$/.test(row)) {
+      para = null;
+      readOptions(row, SCENE_OPTIONS, "scene", line, parts, bad);
+      return;
+    }
+
+    const heading = /^(#+)\s+(.*)$/.exec(row);
+    if (heading) {
+      para = null;
+      const [, hashes, html] = heading;
+      if (hashes.length > 2) return bad(line, `"${hashes}" headings aren't supported; use # for the title, ## for the subtitle`);
+      const key = hashes.length === 1 ? "title" : "subtitle";
+      if (parts[key]) return bad(line, `second ${key} (first on line ${parts[key].line})`);
+      if (ATTRS.test(html)) return bad(line, "options go on the media line or a line of their own, not on headings");
+      parts[key] = { line, html: inline(html) };
+      return;
+    }
+
+    const quote = /^>\s?(.*)$/.exec(row);
+    if (quote) {
+      para = null;
+      const callout = { line, html: "", opts: {} };
+      const attrs = ATTRS.exec(quote[1]);
+      const html = attrs ? quote[1].slice(0, attrs.index) : quote[1];
+      if (attrs) readOptions(attrs[0], CALLOUT_OPTIONS, "callout", line, callout, bad);
+      if (!html.trim()) return bad(line, "empty callout");
+      callout.html = inline(html.trim());
+      parts.callouts.push(callout);
+      return;
+    }
+
+    if (ATTRS.test(row)) return bad(line, "options go on the media line or a line of their own, not on paragraphs");
+    if (para) para.html += ` ${inline(row)}`;
+    else parts.paragraphs.push(para = { line, html: inline(row) });
+  });
+
+  if (!parts.media) bad(block.line, "scene has no media line (e.g. ![credit](images/01.jpg))");
+  const layout = pickLayout(parts, block.line, bad);
+  if (broken) return null;
+
+  const o = parts.opts;
+  const sceneTiming = o.timing ?? timing;
+  const lines = { "": block.line, "/media": parts.media.line };
+  if (o.in) lines["/transitionIn"] = parts.optsLine;
+  if (o.out) lines["/transitionOut"] = parts.optsLine;
+  if (o.d) lines["/d"] = parts.optsLine;
+  const text = [];
+  const p = {
+    d: o.d,
+    timing: sceneTiming,
+    media: {
+      src: parts.media.src,
+      credit: o.credit ?? parts.media.credit,
+      kenburns: o.kb,
+      ...(o.focus ? { focus: o.focus } : {}),
+      ...(VIDEO_EXT.test(parts.media.src) ? { type: "video" } : {})
+    },
+    transitionIn: o.in,
+    transitionOut: o.out,
+    narration: o.narration ? { src: o.narration } : undefined
+  };
+
+  const [lead, caption] = parts.paragraphs;
+  if (layout === "title") {
+    Object.assign(p, { title: parts.title.html, lead: lead?.html, callout: parts.callouts[0] && toCallout(parts.callouts[0]) });
+    text.push(parts.title, lead);
+  } else if (layout === "callouts") {
+    Object.assign(p, { subtitle: parts.subtitle?.html, callouts: parts.callouts.map(toCallout) });
+    text.push(parts.subtitle);
+  } else {
+    Object.assign(p, { title: parts.title?.html, lead: lead?.html, caption: caption?.html });
+    text.push(parts.title, lead, caption);
+  }
+  text.filter(Boolean).forEach((t, i) => { lines[`/text/${i}`] = t.line; });
+  parts.callouts.forEach((c, i) => { lines[`/callouts/${i}`] = c.line; });
+
+  try {
+    return { value: SCRIPT_LAYOUTS[layout](p), lines };
+  } catch (err) {
+    fail(parts.optsLine, `${err?.message || err}`);
+    return null;
+  }
+}
+
+/** Layout from {layout=…} or from the content, checking what the factory can hold */
+function pickLayout(parts, line, bad) {
+  const { title, subtitle, paragraphs, callouts } = parts;
+  const layout = parts.opts.layout
+    || (title ? "title" : subtitle || callouts.length ? "callouts" : "closing");
+  const extra = (what, at) => bad(at, `${what} doesn't fit the "${layout}" layout`);
+
+  if (!SCRIPT_LAYOUTS[layout]) {
+    bad(parts.optsLine, `unknown layout "${layout}" (allowed: ${Object.keys(SCRIPT_LAYOUTS).join(", ")})`);
+  } else if (layout === "title") {
+    if (!title) bad(line, "the \"title\" layout needs a # title");
+    if (subtitle) extra("a ## subtitle", subtitle.line);
+    if (paragraphs[1]) extra("a second paragraph", paragraphs[1].line);
+    if (callouts[1]) extra("a second callout (use ## subtitle or {layout=callouts})", callouts[1].line);
+  } else if (layout === "callouts") {
+    if (title) extra("a # title", title.line);
+    if (paragraphs[0]) extra("a paragraph", paragraphs[0].line);
+  } else if (layout === "closing") {
+    if (subtitle) extra("a ## subtitle", subtitle.line);
+    if (paragraphs[2]) extra("a third paragraph", paragraphs[2].line);
+    if (callouts[0]) extra("a callout", callouts[0].line);
+  }
+  return layout;
+}
+
+function toCallout({ html, opts }) {
+  return { html, ...(opts.at != null ? { at: opts.at } : {}), ...(opts.anchor ? { anchor: opts.anchor } : {}) };
+}
+
+/** Parse "{key=value key="quoted value"}" into target.opts, checking names and values */
+function readOptions(text, allowed, kind, line, target, bad) {
+  const body = /\{([^{}]*)\}/.exec(text)[1];
+  const TOKEN = /([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?|(\S+)/g;
+  let m;
+  while ((m = TOKEN.exec(body))) {
+    if (m[5]) {
+      bad(line, `can't read option "${m[5]}" (use key=value)`);
+      continue;
+    }
+    const key = m[1];
+    const value = m[2] ?? m[3] ?? m[4];
+    if (!allowed.includes(key)) {
+      bad(line, `unknown ${kind} option "${key}" (allowed: ${allowed.join(", ")})`);
+      continue;
+    }
+    if (value == null || value === "") {
+      bad(line, `option "${key}" needs a value (${key}=…)`);
+      continue;
+    }
+    const parsed = parseOption(key, value);
+    if (parsed.error) bad(line, parsed.error);
+    else target.opts[key] = parsed.value;
+  }
+  if (kind === "scene") target.optsLine = line;
+}
+
+function parseOption(key, value) {
+  switch (key) {
+    case "d":
+    case "at": {
+      const n = Number(String(value).replace(/s$/, ""));
+      const ok = key === "d" ? n > 0 : n >= 0;
+      return ok ? { value: n } : { error: `${key} must be a ${key === "d" ? "positive " : ""}number of seconds, got "${value}"` };
+    }
+    case "kb": {
+      const tokens = value.split(/[\s,+]+/).filter(Boolean).map(k => KB[k] || k).join(" ");
+      const unknown = tokens.split(" ").find(k => !KB_TOKENS.includes(k));
+      return unknown ? { error: `unknown kb "${unknown}" (use ${KB_TOKENS.join(", ")})` } : { value: tokens };
+    }
+    case "focus":
+    case "anchor": {
+      if (key === "anchor" && CALLOUT_ANCHORS[value]) return { value };
+      const xy = value.split(",").map(Number);
+      if (xy.length === 2 && xy.every(n => n >= 0 && n <= 1)) return { value: { x: xy[0], y: xy[1] } };
+      return {
+        error: key === "anchor"
+          ? `anchor must be one of ${Object.keys(CALLOUT_ANCHORS).join(", ")} or "x,y" in 0..1, got "${value}"`
+          : `focus must be "x,y" in 0..1, got "${value}"`
+      };
+    }
+    case "in":
+    case "out":
+      return { value: TRANSITION_ALIASES[value] || value }; // unknown names: the schema reports them
+    case "timing":
+      return value === "auto" || value === "manual" ? { value } : { error: `timing must be "auto" or "manual", got "${value}"` };
+    default:
+      return { value };
+  }
+}
+
+/** Ken Burns preset words ("strong" combines with the others) */
+const KB_TOKENS = [...new Set(Object.values(KB).flatMap(v => v.split(" ")))];
+
+/** camelCase preset names (TRANSITIONS.social.lightWipe) → class names */
+const TRANSITION_ALIASES = Object.fromEntries(
+  Object.values(TRANSITIONS).flatMap(group => Object.entries(group))
+);
+
+/** Markdown inline marks → html (raw html is kept as written) */
+function inline(text) {
+  const code = [];
+  return text
+    .replace(/`([^`]+)`/g, (_, c) => `\u0000${code.push(c.replace(/&/g, "&amp;").replace(/</g, "&lt;")) - 1}\u0000`)
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/==(.+?)==/g, "<span class=\"highlight\">$1</span>")
+    .replace(/~~(.+?)~~/g, "<s>$1</s>")
+    .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${code[i]}</code>`);
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkScript) {
+  window.ZdkScript = { SCRIPT_LAYOUTS, FRONT_MATTER_KEYS, SCENE_OPTIONS, CALLOUT_OPTIONS, compileScript, lineOf, formatScriptError };
+}
@@ -0,0 +1,184 @@
+// engine/template.js
+/**
+ * Zodika Templates — one manifest, many stories (e.g. one per zodiac sign)
+ * - {{sign.name}} placeholders in text/callout html (locale maps too), media.credit and every
+ *   src (media, poster, fallback, sources, narration); values are html-escaped inside html
+ * - conditional scenes: scene.when, removed from the output
+ *     "when": "sign.retrograde"                       // truthy
+ *     "when": "!sign.retrograde"                      // falsy
+ *     "when": { "sign.element": ["fire", "air"] }     // equals (one of); every key must match
+ * - expandTemplate(): a dataset { sign: [ {…}, {…} ], brand: {…} } → one manifest per item of the
+ *   array ('each'), with the other keys shared by every variant
+ * - string based (no DOM, no fs): batch writing lives in scripts/zdk.mjs (`zdk batch`)
+ *
+ * Usage:
+ *   import { expandTemplate } from "./engine/template.js";
+ *   const variants = expandTemplate(template, { sign: signs }, { name: "horoscopo-{{sign.slug}}" });
+ *   // → [{ name: "horoscopo-aries", manifest, vars, dropped: [3], missing: [] }, …]
+ */
+
+/** {{ path.to.value }} */
+export const PLACEHOLDER = /\{\{\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}/g;
+
+/**
+ * Fill the placeholders of one manifest.
+ * @param {Object} manifest - template manifest
+ * @param {Object} vars - e.g. { sign: { name: "Áries", element: "fogo" } }
+ * @returns {{ manifest: Object, missing: { path: string, name: string }[], dropped: number[] }}
+ *   missing: placeholders without a (text) value, left as written; dropped: indexes of scenes whose 'when' failed
+ */
+export function renderTemplate(manifest, vars = {}) {
+  if (!manifest || !Array.isArray(manifest.scenes)) return { manifest, missing: [], dropped: [] };
+  const missing = [];
+  const dropped = [];
+  const fill = (value, path, html) => {
+    if (typeof value === "string") return fillString(value, vars, { html, path, missing });
+    if (value && typeof value === "object" && html) {
+      // locale map { "pt-br": "…", "en": "…" }
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v, `${path}/${k}`, html)]));
+    }
+    return value;
+  };
+  const fillBlock = (b, path) => (b && typeof b === "object" && "html" in b ? { ...b, html: fill(b.html, `${path}/html`, true) } : b);
+  const fillSrc = (o, path) => (o && typeof o === "object" && typeof o.src === "string" ? { ...o, src: fill(o.src, `${path}/src`) } : o);
+
+  const scenes = [];
+  manifest.scenes.forEach((s, i) => {
+    if (!s || typeof s !== "object") return scenes.push(s);
+    const { when, ...scene } = s;
+    if (when !== undefined && !testCondition(when, vars)) return dropped.push(i);
+    const base = `/scenes/${i}`;
+    if (Array.isArray(scene.text)) scene.text = scene.text.map((b, j) => fillBlock(b, `${base}/text/${j}`));
+    if (Array.isArray(scene.callouts)) scene.callouts = scene.callouts.map((c, j) => fillBlock(c, `${base}/callouts/${j}`));
+    if (scene.media && typeof scene.media === "object") {
+      const m = fillSrc(scene.media, `${base}/media`);
+      if (typeof m.credit === "string") m.credit = fill(m.credit, `${base}/media/credit`);
+      if (typeof m.poster === "string") m.poster = fill(m.poster, `${base}/media/poster`);
+      if (Array.isArray(m.fallback)) m.fallback = m.fallback.map((f, j) => (typeof f === "string" ? fill(f, `${base}/media/fallback/${j}`) : fillSrc(f, `${base}/media/fallback/${j}`)));
+      else if (typeof m.fallback === "string") m.fallback = fill(m.fallback, `${base}/media/fallback`);
+      if (Array.isArray(m.sources)) m.sources = m.sources.map((v, j) => fillSrc(v, `${base}/media/sources/${j}`));
+      scene.media = m;
+    }
+    if (scene.narration) scene.narration = fillSrc(scene.narration, `${base}/narration`);
+    scenes.push(scene);
+  });
+
+  const audio = manifest.audio?.music ? { ...manifest.audio, music: fillSrc(manifest.audio.music, "/audio/music") } : manifest.audio;
+  return {
+    manifest: { ...manifest, ...(audio ? { audio } : {}), scenes },
+    missing,
+    dropped
+  };
+}
+
+/**
+ * One manifest per item of the dataset's 'each' array.
+ * @param {Object} template
+ * @param {Object} data - { <each>: [ item, … ], …shared values }
+ * @param {Object} [opts]
+ * @param {string} [opts.each] - variable the items are bound to; default the only array in 'data'
+ * @param {string} [opts.name] - project name pattern; default "<each>-{{<each>.slug}}" (index when there is no slug)
+ * @returns {{ name: string, vars: Object, manifest: Object, missing: Object[], dropped: number[] }[]}
+ * @throws {Error} when 'each' can't be resolved, a name can't be built or two variants share a name
+ */
+export function expandTemplate(template, data, { each, name } = {}) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Template data must be an object, e.g. { \"sign\": [ … ] }");
+  }
+  const arrays = Object.keys(data).filter(k => Array.isArray(data[k]));
+  const key = each || (arrays.length === 1 ? arrays[0] : null);
+  if (!key) {
+    throw new Error(`Template data: pass 'each' to pick the variant list (arrays: ${arrays.join(", ") || "none"})`);
+  }
+  if (!Array.isArray(data[key])) throw new Error(`Template data: "${key}" is not an array`);
+
+  const seen = new Map();
+  return data[key].map((item, i) => {
+    const vars = { ...data, [key]: item, index: i + 1 };
+    const pattern = name || (item && item.slug != null ? `${key}-{{${key}.slug}}` : `${key}-{{index}}`);
+    const nameMissing = [];
+    const project = slugify(fillString(pattern, vars, { missing: nameMissing }));
+    if (nameMissing.length || !project) {
+      throw new Error(`Template data: item ${i + 1} has no value for the name pattern "${pattern}"`);
+    }
+    if (seen.has(project)) {
+      throw new Error(`Template data: items ${seen.get(project) + 1} and ${i + 1} are both named "${project}"`);
+    }
+    seen.set(project, i);
+    return { name: project, vars, ...renderTemplate(template, vars) };
+  });
+}
+
+/**
+ * Replace the placeholders of one string.
+ * @param {string} str
+ * @param {Object} vars
+ * @param {Object} [opts]
+ * @param {boolean} [opts.html=false] - escape values for html
+ * @param {string} [opts.path=""] - reported in 'missing'
+ * @param {Object[]} [opts.missing] - collects { path, name } of unresolved placeholders
+ * @returns {string}
+ */
+export function fillString(str, vars, { html = false, path = "", missing = [] } = {}) {
+  return String(str).replace(PLACEHOLDER, (whole, name) => {
+    const v = lookup(vars, name);
+    if (v == null || typeof v === "object") {
+      missing.push({ path, name });
+      return whole;
+    }
+    return html ? escapeHTML(String(v)) : String(v);
+  });
+}
+
+/**
+ * Evaluate a scene's 'when' against the variables.
+ * @param {string|Object} when - "path", "!path" or { path: value | value[] }
+ * @param {Object} vars
+ */
+export function testCondition(when, vars) {
+  if (typeof when === "string") {
+    const negate = when.trim().startsWith("!");
+    const v = lookup(vars, when.trim().replace(/^!\s*/, ""));
+    const truthy = Array.isArray(v) ? v.length > 0 : !!v;
+    return negate ? !truthy : truthy;
+  }
+  if (when && typeof when === "object") {
+    return Object.entries(when).every(([path, expected]) => {
+      const v = lookup(vars, path);
+      return (Array.isArray(expected) ? expected : [expected]).some(e => e === v);
+    });
+  }
+  return !!when;
+}
+
+/** Placeholder names used anywhere in a manifest (for docs and dataset checks) */
+export function listPlaceholders(manifest) {
+  const names = new Set();
+  JSON.stringify(manifest ?? null).replace(PLACEHOLDER, (_, name) => names.add(name));
+  return [...names];
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+/** Own properties only: {{sign.constructor}} is missing, not Object's source */
+function lookup(vars, path) {
+  return path.split(".").reduce((o, k) => (o != null && Object.hasOwn(o, k) ? o[k] : undefined), vars);
+}
+
+/** "Áries & Touro" → "aries-touro" (project folder names) */
+function slugify(s) {
+  return String(s)
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, "-")
+    .replace(/^[-.]+|-+$/g, "");
+}
+
+function escapeHTML(s) {
+  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkTemplate) {
+  window.ZdkTemplate = { PLACEHOLDER, renderTemplate, expandTemplate, fillString, testCondition, listPlaceholders };
+}
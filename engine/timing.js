@@ -0,0 +1,221 @@
+// engine/timing.js
+/**
+ * Zodika Auto-timing — reveal offsets and scene durations from reading speed
+ * - timing: "auto" (manifest or scene) fills text/callout 'at', the fx-type '--type-dur'
+ *   and the scene 'd' from the visible length of each block's html
+ * - values set by hand win; an explicit 'd' is only raised to the comfortable reading time
+ * - per-language profiles (words or characters per minute), overridable with 'reading'
+ * - readingWarnings(): manual scenes whose 'd' is shorter than their text needs
+ *
+ * Manifest (simplified):
+ * {
+ *   lang: "pt",                                   // picks the reading profile
+ *   timing: "auto",                               // default for every scene ("manual" otherwise)
+ *   reading: { wpm: 210, tail: 1.5 },             // optional overrides (also per scene)
+ *   scenes: [
+ *     { media: {…}, text: [{ role: "body", html: "…", effects: ["fx-type"] }] },   // d, at, --type-dur computed
+ *     { timing: "manual", d: 4, text: [{ role: "title", html: "…", at: 0.3 }] }
+ *   ]
+ * }
+ */
+
+/**
+ * Average silent-reading speeds per language
+ * (Trauzettel-Klosinski & Dietz, 2012: standardized texts, 17 languages)
+ */
+export const READING_PROFILES = {
+  pt: { wpm: 181 },
+  en: { wpm: 228 },
+  es: { wpm: 218 },
+  fr: { wpm: 195 },
+  it: { wpm: 188 },
+  de: { wpm: 179 },
+  ja: { cpm: 357 }, // no word spacing: count characters
+  zh: { cpm: 255 }
+};
+
+export const READING_DEFAULTS = {
+  lang: "pt",
+  lead: 0.4,      // first reveal (s into the scene)
+  stagger: 0.6,   // minimum spacing between two reveals
+  gap: 0.3,       // pause after a typed block before the next reveal
+  minRead: 1.0,   // reading time floor per block
+  tail: 1.2,      // hold once the last block has been read
+  typeFactor: 2   // typing runs this many times faster than reading
+};
+
+/**
+ * Reading profile for a language ("pt-BR" → pt) with optional overrides.
+ * An explicit wpm/cpm override decides the counting unit.
+ * @param {string} [lang]
+ * @param {Object} [overrides] - any READING_DEFAULTS key, wpm or cpm
+ */
+export function resolveProfile(lang, overrides = {}) {
+  const key = String(lang || READING_DEFAULTS.lang).toLowerCase().split(/[-_]/)[0];
+  const base = READING_PROFILES[key] || READING_PROFILES[READING_DEFAULTS.lang];
+  const profile = { ...READING_DEFAULTS, ...base, ...(overrides || {}), lang: key };
+  if (overrides?.wpm) delete profile.cpm;
+  else if (overrides?.cpm) delete profile.wpm;
+  return profile;
+}
+
+/** Seconds a reader needs for a block of html (at least profile.minRead) */
+export function readingTime(html, profile = resolveProfile()) {
+  return Math.max(profile.minRead, rawReadingTime(html, profile));
+}
+
+/**
+ * Timing plan for one scene; explicit 'at' and '--type-dur' are kept.
+ * @returns {{ text: {at:number, typeDur:number}[], callouts: {at:number}[], d: number }}
+ *          d = comfortable minimum duration
+ */
+export function planScene(scene, profile = resolveProfile()) {
+  let next = profile.lead;
+  let readEnd = 0;
+
+  const place = (block, typed) => {
+    const at = isNum(block.at) ? block.at : round(next);
+    const typeDur = typed ? (explicitTypeDur(block) ?? round(Math.max(0.4, rawReadingTime(block.html, profile) / profile.typeFactor))) : 0;
+    next = Math.max(at + profile.stagger, typed ? at + typeDur + profile.gap : 0);
+    // one reader: blocks are read in turn, a typed block not before it is fully typed
+    readEnd = Math.max(Math.max(readEnd, at) + readingTime(block.html, profile), at + typeDur);
+    return { at, typeDur };
+  };
+
+  const text = asArray(scene.text).map(b => place(b || {}, isTyped(b)));
+  const callouts = asArray(scene.callouts).map(c => ({ at: place(c || {}, false).at }));
+  return { text, callouts, d: round(readEnd + profile.tail) };
+}
+
+/**
+ * Fill the timing of every "auto" scene (returns a new manifest; idempotent).
+ * Call before 'd' is validated: auto scenes may omit it.
+ * @param {Object} manifest
+ */
+export function applyAutoTiming(manifest) {
+  if (!manifest || !Array.isArray(manifest.scenes)) return manifest;
+  return {
+    ...manifest,
+    scenes: manifest.scenes.map((scene) => {
+      if (!scene || modeOf(manifest, scene) !== "auto") return scene;
+      const plan = planScene(scene, profileOf(manifest, scene));
+      const out = { ...scene, d: Math.max(Number(scene.d) || 0, plan.d) };
+      if (Array.isArray(scene.text)) {
+        out.text = scene.text.map((b, j) => {
+          const block = { ...b, at: plan.text[j].at };
+          if (isTyped(b) && explicitTypeDur(b) == null) {
+            block.style = `${b.style ? `${String(b.style).replace(/;?\s*$/, ";")}` : ""}--type-dur:${plan.text[j].typeDur}s;`;
+          }
+          return block;
+        });
+      }
+      if (Array.isArray(scene.callouts)) {
+        out.callouts = scene.callouts.map((c, j) => ({ ...c, at: plan.callouts[j].at }));
+      }
+      return out;
+    })
+  };
+}
+
+/**
+ * Manual scenes whose 'd' is shorter than the comfortable reading time.
+ * @param {Object} manifest
+ * @returns {{ path: string, message: string, severity: "warning" }[]}
+ */
+export function readingWarnings(manifest) {
+  const issues = [];
+  asArray(manifest?.scenes).forEach((scene, i) => {
+    if (!scene || modeOf(manifest, scene) === "auto" || !isNum(scene.d)) return;
+    const profile = profileOf(manifest, scene);
+    const { d } = planScene(scene, profile);
+    if (scene.d >= d - 0.05) return;
+    const units = asArray(scene.text).concat(asArray(scene.callouts))
+      .reduce((n, b) => n + countUnits(b?.html, profile), 0);
+    const speed = profile.wpm ? `${units} words at ${profile.wpm} wpm` : `${units} characters at ${profile.cpm} cpm`;
+    issues.push({
+      path: `/scenes/${i}/d`,
+      message: `is ${scene.d.toFixed(1)}s, shorter than the comfortable reading time ${d.toFixed(1)}s (${speed})`,
+      severity: "warning"
+    });
+  });
+  return issues;
+}
+
+/** Visible text of an html fragment (tags dropped, common entities decoded) */
+export function visibleText(html) {
+  return String(html ?? "")
+    .replace(/<\/?(br|p|div|li|h[1-6])\b[^>]*>/gi, " ") // breaks separate words, inline tags don't
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (all, ent) => {
+      if (ent[0] === "#") {
+        const code = ent[1] === "x" || ent[1] === "X" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+        if (!isFinite(code)) return all;
+        // out of range or a lone surrogate: browsers show U+FFFD
+        if (code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return "\uFFFD";
+        return String.fromCodePoint(code);
+      }
+      return ENTITIES[ent.toLowerCase()] ?? all;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+const ENTITIES = { nbsp: " ", amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", hellip: "…", mdash: "—", ndash: "–" };
+
+function modeOf(manifest, scene) {
+  return scene.timing || manifest.timing || "manual";
+}
+
+function profileOf(manifest, scene) {
+  return resolveProfile(manifest.lang, { ...(manifest.reading || {}), ...(scene.reading || {}) });
+}
+
+/** Words (or characters for cpm profiles) in the visible text */
+function countUnits(html, profile) {
+  const text = visibleText(html);
+  if (!text) return 0;
+  if (!profile.wpm) return Array.from(text.replace(/\s/g, "")).length;
+  return text.split(" ").filter(w => /[\p{L}\p{N}]/u.test(w)).length;
+}
+
+/** Reading seconds without the per-block floor */
+function rawReadingTime(html, profile) {
+  const rate = profile.wpm || profile.cpm;
+  return rate > 0 ? (countUnits(html, profile) / rate) * 60 : 0;
+}
+
+/** Typing duration set by hand (typing.dur or '--type-dur' in the inline style), in seconds */
+function explicitTypeDur(block) {
+  if (Number(block?.typing?.dur) > 0) return Number(block.typing.dur);
+  const m = /--type-dur\s*:\s*([\d.]+)(ms|s)\b/.exec(String(block?.style || ""));
+  if (!m) return null;
+  return m[2] === "ms" ? Number(m[1]) / 1000 : Number(m[1]);
+}
+
+function isTyped(block) {
+  return Array.isArray(block?.effects) && block.effects.includes("fx-type");
+}
+
+function isNum(n) {
+  return typeof n === "number" && isFinite(n);
+}
+
+function asArray(x) {
+  return Array.isArray(x) ? x : [];
+}
+
+/** 0.1s grid keeps generated manifests readable */
+function round(n) {
+  return Math.ceil(n * 10 - 1e-9) / 10;
+}
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkTiming) {
+  window.ZdkTiming = {
+    READING_PROFILES, READING_DEFAULTS,
+    resolveProfile, readingTime, planScene,
+    applyAutoTiming, readingWarnings, visibleText
+  };
+}
@@ -0,0 +1,191 @@
+// engine/typewriter.js
+/**
+ * Zodika Typewriter — clock-driven typing reveal for text blocks with "fx-type"
+ * - splits the block's html into graphemes (default) or words, keeping nested
+ *   spans (.fx-underline, .fx-highlight, …) intact around their units
+ * - hidden units keep their layout: lines wrap at their final place from the first frame
+ * - stateless seek(t): any time maps to the same frame (live clock, seek, renderAt)
+ * - optional caret (effects: ["fx-type", "caret"]) that follows the last typed unit
+ * - nested effect spans get .is-in when typing reaches them (underline/highlight sweep)
+ *
+ * Manifest (text block):
+ *   { html: "…", at: 0.5, effects: ["fx-type", "caret"], style: "--type-dur:4.2s;",
+ *     typing: { by: "word", dur: 4.2 } }   // optional; dur overrides --type-dur
+ */
+
+/** Used when neither 'typing.dur' nor --type-dur is set (matches the old CSS default) */
+const DEFAULT_DUR = 2.2;
+
+export class ZdkTypewriter {
+  /**
+   * @param {HTMLElement} el - block element, html already set
+   * @param {Object} [options]
+   * @param {"char"|"word"} [options.by="char"]
+   * @param {number} [options.dur] - seconds; default: computed --type-dur of 'el'
+   * @param {boolean} [options.caret] - default: el has class "caret"
+   */
+  constructor(el, { by = "char", dur, caret } = {}) {
+    this.el = el;
+    this.by = by === "word" ? "word" : "char";
+    this.dur = Number(dur) > 0 ? Number(dur) : null; // resolved lazily (needs styles)
+    this.units = [];   // { node, start } — start: 0..1 fraction of the duration
+    this.groups = [];  // nested elements: { node, first } — first: index of their first unit
+    this.count = 0;    // units currently shown
+
+    this.#split();
+    el.classList.add("tw");
+    if (caret ?? el.classList.contains("caret")) {
+      this.caret = document.createElement("span");
+      this.caret.className = "tw-caret";
+      this.caret.setAttribute("aria-hidden", "true");
+    } else {
+      this.caret = null;
+    }
+    this.#render(0, false);
+  }
+
+  /** Typing duration in seconds */
+  get duration() {
+    if (this.dur == null) {
+      const css = getComputedStyle(this.el).getPropertyValue("--type-dur").trim();
+      const n = parseFloat(css);
+      this.dur = n > 0 ? (css.endsWith("ms") ? n / 1000 : n) : DEFAULT_DUR;
+    }
+    return this.dur;
+  }
+
+  /**
+   * Show the state 'sec' seconds after typing started (negative = nothing typed yet).
+   * @param {number} sec
+   */
+  seek(sec) {
+    let p;
+    if (sec < 0) p = -1;
+    else if (sec === Infinity || REDUCED_MOTION?.matches) p = 1;
+    else p = Math.min(1, sec / this.duration);
+
+    let n = 0;
+    if (p >= 1) n = this.units.length;
+    else if (p >= 0) {
+      // units are sorted by start: walk from the current count in the needed direction
+      n = Math.min(this.count, this.units.length);
+      while (n < this.units.length && this.units[n].start <= p) n++;
+      while (n > 0 && this.units[n - 1].start > p) n--;
+    }
+    this.#render(n, p >= 0 && p < 1);
+  }
+
+  /** Put the original (unsplit) text back */
+  destroy() {
+    this.caret?.remove();
+    this.units.forEach(({ node }) => node.replaceWith(...node.childNodes));
+    this.groups.forEach(({ node }) => node.classList.remove("tw-wait", "is-in"));
+    this.el.classList.remove("tw", "is-typing", "is-typed");
+    this.el.normalize();
+    this.units = [];
+    this.groups = [];
+  }
+
+  /* ------------------------------ internals ------------------------------- */
+
+  /** Wrap every unit of every text node in a span.tw-unit (whitespace stays plain text) */
+  #split() {
+    const weights = [];
+    const walk = (parent) => {
+      Array.from(parent.childNodes).forEach((child) => {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          if (child.matches("svg, img")) return;
+          const group = { node: child, first: this.units.length };
+          walk(child);
+          if (this.units.length > group.first) {
+            child.classList.add("tw-wait");
+            this.groups.push(group);
+          }
+          return;
+        }
+        if (child.nodeType !== Node.TEXT_NODE || !child.data) return;
+        const frag = document.createDocumentFragment();
+        tokens(child.data, this.by).forEach((tok) => {
+          if (/^\s+$/.test(tok)) {
+            frag.appendChild(document.createTextNode(tok));
+            return;
+          }
+          const span = document.createElement("span");
+          span.className = "tw-unit";
+          span.textContent = tok;
+          frag.appendChild(span);
+          this.units.push({ node: span, start: 0 });
+          weights.push(this.by === "word" ? graphemes(tok).length : 1);
+        });
+        child.replaceWith(frag);
+      });
+    };
+    walk(this.el);
+
+    // even pace per grapheme: long words take longer to type
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    let acc = 0;
+    this.units.forEach((u, i) => {
+      u.start = acc / total;
+      acc += weights[i];
+    });
+  }
+
+  #render(n, typing) {
+    const from = Math.min(n, this.count);
+    const to = Math.max(n, this.count);
+    for (let i = from; i < to; i++) this.units[i].node.classList.toggle("is-on", i < n);
+    this.groups.forEach(({ node, first }) => {
+      const on = n > first;
+      node.classList.toggle("tw-wait", !on);
+      node.classList.toggle("is-in", on);
+    });
+    this.count = n;
+
+    this.el.classList.toggle("is-typing", typing);
+    this.el.classList.toggle("is-typed", n > 0 && n === this.units.length);
+    if (this.caret) {
+      if (typing) {
+        const anchor = n > 0 ? this.units[n - 1].node : null;
+        if (anchor) {
+          if (anchor.nextSibling !== this.caret) anchor.after(this.caret);
+        } else if (this.units[0] && this.units[0].node.previousSibling !== this.caret) {
+          this.units[0].node.before(this.caret);
+        }
+      } else {
+        this.caret.remove();
+      }
+    }
+  }
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+/** Split text into units, whitespace runs kept as their own tokens */
+function tokens(text, by) {
+  if (by === "word") return text.split(/(\s+)/).filter(Boolean);
+  const out = [];
+  text.split(/(\s+)/).filter(Boolean).forEach((part) => {
+    if (/^\s+$/.test(part)) out.push(part);
+    else out.push(...graphemes(part));
+  });
+  return out;
+}
+
+const SEGMENTER = typeof Intl !== "undefined" && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+  : null;
+
+/** User-perceived characters (emoji, combining accents stay whole) */
+function graphemes(str) {
+  if (SEGMENTER) return Array.from(SEGMENTER.segment(str), s => s.segment);
+  return Array.from(str);
+}
+
+/** Reduced motion: text appears whole at its reveal time */
+const REDUCED_MOTION = typeof matchMedia === "function" ? matchMedia("(prefers-reduced-motion: reduce)") : null;
+
+/* UMD fallback */
+if (typeof window !== "undefined" && !window.ZdkTypewriter) {
+  window.ZdkTypewriter = ZdkTypewriter;
+}
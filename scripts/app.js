@@ -1,75 +1,167 @@
 // scripts/app.js
-import { detectProjectFromURL, loadProject, getStageMount, showErrorOverlay } from "../engine/loader.js";
+import { detectProjectFromURL, loadProject, watchProject, getStageMount, showErrorOverlay } from "../engine/loader.js";
 import { ZdkCore } from "../engine/core.js";
+import { ZdkCanvas, saveRecording } from "../engine/canvas.js";
 import { applyTheme } from "../engine/presets.js";
+import { exportCaptions } from "../engine/captions.js";
+import { exportBundle, zipFiles, saveBundle, BUNDLE_EXT } from "../engine/bundle.js";
+import { mountControls } from "./controls.js";
+import { mountStoryboard } from "./storyboard.js";
 
 async function bootstrap() {
   const params = new URLSearchParams(window.location.search);
 
   const project   = detectProjectFromURL("demo");
+  const bundle    = params.get("bundle") || null;   // .zdk URL instead of projects/<name>/ (or drop a .zdk on the page)
   const debug     = isTrue(params.get("debug"));
   const loop      = isTrue(params.get("loop"));     // optional replay
   const preload   = params.get("preload") || "all"; // "all" | "none"
   const themeQ    = params.get("theme");            // "light" | "dark" | null
   const delay     = Math.max(0, Number(params.get("delay") || 0)) * 1000;
+  const autoplay  = params.get("autoplay") !== "0"; // 0 → virtual clock, driven by core.renderAt(t)
+  const controls  = isTrue(params.get("controls")); // preview bar below the frame (authoring)
+  const watch     = isTrue(params.get("watch"));    // live-reload manifest.json edits (authoring)
+  const storyboard = isTrue(params.get("storyboard")); // contact sheet of final frames (review)
+  const format    = params.get("format") || undefined;  // "9:16" | "4:5" | "1:1" | "16:9" (or 16x9); default manifest.format
+  const lang      = params.get("lang") || undefined;    // language cut, e.g. "en" | "es"; default manifest.lang
+  const onMissing = params.get("onMissing") || "placeholder"; // failed media: "error" | "placeholder" | "skip-scene"
+  const sanitize  = params.get("sanitize") || "permissive";   // manifest html: "strict" fails on anything outside the allowlist
+  const renderer  = params.get("renderer") === "canvas" ? "canvas" : "dom"; // canvas: in-page WebM recording (controls "rec", __zdk.record())
+  const grain     = params.get("grain") !== "0";
+  const vignette  = params.get("vignette") !== "0";
+  const capture   = isTrue(params.get("capture"));  // frame fills the viewport, no chrome (scripts/zdk.mjs render)
+
+  if (capture) document.body.classList.add("capture-mode");
 
   try {
     const mount = getStageMount();
 
-    // Optional FX overlays (enabled by default; disable with ?grain=0&vignette=0)
-    if (params.get("grain") !== "0") {
+    // Optional FX overlays (enabled by default; disable with ?grain=0&vignette=0); the canvas draws its own
+    if (grain && renderer === "dom") {
       const grain = document.createElement("div");
       grain.className = "fx-grain";
       mount.appendChild(grain);
     }
-    if (params.get("vignette") !== "0") {
+    if (vignette && renderer === "dom") {
       const vignette = document.createElement("div");
       vignette.className = "fx-vignette";
       mount.appendChild(vignette);
     }
 
     // Load project + assets
-    const { manifest } = await loadProject(project, {
+    const loadOpts = {
       preload,
       injectPreload: true,
       concurrency: 4,
       retry: 2,
       timeoutMs: 12000,
+      lang,
+      onMissing,
       debug
-    });
+    };
+    const { manifest, paths, report } = await loadProject(bundle || project, loadOpts);
+    if (manifest.lang) document.documentElement.lang = manifest.lang;
 
     // Theme override via URL
-    const chosenTheme = themeQ === "dark" ? "dark" : themeQ === "light" ? "light" : manifest.theme;
-    const finalManifest = applyTheme(manifest, chosenTheme);
+    const themed = (m) => applyTheme(m, themeQ === "dark" ? "dark" : themeQ === "light" ? "light" : m.theme);
+    const finalManifest = themed(manifest);
 
     // Wait for fonts (to avoid reflow mid-capture)
     if (document.fonts && document.fonts.ready) {
       try { await document.fonts.ready; } catch {}
     }
 
+    // Storyboard replaces the player: one finalized thumbnail per scene
+    if (storyboard) {
+      const board = await mountStoryboard(finalManifest, { title: project, format, debug, sanitize });
+      window.__zdk = { storyboard: board, manifest: finalManifest, project, debug };
+      return;
+    }
+
     // Optional start delay (seconds)
     if (delay) await sleep(delay);
 
-    // Start playback
-    let core = new ZdkCore({ mount, manifest: finalManifest, debug });
-    core.start();
-
-    // Optional loop (useful for repeated takes)
-    if (loop) {
-      const total = calcTotalDuration(finalManifest);
-      scheduleLoop(total, () => {
-        core.stop(true);
-        core = new ZdkCore({ mount, manifest: finalManifest, debug });
-        core.start();
-        scheduleLoop(total, arguments.callee); // reschedule
-      });
+    // Start playback (or hold frame 0 for a frame-by-frame driver)
+    const core = renderer === "canvas"
+      ? new ZdkCanvas({ mount, manifest: finalManifest, format, debug, sanitize, grain, vignette })
+      : new ZdkCore({ mount, manifest: finalManifest, format, debug, sanitize });
+
+    // Optional loop (useful for repeated takes): small grace so the last frame breathes
+    if (loop && autoplay) {
+      core.on("ended", () => setTimeout(() => core.start(), 800));
     }
 
-    // Expose for quick console pokes
-    window.__zdk = { core, manifest: finalManifest, project, debug };
+    if (autoplay) core.start();
+    else await core.renderAt(0);
+
+    let controlsUI = controls ? mountControls(core, { filename: project }) : null;
+
+    // Expose for quick console pokes; __zdk.captions("srt") → sidecar text of the current manifest,
+    // __zdk.bundle() → downloads projects/<project>/ as <project>.zdk (a bundle on screen is re-zipped as loaded),
+    // __zdk.record() → plays the story once and downloads <project>.webm (?renderer=canvas)
+    let loadedPaths = paths;
+    window.__zdk = {
+      core, manifest: finalManifest, project, debug, report, // report: preload outcome per asset
+      captions: (format = "vtt", opts) => exportCaptions(window.__zdk.manifest, format, opts),
+      bundle: async () => {
+        const b = loadedPaths.bundle;
+        const zip = b ? await zipFiles([...b.files].map(([path, data]) => ({ path, data }))) : await exportBundle(project);
+        saveBundle(zip, `${b ? b.name.replace(BUNDLE_EXT, "") : project}.zdk`);
+      },
+      record: renderer === "canvas" ? async (opts) => saveRecording(await core.record(opts), `${project}.webm`) : undefined
+    };
+
+    // Dropping a .zdk bundle swaps the story in place (offline hand-off / archive review)
+    document.addEventListener("dragover", (e) => e.preventDefault());
+    document.addEventListener("drop", async (e) => {
+      const file = Array.from(e.dataTransfer?.files || []).find(f => BUNDLE_EXT.test(f.name));
+      if (!file) return;
+      e.preventDefault();
+      try {
+        const next = await loadProject(file, loadOpts);
+        // the dropped story replaces the project: its edits must not swap it back
+        window.__zdk.watcher?.stop();
+        window.__zdk.watcher = null;
+        const updated = themed(next.manifest);
+        await core.updateManifest(updated);
+        await core.seek(0);
+        loadedPaths.bundle?.revoke(); // blob: URLs of the bundle shown before
+        loadedPaths = next.paths;
+        window.__zdk.manifest = updated;
+        if (controlsUI) {
+          controlsUI.destroy();
+          controlsUI = mountControls(core, { filename: project });
+        }
+      } catch (err) {
+        console.warn("[App] bundle:", err?.message || err);
+      }
+    });
+
+    // Live-reload: apply manifest edits in place, keeping the current time
+    if (watch && !bundle) {
+      window.__zdk.watcher = watchProject(project, {
+        preload,
+        timeoutMs: 12000,
+        lang,
+        onMissing,
+        debug,
+        report, // earlier preload outcomes stay applied across edits
+        onChange: async ({ manifest: next }) => {
+          const updated = themed(next);
+          await core.updateManifest(updated);
+          window.__zdk.manifest = updated;
+          if (controlsUI) {
+            controlsUI.destroy(); // scene boundaries and markers moved
+            controlsUI = mountControls(core, { filename: project });
+          }
+        },
+        onError: (err) => console.warn("[App] live-reload:", err?.message || err)
+      });
+    }
   } catch (err) {
     console.error(err);
-    const mount = document.querySelector(".frame-916") || document.body;
+    window.__zdk = { error: err?.message || String(err), project }; // lets headless drivers fail fast
+    const mount = document.querySelector("[data-zdk-stage], .frame-916") || document.body;
     showErrorOverlay(err?.message || String(err), mount);
   }
 }
@@ -84,21 +176,4 @@ function sleep(ms) {
   return new Promise(r => setTimeout(r, ms));
 }
 
-function calcTotalDuration(manifest) {
-  const scenes = manifest?.scenes || [];
-  let end = 0;
-  for (let i = 0; i < scenes.length; i++) {
-    const t = Number(scenes[i].t ?? end);
-    const d = Number(scenes[i].d || 0);
-    end = Math.max(end, t + d);
-  }
-  return end;
-}
-
-function scheduleLoop(totalSeconds, cb) {
-  // small grace so the last frame breathes before restarting
-  const ms = Math.max(0, (totalSeconds + 0.8) * 1000);
-  setTimeout(cb, ms);
-}
-
 document.addEventListener("DOMContentLoaded", bootstrap);
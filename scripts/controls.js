@@ -0,0 +1,302 @@
+// scripts/controls.js
+/**
+ * Zodika Preview Controls (authoring only, enable with ?controls=1)
+ * - lives outside the 9:16 capture frame (bottom bar), never recorded
+ * - play/pause, scrubbable timeline with scene boundaries and text/callout markers
+ * - jump-to-scene, A/B loop region, playback-speed selector
+ * - keyboard: space = play/pause, ←/→ = ∓1s (shift: ∓0.1s), [ / ] = set loop A/B
+ * - "● rec" when the player can record itself (ZdkCanvas): plays the story once, downloads a WebM
+ *
+ * Usage (scripts/app.js):
+ *   import { mountControls } from "./controls.js";
+ *   mountControls(core);
+ */
+
+import { saveRecording } from "../engine/canvas.js";
+
+const RATES = [0.25, 0.5, 1, 1.5, 2];
+
+/**
+ * Build the control bar for a ZdkCore (or ZdkCanvas) instance.
+ * @param {import("../engine/core.js").ZdkCore|import("../engine/canvas.js").ZdkCanvas} core
+ * @param {Object} [opts]
+ * @param {HTMLElement} [opts.parent=document.body]
+ * @param {string} [opts.filename="story"] - recording name (without .webm)
+ * @returns {{ el: HTMLElement, destroy: () => void }}
+ */
+export function mountControls(core, { parent = document.body, filename = "story" } = {}) {
+  const scenes = core.manifest.scenes;
+  const total = core.getDuration();
+  const loop = { a: null, b: null, on: false };
+  let ended = false;
+
+  document.body.classList.add("has-controls");
+
+  // ---- DOM ------------------------------------------------------------------
+  const bar = el("div", "zdk-controls");
+  bar.setAttribute("role", "toolbar");
+  bar.setAttribute("aria-label", "Preview controls");
+
+  const playBtn = el("button", "zdk-controls__play");
+  playBtn.type = "button";
+
+  const time = el("span", "zdk-controls__time");
+
+  const track = el("div", "zdk-controls__track");
+  track.setAttribute("role", "slider");
+  track.setAttribute("aria-label", "Timeline");
+  track.setAttribute("aria-valuemin", "0");
+  track.setAttribute("aria-valuemax", total.toFixed(2));
+  track.tabIndex = 0;
+
+  const region = el("div", "zdk-controls__loop");
+  track.appendChild(region);
+
+  scenes.forEach((s, i) => {
+    const seg = el("div", "zdk-controls__scene");
+    seg.style.left = pct(s.t);
+    seg.style.width = pct(s.d);
+    seg.title = `scene ${i + 1} · ${s.t.toFixed(1)}s · ${s.d.toFixed(1)}s`;
+    seg.textContent = String(i + 1);
+    track.appendChild(seg);
+
+    (s.text || []).forEach((b) => track.appendChild(marker("text", s.t + (b.at ?? 0), b.role || "body")));
+    (s.callouts || []).forEach((c) => track.appendChild(marker("callout", s.t + (c.at ?? 0), "callout")));
+  });
+
+  const head = el("div", "zdk-controls__head");
+  track.appendChild(head);
+
+  const sceneSel = el("select", "zdk-controls__select");
+  sceneSel.setAttribute("aria-label", "Jump to scene");
+  scenes.forEach((s, i) => {
+    const o = document.createElement("option");
+    o.value = String(i);
+    o.textContent = `scene ${i + 1} · ${s.t.toFixed(1)}s`;
+    sceneSel.appendChild(o);
+  });
+
+  const rateSel = el("select", "zdk-controls__select");
+  rateSel.setAttribute("aria-label", "Playback speed");
+  RATES.forEach((r) => {
+    const o = document.createElement("option");
+    o.value = String(r);
+    o.textContent = `${r}×`;
+    if (r === core.getRate()) o.selected = true;
+    rateSel.appendChild(o);
+  });
+
+  const aBtn = button("A", "Set loop start at playhead ([)");
+  const bBtn = button("B", "Set loop end at playhead (])");
+  const loopBtn = button("loop", "Toggle A/B loop");
+  loopBtn.setAttribute("aria-pressed", "false");
+
+  const recBtn = typeof core.record === "function" ? button("● rec", "Record the whole story as WebM") : null;
+  recBtn?.setAttribute("aria-pressed", "false");
+
+  bar.append(playBtn, time, track, sceneSel, aBtn, bBtn, loopBtn, rateSel, ...(recBtn ? [recBtn] : []));
+  parent.appendChild(bar);
+
+  // ---- behaviour ------------------------------------------------------------
+  const seekQueue = coalesce((t) => core.seek(t));
+
+  playBtn.addEventListener("click", togglePlay);
+  sceneSel.addEventListener("change", () => {
+    const s = scenes[Number(sceneSel.value)];
+    if (s) jump(s.t);
+  });
+  rateSel.addEventListener("change", () => core.setRate(Number(rateSel.value)));
+  recBtn?.addEventListener("click", record);
+  aBtn.addEventListener("click", () => setLoop("a", core.getTime()));
+  bBtn.addEventListener("click", () => setLoop("b", core.getTime()));
+  loopBtn.addEventListener("click", () => {
+    loop.on = !loop.on && loop.a != null && loop.b != null && loop.b > loop.a;
+    renderLoop();
+  });
+
+  // scrubbing: pause while dragging, resume on release if it was playing
+  let scrub = null;
+  track.addEventListener("pointerdown", async (e) => {
+    track.setPointerCapture(e.pointerId);
+    scrub = { wasPlaying: core.isPlaying() };
+    if (scrub.wasPlaying) await core.pause();
+    seekQueue(timeAt(e));
+  });
+  track.addEventListener("pointermove", (e) => {
+    if (scrub) seekQueue(timeAt(e));
+  });
+  const endScrub = async () => {
+    if (!scrub) return;
+    const { wasPlaying } = scrub;
+    scrub = null;
+    await seekQueue.idle();
+    if (wasPlaying) core.resume();
+  };
+  track.addEventListener("pointerup", endScrub);
+  track.addEventListener("pointercancel", endScrub);
+
+  const onKey = (e) => {
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+    const step = e.shiftKey ? 0.1 : 1;
+    switch (e.key) {
+      case " ":          e.preventDefault(); togglePlay(); break;
+      case "ArrowLeft":  e.preventDefault(); jump(core.getTime() - step); break;
+      case "ArrowRight": e.preventDefault(); jump(core.getTime() + step); break;
+      case "[":          setLoop("a", core.getTime()); break;
+      case "]":          setLoop("b", core.getTime()); break;
+      default:
+    }
+  };
+  document.addEventListener("keydown", onKey);
+
+  const offs = [
+    core.on("tick", ({ time: t }) => {
+      ended = false;
+      renderTime(t);
+      if (loop.on && core.isPlaying() && t >= loop.b) jump(loop.a);
+    }),
+    core.on("scenechange", ({ to }) => {
+      if (to >= 0) sceneSel.value = String(to);
+    }),
+    core.on("ended", () => {
+      ended = true;
+      renderPlay();
+    })
+  ];
+
+  renderTime(core.getTime());
+  renderLoop();
+
+  // ---- helpers --------------------------------------------------------------
+  async function togglePlay() {
+    if (core.isRecording?.()) return;
+    if (core.isPlaying()) await core.pause();
+    else if (ended) await core.start();
+    else await core.resume();
+    renderPlay();
+  }
+
+  function jump(t) {
+    if (core.isRecording?.()) return Promise.resolve();
+    ended = false;
+    return seekQueue(Math.max(0, Math.min(total, t)));
+  }
+
+  /** Real-time take of the whole story; the bar stays inert until the file is saved */
+  async function record() {
+    if (core.isRecording()) return;
+    recBtn.disabled = true;
+    recBtn.setAttribute("aria-pressed", "true");
+    try {
+      const blob = await core.record({
+        onProgress: (p) => { recBtn.textContent = `● ${Math.round(p * 100)}%`; }
+      });
+      saveRecording(blob, `${filename}.webm`);
+    } catch (err) {
+      console.warn("[Controls] record:", err?.message || err);
+    } finally {
+      recBtn.disabled = false;
+      recBtn.textContent = "● rec";
+      recBtn.setAttribute("aria-pressed", "false");
+      renderPlay();
+    }
+  }
+
+  function setLoop(key, t) {
+    loop[key] = Math.max(0, Math.min(total, t));
+    if (loop.a != null && loop.b != null && loop.b <= loop.a) loop.on = false;
+    renderLoop();
+  }
+
+  function timeAt(e) {
+    const r = track.getBoundingClientRect();
+    return Math.max(0, Math.min(1, (e.clientX - r.left) / r.width)) * total;
+  }
+
+  function renderTime(t) {
+    head.style.left = pct(t);
+    time.textContent = `${t.toFixed(1)} / ${total.toFixed(1)}s`;
+    track.setAttribute("aria-valuenow", t.toFixed(2));
+    renderPlay();
+  }
+
+  function renderPlay() {
+    const playing = core.isPlaying();
+    playBtn.textContent = playing ? "❚❚" : "▶";
+    playBtn.setAttribute("aria-label", playing ? "Pause" : "Play");
+  }
+
+  function renderLoop() {
+    const a = loop.a ?? 0;
+    const b = loop.b ?? total;
+    region.style.left = pct(a);
+    region.style.width = pct(Math.max(0, b - a));
+    region.hidden = loop.a == null && loop.b == null;
+    region.classList.toggle("is-on", loop.on);
+    loopBtn.setAttribute("aria-pressed", String(loop.on));
+    aBtn.title = `Loop start: ${loop.a == null ? "—" : `${loop.a.toFixed(1)}s`} ([)`;
+    bBtn.title = `Loop end: ${loop.b == null ? "—" : `${loop.b.toFixed(1)}s`} (])`;
+  }
+
+  function marker(kind, t, label) {
+    const m = el("div", `zdk-controls__marker zdk-controls__marker--${kind}`);
+    m.style.left = pct(t);
+    m.title = `${label} · ${t.toFixed(1)}s`;
+    return m;
+  }
+
+  function pct(t) {
+    return `${total > 0 ? (t / total) * 100 : 0}%`;
+  }
+
+  return {
+    el: bar,
+    destroy() {
+      offs.forEach(off => off());
+      document.removeEventListener("keydown", onKey);
+      document.body.classList.remove("has-controls");
+      bar.remove();
+    }
+  };
+}
+
+/* ------------------------------- internals -------------------------------- */
+
+function el(tag, className) {
+  const node = document.createElement(tag);
+  node.className = className;
+  return node;
+}
+
+function button(label, title) {
+  const b = el("button", "zdk-controls__btn");
+  b.type = "button";
+  b.textContent = label;
+  b.title = title;
+  return b;
+}
+
+/**
+ * Run async 'fn' for the latest argument only: calls made while one is in flight
+ * collapse into a single follow-up (keeps scrubbing responsive).
+ */
+function coalesce(fn) {
+  let pending = null;
+  let running = null;
+  const run = (arg) => {
+    pending = { arg };
+    if (!running) {
+      running = (async () => {
+        while (pending) {
+          const { arg: next } = pending;
+          pending = null;
+          await fn(next);
+        }
+        running = null;
+      })();
+    }
+    return running;
+  };
+  run.idle = () => running || Promise.resolve();
+  return run;
+}
@@ -0,0 +1,155 @@
+// scripts/storyboard.js
+/**
+ * Zodika Storyboard (review only, enable with ?storyboard=1)
+ * - one thumbnail per scene (in the manifest format), rendered in its final state through ZdkCore.stop(true)
+ * - labels: scene index, start, duration, transitions, Ken Burns preset
+ * - print stylesheet (styles/brand.css) lays the grid out on A4 → "Save as PDF"
+ *
+ * Usage (scripts/app.js):
+ *   import { mountStoryboard } from "./storyboard.js";
+ *   await mountStoryboard(manifest, { title: project });
+ */
+
+import { ZdkCore } from "../engine/core.js";
+import { resolveFormat } from "../engine/formats.js";
+
+/** Frames are laid out with this long side, then scaled down (type sizes are px/vw based) */
+const FRAME_LONG = 720;
+
+/**
+ * Render the storyboard for a (loader-normalized) manifest.
+ * @param {Object} manifest
+ * @param {Object} [opts]
+ * @param {string} [opts.title] - heading (project name)
+ * @param {number} [opts.thumbWidth=180] - thumbnail width in CSS px (9:16; other formats keep the same long side)
+ * @param {string} [opts.format] - overrides manifest.format
+ * @param {HTMLElement} [opts.parent=document.body]
+ * @param {boolean} [opts.debug=false]
+ * @param {"permissive"|"strict"} [opts.sanitize="permissive"] - html allowlist mode (see engine/sanitize.js)
+ * @returns {Promise<{ el: HTMLElement, destroy: () => void }>} resolves once every frame is ready
+ */
+export async function mountStoryboard(manifest, { title = "", thumbWidth = 180, format, parent = document.body, debug = false, sanitize = "permissive" } = {}) {
+  const fmt = resolveFormat(format || manifest.format);
+  const frameSize = fit(FRAME_LONG, fmt.ratio);
+  const thumbSize = fit(thumbWidth * 16 / 9, fmt.ratio);
+  const scale = thumbSize.w / frameSize.w;
+  const scenes = chain(manifest.scenes);
+  const total = scenes.reduce((end, s) => Math.max(end, s.t + s.d), 0);
+
+  document.body.classList.add("storyboard-mode");
+
+  const root = el("main", "zdk-storyboard");
+  const head = el("header", "zdk-storyboard__head");
+  const h1 = el("h1", "zdk-storyboard__title");
+  h1.textContent = title || "storyboard";
+  const meta = el("p", "zdk-storyboard__meta");
+  meta.textContent = `${scenes.length} scenes · ${total.toFixed(1)}s · ${fmt.name}`;
+  const printBtn = el("button", "zdk-storyboard__print");
+  printBtn.type = "button";
+  printBtn.textContent = "print / PDF";
+  printBtn.addEventListener("click", () => window.print());
+  head.append(h1, meta, printBtn);
+
+  const grid = el("ol", "zdk-storyboard__grid");
+  grid.style.setProperty("--sb-w", `${thumbSize.w}px`);
+  grid.style.setProperty("--sb-ar", `${fmt.ratio[0]} / ${fmt.ratio[1]}`);
+  root.append(head, grid);
+  parent.appendChild(root);
+
+  const cores = [];
+  // one scene at a time: keeps decoding/memory flat on long stories
+  for (const [i, scene] of scenes.entries()) {
+    const cell = el("li", "zdk-storyboard__cell");
+    const thumb = el("div", "zdk-storyboard__thumb");
+    const frame = el("div", "frame-916 zdk-storyboard__frame");
+    frame.style.width = `${frameSize.w}px`;
+    frame.style.height = `${frameSize.h}px`;
+    thumb.appendChild(frame);
+
+    const label = el("p", "zdk-storyboard__label");
+    label.innerHTML = [
+      `<strong>${i + 1}</strong>`,
+      `${scene.t.toFixed(1)}s`,
+      `${scene.d.toFixed(1)}s`,
+      `${escapeHTML(scene.transitionIn || "crossfade")} → ${escapeHTML(scene.transitionOut || scene.transitionIn || "crossfade")}`,
+      `kb ${escapeHTML(kbLabel(scene.media))}`
+    ].join(" · ");
+    cell.append(thumb, label);
+    grid.appendChild(cell);
+
+    // the scene alone, as the last (and only) one: stop(true) mounts it finalized
+    const single = { ...manifest, scenes: [{ ...scene, t: 0, narration: undefined }] };
+    delete single.audio;
+    const core = new ZdkCore({ mount: frame, manifest: single, format: fmt.name, debug, sanitize });
+    cores.push(core);
+    try {
+      await core.stop(true);
+    } catch (err) {
+      cell.classList.add("is-error");
+      if (debug) console.warn(`[Storyboard] scene ${i + 1}:`, err?.message || err);
+    }
+    settle(frame);
+    // scale only now: leaders are measured in unscaled layout
+    frame.style.transform = `scale(${scale})`;
+    cell.classList.add("is-ready");
+  }
+  document.body.classList.add("storyboard-ready");
+
+  return {
+    el: root,
+    destroy() {
+      cores.forEach(c => c.stop());
+      document.body.classList.remove("storyboard-mode", "storyboard-ready");
+      root.remove();
+    }
+  };
+}
+
+/* ------------------------------- internals -------------------------------- */
+
+/** Box with the given long side for a [w, h] ratio */
+function fit(long, [rw, rh]) {
+  return rw >= rh
+    ? { w: Math.round(long), h: Math.round(long * rh / rw) }
+    : { w: Math.round(long * rw / rh), h: Math.round(long) };
+}
+
+/** Chain 't' like ZdkCore does, so labels show real start times */
+function chain(scenes = []) {
+  let cursor = 0;
+  return scenes.map((s) => {
+    const t = typeof s.t === "number" ? s.t : cursor;
+    cursor = t + s.d;
+    return { ...s, t };
+  });
+}
+
+/** Jump reveal transitions to their end state (infinite ones, like a caret blink, are left alone) */
+function settle(frame) {
+  if (typeof frame.getAnimations !== "function") return;
+  frame.getAnimations({ subtree: true }).forEach((a) => {
+    const end = a.effect?.getComputedTiming().endTime;
+    if (typeof end === "number" && isFinite(end)) a.finish();
+  });
+}
+
+/** Preset name, "path" for custom from/to or scale/pan runs; "@ x,y" marks a focal point */
+function kbLabel(media = {}) {
+  const kb = typeof media.kenburns === "string" ? media.kenburns : media.kenburns ? "path" : "center";
+  const f = media.focus;
+  return f ? `${kb} @ ${Number(f.x).toFixed(2)},${Number(f.y).toFixed(2)}` : kb;
+}
+
+function el(tag, className) {
+  const node = document.createElement(tag);
+  node.className = className;
+  return node;
+}
+
+function escapeHTML(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
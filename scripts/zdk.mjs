@@ -0,0 +1,583 @@
+#!/usr/bin/env node
+// scripts/zdk.mjs
+/**
+ * Zodika CLI — headless, frame-exact renders of a project (Node 18+, no npm dependencies)
+ * - compile: Markdown script → manifest.json (engine/script.js), schema issues mapped to script lines
+ * - batch: template manifest + JSON dataset → one project per item under projects/ (engine/template.js),
+ *   every variant checked with the loader's schema validation before anything is written
+ * - serves the repo on 127.0.0.1 and opens index.html?project=<name>&autoplay=0 in a local
+ *   headless Chromium (DevTools protocol over --remote-debugging-pipe)
+ * - the page loads exactly like app.js does for a viewer: loadProject() preloads every asset,
+ *   document.fonts.ready is awaited, then frame 0 is held on the virtual clock
+ * - steps core.renderAt(i / fps) and screenshots the frame at the format's render size
+ *   (1080×1920 for 9:16, see engine/formats.js), piping PNGs to a local ffmpeg
+ * - output: .mp4 (H.264, yuv420p), .webm (VP9) or a PNG sequence (--png, or an --out without extension)
+ * - video only: the soundtrack is not mixed in (mux it with ffmpeg afterwards if needed)
+ *
+ * Usage:
+ *   node scripts/zdk.mjs render post1 --fps 30 --out post1.mp4
+ *   node scripts/zdk.mjs render post1 --format 1:1 --lang es --from 6 --to 15.5 --out clip.webm
+ *   node scripts/zdk.mjs render post1 --png --out frames/        // frames/post1-00000.png, …
+ *   node scripts/zdk.mjs compile drafts/post2.md --out projects/post2/manifest.json
+ *   node scripts/zdk.mjs batch horoscopo --data data/signs.json --name "horoscopo-{{sign.slug}}"
+ *
+ * Binaries: --chrome <path> (or CHROME_PATH), --ffmpeg <path> (or FFMPEG_PATH); PATH is searched otherwise.
+ */
+
+import { spawn } from "node:child_process";
+import { createServer } from "node:http";
+import { createReadStream, existsSync, statSync } from "node:fs";
+import { cp, mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { mimeOf } from "../engine/bundle.js";
+import { resolveFormat } from "../engine/formats.js";
+import { compileScript, lineOf } from "../engine/script.js";
+import { validateManifest, formatIssue } from "../engine/schema.js";
+import { expandTemplate } from "../engine/template.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/** Brand layout basis: the preview frame's short side in CSS px (see styles/brand.css) */
+const LAYOUT_SHORT_SIDE = 540;
+
+const LOAD_TIMEOUT_MS = 60000;
+
+const CHROME_CANDIDATES = [
+  "chromium", "chromium-browser", "google-chrome", "google-chrome-stable", "chrome",
+  "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
+  "/Applications/Chromium.app/Contents/MacOS/Chromium"
+];
+
+const HELP = `Usage: zdk render <project> [options]
+       zdk compile <script.md> [--out manifest.json]   (stdout without --out)
+       zdk batch <template> --data <data.json> [--each sign] [--name "<template>-{{sign.slug}}"] [--force]
+                          (template: a project name, whose images are copied, or a manifest .json)
+
+  --out <file|dir>   .mp4 | .webm | directory for a PNG sequence (default <project>.mp4)
+  --fps <n>          frames per second (default 30)
+  --png              write a PNG sequence instead of a video
+  --format <name>    9:16 | 4:5 | 1:1 | 16:9 (default manifest.format)
+  --lang <code>      language cut (default manifest.lang)
+  --theme <name>     light | dark
+  --from <s>         start time in seconds (default 0)
+  --to <s>           end time in seconds (default the story's duration)
+  --crf <n>          encoder quality (default 18 for mp4, 32 for webm)
+  --port <n>         local server port (default: any free port)
+  --chrome <path>    Chromium/Chrome binary (or CHROME_PATH)
+  --ffmpeg <path>    ffmpeg binary (or FFMPEG_PATH)
+  --debug            forward the page's console to stderr
+`;
+
+/**
+ * Render a project to a video file or PNG sequence.
+ * @param {Object} opts
+ * @param {string} opts.project - folder name under projects/
+ * @param {string} [opts.out] - "<project>.mp4" by default
+ * @param {number} [opts.fps=30]
+ * @param {boolean} [opts.png=false]
+ * @param {string} [opts.format] - overrides manifest.format
+ * @param {string} [opts.lang]
+ * @param {string} [opts.theme]
+ * @param {number} [opts.from=0] - seconds
+ * @param {number} [opts.to] - seconds; default the story's duration
+ * @param {number} [opts.crf]
+ * @param {number} [opts.port=0]
+ * @param {string} [opts.chrome]
+ * @param {string} [opts.ffmpeg]
+ * @param {boolean} [opts.debug=false]
+ * @param {(p: { frame: number, frames: number }) => void} [opts.onProgress]
+ * @returns {Promise<{ out: string, frames: number, duration: number, format: string }>}
+ */
+export async function render({
+  project, out, fps = 30, png = false, format, lang, theme, from = 0, to, crf,
+  port = 0, chrome, ffmpeg, debug = false, onProgress
+} = {}) {
+  if (!project) throw new Error("render: missing project name");
+  if (!(fps > 0)) throw new Error(`render: invalid --fps "${fps}"`);
+  out = out || `${project}.mp4`;
+  const ext = path.extname(out).toLowerCase();
+  const sequence = png || !ext;
+  if (!sequence && ext !== ".mp4" && ext !== ".webm") {
+    throw new Error(`render: unsupported output "${out}" (use .mp4, .webm or a directory with --png)`);
+  }
+
+  const chromeBin = await findBinary(chrome || process.env.CHROME_PATH, CHROME_CANDIDATES, "Chromium (--chrome or CHROME_PATH)");
+  const ffmpegBin = sequence ? null : await findBinary(ffmpeg || process.env.FFMPEG_PATH, ["ffmpeg"], "ffmpeg (--ffmpeg or FFMPEG_PATH)");
+
+  // First guess of the frame size from the manifest on disk; the page's resolved format wins
+  let fmt = resolveFormat(format || (await readManifestFormat(project)));
+
+  const server = await serveStatic(ROOT, port);
+  const profile = await mkdtemp(path.join(tmpdir(), "zdk-chrome-"));
+  const browser = launchChrome(chromeBin, profile);
+  let encoder = null;
+
+  try {
+    const cdp = browser.cdp;
+    await cdp.send("Target.setDiscoverTargets", { discover: false }).catch(() => {});
+    const { targetId } = await cdp.send("Target.createTarget", { url: "about:blank" });
+    const { sessionId } = await cdp.send("Target.attachToTarget", { targetId, flatten: true });
+    const page = (method, params) => cdp.send(method, params, sessionId);
+
+    if (debug) {
+      await page("Runtime.enable");
+      cdp.on("Runtime.consoleAPICalled", ({ type, args }) => {
+        console.error(`[page:${type}]`, args.map(a => a.value ?? a.description ?? "").join(" "));
+      });
+      cdp.on("Runtime.exceptionThrown", ({ exceptionDetails: d }) => {
+        console.error("[page:exception]", d.exception?.description || d.text);
+      });
+    }
+
+    await setViewport(page, fmt);
+
+    const query = new URLSearchParams({ project, autoplay: "0", preload: "all", capture: "1" });
+    if (format) query.set("format", format);
+    if (lang) query.set("lang", lang);
+    if (theme) query.set("theme", theme);
+    const url = `http://127.0.0.1:${server.address().port}/index.html?${query}`;
+    await page("Page.navigate", { url });
+
+    // app.js sets window.__zdk once assets are preloaded, fonts are ready and frame 0 is rendered
+    const info = await waitForPlayer(page);
+    if (info.format !== fmt.name) {
+      fmt = resolveFormat(info.format);
+      await setViewport(page, fmt);
+      await evaluate(page, "window.__zdk.core.renderAt(0).then(() => true)");
+    }
+
+    const start = Math.max(0, Number(from) || 0);
+    const end = Math.min(info.duration, to == null ? info.duration : Number(to));
+    if (!(end > start)) throw new Error(`render: empty range ${start}s → ${end}s (duration ${info.duration}s)`);
+    const frames = Math.max(1, Math.round((end - start) * fps));
+
+    if (sequence) await mkdir(out, { recursive: true });
+    else encoder = spawnEncoder(ffmpegBin, { fps, out, ext, crf });
+
+    for (let i = 0; i < frames; i++) {
+      const t = start + i / fps;
+      await evaluate(page, `window.__zdk.core.renderAt(${t}).then(() => true)`);
+      const { data } = await page("Page.captureScreenshot", {
+        format: "png",
+        clip: { x: 0, y: 0, width: fmt.w / scaleOf(fmt), height: fmt.h / scaleOf(fmt), scale: 1 },
+        captureBeyondViewport: false
+      });
+      const buf = Buffer.from(data, "base64");
+      if (sequence) await writeFile(path.join(out, `${project}-${String(i).padStart(5, "0")}.png`), buf);
+      else await encoder.write(buf);
+      onProgress?.({ frame: i + 1, frames });
+    }
+
+    if (encoder) await encoder.close();
+    encoder = null;
+    return { out, frames, duration: frames / fps, format: fmt.name };
+  } finally {
+    encoder?.abort();
+    await browser.close();
+    await new Promise(r => server.close(r));
+    await rm(profile, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Entry point: `zdk <command> [args]`.
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Promise<number>} exit code
+ */
+export async function main(argv) {
+  const { _: [command, project], ...flags } = parseArgs(argv);
+  if (!command || flags.help || command === "help") {
+    process.stdout.write(HELP);
+    return command || flags.help ? 0 : 1;
+  }
+  if (command === "compile") return compile(project, flags);
+  if (command === "batch") return batch(project, flags);
+  if (command !== "render") {
+    console.error(`zdk: unknown command "${command}"\n\n${HELP}`);
+    return 1;
+  }
+
+  const tty = process.stderr.isTTY;
+  let last = -1;
+  const result = await render({
+    project,
+    out: flags.out,
+    fps: flags.fps == null ? 30 : Number(flags.fps),
+    png: !!flags.png,
+    format: flags.format,
+    lang: flags.lang,
+    theme: flags.theme,
+    from: flags.from == null ? 0 : Number(flags.from),
+    to: flags.to == null ? undefined : Number(flags.to),
+    crf: flags.crf == null ? undefined : Number(flags.crf),
+    port: flags.port == null ? 0 : Number(flags.port),
+    chrome: flags.chrome,
+    ffmpeg: flags.ffmpeg,
+    debug: !!flags.debug,
+    onProgress: ({ frame, frames }) => {
+      const pct = Math.floor((frame / frames) * 100);
+      if (pct === last) return;
+      last = pct;
+      if (tty) process.stderr.write(`\rrendering ${project}: ${frame}/${frames} frames (${pct}%)`);
+      else if (pct % 10 === 0) process.stderr.write(`rendering ${project}: ${pct}%\n`);
+    }
+  });
+  if (tty) process.stderr.write("\n");
+  console.error(`wrote ${result.out} (${result.frames} frames, ${result.duration.toFixed(2)}s, ${result.format})`);
+  return 0;
+}
+
+/* -------------------------------- internals -------------------------------- */
+
+/**
+ * `zdk batch`: expand a template into projects/<name>/ (manifest.json + the template project's other files).
+ * All variants are rendered and validated first; nothing is written if one fails
+ * or a target project exists (unless --force).
+ */
+async function batch(template, { data, each, name, force }) {
+  if (!template || !data || data === true) throw new Error("batch: usage: zdk batch <template> --data <data.json>");
+  const isFile = template.endsWith(".json");
+  const manifestPath = isFile ? template : path.join(ROOT, "projects", template, "manifest.json");
+  const source = JSON.parse(await readFile(manifestPath, "utf8"));
+  const dataset = JSON.parse(await readFile(data, "utf8"));
+  const base = isFile ? path.basename(template, ".json") : template;
+  const arrays = Object.keys(dataset).filter(k => Array.isArray(dataset[k]));
+  const key = each || (arrays.length === 1 ? arrays[0] : undefined);
+  const variants = expandTemplate(source, dataset, { each: key, name: name || (key ? `${base}-{{${key}.slug}}` : undefined) });
+
+  let failed = false;
+  variants.forEach(({ name: project, manifest, missing }) => {
+    missing.forEach(m => console.error(`${project}: error: ${m.path} has no value for {{${m.name}}}`));
+    const { valid, errors, warnings } = validateManifest(manifest);
+    [...errors, ...warnings].forEach(i => console.error(`${project}: ${i.severity}: ${formatIssue(i)}`));
+    if (missing.length || !valid) failed = true;
+    const target = path.join(ROOT, "projects", project);
+    if (!force && existsSync(target)) {
+      console.error(`${project}: error: projects/${project} exists (pass --force to overwrite)`);
+      failed = true;
+    }
+  });
+  if (failed) return 1;
+
+  for (const { name: project, manifest, dropped } of variants) {
+    const target = path.join(ROOT, "projects", project);
+    await mkdir(target, { recursive: true });
+    if (!isFile) await cp(path.dirname(manifestPath), target, { recursive: true, filter: (src) => src !== manifestPath });
+    await writeFile(path.join(target, "manifest.json"), `${JSON.stringify(manifest, null, 2)}\n`);
+    console.error(`wrote projects/${project}/manifest.json (${manifest.scenes.length} scenes${dropped.length ? `, ${dropped.length} dropped by 'when'` : ""})`);
+  }
+  return 0;
+}
+
+/** `zdk compile`: problems print as "<file>:<line>: message"; nothing is written unless the manifest is valid */
+async function compile(file, { out }) {
+  if (!file) throw new Error("compile: missing script path");
+  let result;
+  try {
+    result = compileScript(await readFile(file, "utf8"));
+  } catch (err) {
+    if (!err.errors) throw err;
+    err.errors.forEach(({ line, message }) => console.error(`${file}:${line}: ${message}`));
+    return 1;
+  }
+  const { manifest, lines } = result;
+  const json = JSON.parse(JSON.stringify(manifest)); // as written to disk (undefined fields dropped)
+  const { valid, errors, warnings } = validateManifest(json);
+  [...errors, ...warnings].forEach(({ path: at, message, severity }) => {
+    console.error(`${file}:${lineOf(lines, at) ?? 1}: ${severity}: ${at || "/"} ${message}`);
+  });
+  if (!valid) return 1;
+
+  const text = `${JSON.stringify(json, null, 2)}\n`;
+  if (!out) {
+    process.stdout.write(text);
+    return 0;
+  }
+  await mkdir(path.dirname(out), { recursive: true });
+  await writeFile(out, text);
+  console.error(`wrote ${out} (${json.scenes.length} scenes, ${json.duration}s)`);
+  return 0;
+}
+
+/** --key value, --key=value and bare --flag (true); everything else is positional */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) {
+      args._.push(a);
+      continue;
+    }
+    const [key, inline] = a.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) args[key] = inline;
+    else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) args[key] = argv[++i];
+    else args[key] = true;
+  }
+  return args;
+}
+
+/** Device pixels per CSS px, so the brand layout (540 px short side) renders at the format's size */
+function scaleOf(fmt) {
+  return Math.min(fmt.w, fmt.h) / LAYOUT_SHORT_SIDE;
+}
+
+function setViewport(page, fmt) {
+  const scale = scaleOf(fmt);
+  return page("Emulation.setDeviceMetricsOverride", {
+    width: Math.round(fmt.w / scale),
+    height: Math.round(fmt.h / scale),
+    deviceScaleFactor: scale,
+    mobile: false
+  });
+}
+
+async function readManifestFormat(project) {
+  try {
+    const json = JSON.parse(await readFile(path.join(ROOT, "projects", project, "manifest.json"), "utf8"));
+    return json.format;
+  } catch {
+    return undefined; // the page reports load errors with context
+  }
+}
+
+/** Evaluate an expression in the page (promises awaited); page exceptions reject */
+async function evaluate(page, expression) {
+  const { result, exceptionDetails } = await page("Runtime.evaluate", { expression, awaitPromise: true, returnByValue: true });
+  if (exceptionDetails) {
+    throw new Error(`page: ${exceptionDetails.exception?.description || exceptionDetails.text}`);
+  }
+  return result.value;
+}
+
+/** Poll until app.js exposes the player (or the error it failed with) */
+async function waitForPlayer(page) {
+  const probe = `(() => {
+    const zdk = window.__zdk;
+    if (zdk?.error) return { error: zdk.error };
+    if (zdk?.core) return { duration: zdk.core.getDuration(), format: zdk.core.getFormat().name };
+    return null;
+  })()`;
+  const deadline = Date.now() + LOAD_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const info = await evaluate(page, probe).catch(() => null); // navigation may still be in flight
+    if (info?.error) throw new Error(`page: ${info.error}`);
+    if (info) return info;
+    await sleep(100);
+  }
+  throw new Error(`page: player not ready after ${LOAD_TIMEOUT_MS / 1000}s`);
+}
+
+/** Explicit path, or the first candidate that exists / is on PATH */
+async function findBinary(explicit, candidates, label) {
+  if (explicit) {
+    if (!existsSync(explicit)) throw new Error(`${label}: "${explicit}" not found`);
+    return explicit;
+  }
+  const dirs = (process.env.PATH || "").split(path.delimiter).filter(Boolean);
+  for (const name of candidates) {
+    if (path.isAbsolute(name)) {
+      if (existsSync(name)) return name;
+      continue;
+    }
+    for (const dir of dirs) {
+      const full = path.join(dir, name);
+      if (existsSync(full) && statSync(full).isFile()) return full;
+    }
+  }
+  throw new Error(`${label} not found; install it or pass its path`);
+}
+
+/** Static file server over the repo (GET/HEAD, byte ranges for media) */
+function serveStatic(root, port) {
+  const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    let file;
+    try {
+      file = path.join(root, decodeURIComponent(pathname));
+    } catch {
+      res.writeHead(400).end(); // malformed escape, e.g. a raw "%" in "100%.jpg"
+      return;
+    }
+    if (!file.startsWith(root + path.sep) && file !== root) {
+      res.writeHead(403).end();
+      return;
+    }
+    if (existsSync(file) && statSync(file).isDirectory()) file = path.join(file, "index.html");
+    if (!existsSync(file)) {
+      res.writeHead(404).end();
+      return;
+    }
+    const size = statSync(file).size;
+    const type = TEXT_MIME[path.extname(file).slice(1).toLowerCase()] || mimeOf(file);
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+    const headers = { "Content-Type": type, "Accept-Ranges": "bytes", "Cache-Control": "no-store" };
+    let start = 0;
+    let end = size - 1;
+    if (range) {
+      start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+      end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : end;
+      if (start > end) {
+        res.writeHead(416, { "Content-Range": `bytes */${size}` }).end();
+        return;
+      }
+      headers["Content-Range"] = `bytes ${start}-${end}/${size}`;
+    }
+    headers["Content-Length"] = end - start + 1;
+    res.writeHead(range ? 206 : 200, headers);
+    if (req.method === "HEAD" || size === 0) res.end();
+    else createReadStream(file, { start, end }).pipe(res);
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => resolve(server));
+  });
+}
+
+const TEXT_MIME = {
+  html: "text/html; charset=utf-8", js: "text/javascript; charset=utf-8", mjs: "text/javascript; charset=utf-8",
+  css: "text/css; charset=utf-8", json: "application/json; charset=utf-8", md: "text/markdown; charset=utf-8",
+  vtt: "text/vtt; charset=utf-8", srt: "text/plain; charset=utf-8", woff2: "font/woff2", woff: "font/woff", ttf: "font/ttf"
+};
+
+/** Headless Chromium with the DevTools protocol on fds 3 (commands in) and 4 (replies out) */
+function launchChrome(bin, profile) {
+  const child = spawn(bin, [
+    "--headless=new",
+    "--remote-debugging-pipe",
+    `--user-data-dir=${profile}`,
+    "--no-first-run",
+    "--no-default-browser-check",
+    "--hide-scrollbars",
+    "--mute-audio",
+    "--autoplay-policy=no-user-gesture-required",
+    "--disable-background-timer-throttling",
+    "--disable-renderer-backgrounding",
+    "--disable-extensions",
+    "about:blank"
+  ], { stdio: ["ignore", "ignore", "pipe", "pipe", "pipe"] });
+
+  let stderr = "";
+  child.stderr.on("data", (d) => { stderr = (stderr + d).slice(-4000); });
+
+  const cdp = createPipeSession(child.stdio[3], child.stdio[4]);
+  child.once("exit", (code) => cdp.fail(new Error(`Chromium exited (${code})${stderr ? `:\n${stderr.trim()}` : ""}`)));
+  child.once("error", (err) => cdp.fail(err));
+
+  return {
+    cdp,
+    async close() {
+      if (child.exitCode !== null) return;
+      await cdp.send("Browser.close").catch(() => {});
+      const exited = new Promise(r => child.once("exit", r));
+      if (await Promise.race([exited.then(() => true), sleep(3000).then(() => false)])) return;
+      child.kill("SIGKILL"); // only the browser this command started
+      await exited;
+    }
+  };
+}
+
+/** DevTools protocol over a pipe pair: NUL-terminated JSON messages */
+function createPipeSession(input, output) {
+  let nextId = 1;
+  let buffer = "";
+  let failed = null;
+  const pending = new Map();
+  const listeners = new Map();
+
+  // EPIPE/ECONNRESET once the browser is gone: its exit (see launchChrome) fails the session
+  input.on("error", () => {});
+  output.on("error", () => {});
+  output.setEncoding("utf8");
+  output.on("data", (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\0")) >= 0) {
+      const msg = JSON.parse(buffer.slice(0, end));
+      buffer = buffer.slice(end + 1);
+      if (msg.id && pending.has(msg.id)) {
+        const { resolve, reject, method } = pending.get(msg.id);
+        pending.delete(msg.id);
+        if (msg.error) reject(new Error(`${method}: ${msg.error.message}`));
+        else resolve(msg.result);
+      } else if (msg.method) {
+        (listeners.get(msg.method) || []).forEach(fn => fn(msg.params || {}));
+      }
+    }
+  });
+
+  return {
+    send(method, params = {}, sessionId) {
+      if (failed) return Promise.reject(failed);
+      const id = nextId++;
+      const msg = { id, method, params, ...(sessionId ? { sessionId } : {}) };
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, method });
+        input.write(`${JSON.stringify(msg)}\0`);
+      });
+    },
+    on(method, fn) {
+      listeners.set(method, [...(listeners.get(method) || []), fn]);
+    },
+    fail
+  };
+
+  function fail(err) {
+    failed = failed || err;
+    pending.forEach(({ reject }) => reject(failed));
+    pending.clear();
+  }
+}
+
+/** ffmpeg reading PNGs from stdin; write() respects backpressure */
+function spawnEncoder(bin, { fps, out, ext, crf }) {
+  const codec = ext === ".webm"
+    ? ["-c:v", "libvpx-vp9", "-b:v", "0", "-crf", String(crf ?? 32), "-row-mt", "1"]
+    : ["-c:v", "libx264", "-preset", "medium", "-crf", String(crf ?? 18), "-movflags", "+faststart"];
+  const child = spawn(bin, [
+    "-y", "-hide_banner", "-loglevel", "error",
+    "-f", "image2pipe", "-c:v", "png", "-framerate", String(fps), "-i", "-",
+    ...codec, "-pix_fmt", "yuv420p", "-r", String(fps),
+    out
+  ], { stdio: ["pipe", "ignore", "pipe"] });
+
+  let stderr = "";
+  child.stderr.on("data", (d) => { stderr = (stderr + d).slice(-4000); });
+  child.stdin.on("error", () => {}); // EPIPE: the exit code below tells why
+  const done = new Promise((resolve, reject) => {
+    child.once("error", reject);
+    child.once("exit", (code) => (code === 0 ? resolve() : reject(new Error(`ffmpeg exited (${code})${stderr ? `:\n${stderr.trim()}` : ""}`))));
+  });
+  done.catch(() => {}); // surfaced by write()/close()
+
+  return {
+    async write(buf) {
+      if (child.exitCode !== null) await done;
+      if (!child.stdin.write(buf)) {
+        await Promise.race([new Promise(r => child.stdin.once("drain", r)), done]);
+      }
+    },
+    async close() {
+      child.stdin.end();
+      await done;
+    },
+    abort() {
+      if (child.exitCode === null) child.kill("SIGKILL");
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (err) => {
+      console.error(`zdk: ${err?.message || err}`);
+      process.exitCode = 1;
+    }
+  );
+}